@@ -7,12 +7,14 @@ let satelliteModel;
 let orientationAnimationId;
 let gridHelper, axesHelper;
 let ambientLight, directionalLight;
+let sunArrow; // Sun direction from the solar panel currents (sun-vector.js), in the body frame
 
 // Configuration
 const CAMERA_DISTANCE = 8;
 const SATELLITE_SIZE = 1.5;
 const GRID_SIZE = 10;
 const AXES_SIZE = 3;
+const SUN_ARROW_LENGTH = SATELLITE_SIZE * 1.6;
 
 // ============================================================================
 // Scene Initialization
@@ -76,6 +78,10 @@ function initOrientationVisualization() {
         // Start animation loop
         animateOrientation();
 
+        // Follow ADCS telemetry
+        subscribeTelemetry('ADCS', ({ roll, pitch, heading }) => updateSatelliteOrientation(roll, pitch, heading));
+        subscribeTelemetry('SUNV', updateSunArrow);
+
         logToTerminal('3D satellite visualization initialized', 'response');
 
     } catch (error) {
@@ -137,6 +143,9 @@ function createSatelliteModel() {
     
     // Add antenna
     addAntenna();
+
+    // Add coarse sun sensor arrow
+    addSunArrow();
     
     orientationScene.add(satelliteModel);
 }
@@ -178,6 +187,37 @@ function addAntenna() {
     satelliteModel.add(antenna);
 }
 
+/**
+ * Add the sun direction arrow to the satellite model
+ * A child of the model, so it turns with the attitude and points along the body-frame estimate.
+ */
+function addSunArrow() {
+    sunArrow = new THREE.ArrowHelper(
+        new THREE.Vector3(1, 0, 0),
+        new THREE.Vector3(0, 0, 0),
+        SUN_ARROW_LENGTH,
+        0xfce83a, // Astro caution yellow
+        SUN_ARROW_LENGTH * 0.2,
+        SUN_ARROW_LENGTH * 0.1
+    );
+    sunArrow.visible = false;
+    satelliteModel.add(sunArrow);
+}
+
+/**
+ * Point the sun arrow along a sun vector estimate, hiding it in eclipse
+ * @param {Object} event - SUNV event { sunlit, x, y, z }
+ */
+function updateSunArrow(event) {
+    if (!sunArrow) return;
+
+    sunArrow.visible = !!event.sunlit;
+    if (event.sunlit) {
+        // The X/Y panels can't tell +Z from -Z; the estimate uses +Z
+        sunArrow.setDirection(new THREE.Vector3(event.x, event.y, event.z).normalize());
+    }
+}
+
 /**
  * Add reference objects (axes and grid)
  */
@@ -278,9 +318,6 @@ function updateSatelliteOrientation(roll, pitch, yaw) {
         // Apply Euler rotation (ZYX order - aerospace convention)
         satelliteModel.rotation.set(pitchRad, yawRad, rollRad);
 
-        // Update display values in UI
-        updateOrientationDisplay(roll, pitch, yaw);
-
         // Add some visual feedback for large movements
         const totalRotation = Math.abs(roll) + Math.abs(pitch) + Math.abs(yaw);
         if (totalRotation > 45) {
@@ -299,6 +336,19 @@ function updateSatelliteOrientation(roll, pitch, yaw) {
     }
 }
 
+/**
+ * Colour for an orientation readout, from the telemetry limits when they are loaded
+ * @param {string} channel - Limit channel (e.g. 'ADCS.roll')
+ * @param {number} value - Angle in degrees
+ * @returns {string} - CSS colour
+ */
+function orientationLimitColor(channel, value) {
+    const severity = typeof getLimitSeverity === 'function'
+        ? getLimitSeverity(channel, value)
+        : (Math.abs(value) > 45 ? 'caution' : 'normal');
+    return severity === 'normal' ? 'var(--accent-primary)' : `var(--color-status-${severity})`;
+}
+
 /**
  * Update orientation display values in the UI
  * @param {number} roll - Roll angle in degrees
@@ -310,32 +360,21 @@ function updateOrientationDisplay(roll, pitch, yaw) {
     const pitchElement = document.getElementById('pitchValue');
     const yawElement = document.getElementById('yawValue');
 
+    // Color coding for values outside the ADCS limits
     if (rollElement) {
         rollElement.textContent = `${roll.toFixed(1)}°`;
-        // Color coding for extreme values
-        if (Math.abs(roll) > 45) {
-            rollElement.style.color = 'var(--accent-warning)';
-        } else {
-            rollElement.style.color = 'var(--accent-primary)';
-        }
+        rollElement.style.color = orientationLimitColor('ADCS.roll', roll);
     }
 
     if (pitchElement) {
         pitchElement.textContent = `${pitch.toFixed(1)}°`;
-        if (Math.abs(pitch) > 45) {
-            pitchElement.style.color = 'var(--accent-warning)';
-        } else {
-            pitchElement.style.color = 'var(--accent-primary)';
-        }
+        pitchElement.style.color = orientationLimitColor('ADCS.pitch', pitch);
     }
 
     if (yawElement) {
         yawElement.textContent = `${yaw.toFixed(1)}°`;
-        if (Math.abs(yaw) > 45) {
-            yawElement.style.color = 'var(--accent-warning)';
-        } else {
-            yawElement.style.color = 'var(--accent-primary)';
-        }
+        // Heading wraps at 360°, so it has no default limit; operators can set one
+        yawElement.style.color = orientationLimitColor('ADCS.heading', yaw);
     }
 }
 
@@ -436,6 +475,7 @@ function dispose3DVisualization() {
         orientationScene = null;
         orientationCamera = null;
         satelliteModel = null;
+        sunArrow = null;
         gridHelper = null;
         axesHelper = null;
         ambientLight = null;
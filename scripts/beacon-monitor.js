@@ -0,0 +1,289 @@
+// Health beacon monitor for TEMPEST Ground Station
+// Watches BECN beacons against the interval commanded with BEACON_ON [interval]:
+// counts missed beacons and raises a loss-of-signal warning after BEACON_LOS_DEFAULT misses
+// (adjustable in the Beacon panel), detects spacecraft reboots from uptime going backwards,
+// and keeps a history of recent beacons with their arrival jitter. When beacons arrive without a
+// BEACON_ON this session, nothing counts as missed until the interval is inferred from a few of them.
+// Beacons and uplinked commands arrive through the telemetry bus (telemetry-bus.js).
+
+// Global variables for beacon monitoring
+let beaconInterval = 0; // Expected interval in seconds, 0 when beacons are off or unknown
+let beaconIntervalSource = 'off'; // 'commanded', 'inferred' or 'off'
+let beaconExpectedSince = 0; // Time beacons became expected (BEACON_ON or first beacon)
+let beaconLosReported = false;
+let beaconReboots = 0;
+let beaconCheckTimer = null;
+const beaconHistory = []; // [{ t, uptime, interval, jitter, missed, reboot }] newest last
+
+// Configuration
+const BEACON_DEFAULT_INTERVAL = 5; // Seconds, firmware default for BEACON_ON without an argument
+const BEACON_LOS_DEFAULT = 3; // Missed beacons before loss of signal
+const BEACON_HISTORY_SIZE = 50;
+const BEACON_HISTORY_ROWS = 12; // Rows shown in the history table
+const BEACON_PRESENCE_WINDOW = 10 * 60 * 1000; // Span for the signal presence figure
+const BEACON_REBOOT_TOLERANCE = 2; // Seconds uptime may lag the time between beacons (clock and latency noise)
+
+// ============================================================================
+// Event Handling (telemetry bus subscribers)
+// ============================================================================
+
+/**
+ * Track BEACON_ON / BEACON_OFF commands to learn the expected interval
+ * @param {Object} event - Uplink event { t, command }
+ */
+function handleBeaconCommand(event) {
+    const parts = event.command.trim().split(/\s+/);
+    const name = parts[0].toUpperCase();
+
+    if (name === 'BEACON_ON') {
+        const interval = parseInt(parts[1], 10);
+        setBeaconInterval(interval > 0 ? interval : BEACON_DEFAULT_INTERVAL, 'commanded', event.t);
+    } else if (name === 'BEACON_OFF') {
+        setBeaconInterval(0, 'off', event.t);
+    }
+}
+
+/**
+ * Set the expected beacon interval and restart loss-of-signal tracking
+ * @param {number} seconds - Interval, or 0 to stop expecting beacons
+ * @param {string} source - 'commanded', 'inferred' or 'off'
+ * @param {number} t - Time from which beacons are expected
+ */
+function setBeaconInterval(seconds, source, t = Date.now()) {
+    beaconInterval = seconds;
+    beaconIntervalSource = source;
+    beaconExpectedSince = t;
+    beaconLosReported = false;
+    updateBeaconDisplay();
+}
+
+/**
+ * Record a beacon: interval, jitter, missed beacons and reboot detection
+ * @param {Object} event - BECN event { t, uptime, cpu, ram, disk, temp }
+ */
+function handleBeacon(event) {
+    const previous = beaconHistory[beaconHistory.length - 1];
+    const entry = { t: event.t, uptime: event.uptime, interval: null, jitter: null, missed: 0, reboot: false };
+
+    if (previous) {
+        entry.interval = (event.t - previous.t) / 1000;
+
+        // Uptime should have advanced by about the time between beacons; less means a reboot,
+        // even during a gap long enough for the new uptime to exceed the last one seen
+        const expectedUptime = previous.uptime + entry.interval;
+        if (event.uptime < expectedUptime - BEACON_REBOOT_TOLERANCE) {
+            entry.reboot = true;
+            beaconReboots++;
+            const bootTime = new Date(event.t - event.uptime * 1000).toISOString().substring(11, 19);
+            logToTerminal(`SPACECRAFT REBOOT: uptime ${event.uptime}s, expected ~${expectedUptime.toFixed(0)}s (booted ~${bootTime} UTC)`, 'error');
+        }
+
+        if (beaconInterval > 0) {
+            const expected = beaconInterval;
+            entry.missed = Math.max(0, Math.round(entry.interval / expected) - 1);
+            entry.jitter = (entry.interval - (entry.missed + 1) * expected) * 1000;
+        }
+    } else if (beaconIntervalSource === 'off') {
+        // Beacons already running when we connected: the interval is unknown until it can be inferred
+        setBeaconInterval(0, 'inferred', event.t);
+    }
+
+    if (beaconLosReported) {
+        const silence = previous ? ((event.t - previous.t) / 1000).toFixed(0) : '?';
+        logToTerminal(`Beacon reacquired after ${silence}s`, 'response');
+        beaconLosReported = false;
+    }
+
+    beaconHistory.push(entry);
+    if (beaconHistory.length > BEACON_HISTORY_SIZE) beaconHistory.shift();
+
+    if (beaconIntervalSource === 'inferred') inferBeaconInterval();
+    updateBeaconDisplay();
+}
+
+/**
+ * Estimate the interval from recent beacons when it wasn't commanded this session
+ */
+function inferBeaconInterval() {
+    const intervals = beaconHistory.slice(-8).map(entry => entry.interval).filter(i => i !== null && i > 0);
+    if (intervals.length < 3) return;
+
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
+    beaconInterval = Math.max(1, Math.round(median));
+}
+
+// ============================================================================
+// Loss-of-Signal Check
+// ============================================================================
+
+/**
+ * Number of beacons missed since the last one (or since beacons became expected)
+ * @param {number} now - Current time in ms
+ * @returns {number} - Missed beacon count
+ */
+function getMissedBeacons(now = Date.now()) {
+    if (beaconInterval <= 0) return 0;
+
+    const last = beaconHistory.length > 0 ? beaconHistory[beaconHistory.length - 1].t : 0;
+    const since = Math.max(last, beaconExpectedSince);
+    // Half an interval of grace before a beacon counts as missed
+    return Math.max(0, Math.floor((now - since) / (beaconInterval * 1000) - 0.5));
+}
+
+/**
+ * Periodic check for missed beacons while connected
+ */
+function checkBeaconSignal() {
+    const connected = typeof isSerialConnected !== 'function' || isSerialConnected();
+    if (!connected || beaconInterval <= 0) {
+        updateBeaconDisplay();
+        return;
+    }
+
+    const missed = getMissedBeacons();
+    if (missed >= getBeaconLosThreshold() && !beaconLosReported) {
+        beaconLosReported = true;
+        logToTerminal(`LOSS OF SIGNAL: ${missed} beacons missed (expected every ${beaconInterval}s)`, 'warning');
+    }
+    updateBeaconDisplay();
+}
+
+/**
+ * Missed beacons before loss of signal, from the Beacon panel
+ * @returns {number} - Threshold
+ */
+function getBeaconLosThreshold() {
+    const input = document.getElementById('beaconLosThreshold');
+    const value = input ? parseInt(input.value, 10) : NaN;
+    return value > 0 ? value : BEACON_LOS_DEFAULT;
+}
+
+/**
+ * Fraction of expected beacons received over the presence window
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - 0-1, or null when nothing is expected
+ */
+function getBeaconPresence(now = Date.now()) {
+    if (beaconInterval <= 0) return null;
+
+    const windowStart = Math.max(now - BEACON_PRESENCE_WINDOW, beaconExpectedSince);
+    const expected = Math.floor((now - windowStart) / (beaconInterval * 1000));
+    if (expected < 1) return null;
+
+    const received = beaconHistory.filter(entry => entry.t >= windowStart).length;
+    return Math.min(1, received / expected);
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Update the Beacon panel status, summary and history table
+ */
+function updateBeaconDisplay() {
+    const now = Date.now();
+    const connected = typeof isSerialConnected !== 'function' || isSerialConnected();
+    const missed = connected ? getMissedBeacons(now) : 0;
+    const threshold = getBeaconLosThreshold();
+
+    let status = 'off';
+    let statusText = 'Off';
+    if (beaconInterval > 0 && connected) {
+        if (missed >= threshold) {
+            status = 'serious';
+            statusText = `LOS (${missed} missed)`;
+        } else if (missed > 0) {
+            status = 'caution';
+            statusText = `${missed} missed`;
+        } else {
+            status = 'normal';
+            statusText = 'Receiving';
+        }
+    } else if (beaconInterval > 0 || beaconIntervalSource === 'inferred') {
+        status = connected ? 'normal' : 'standby';
+        statusText = connected ? 'Receiving' : 'Not connected';
+    }
+
+    const dot = document.getElementById('beaconStatusDot');
+    if (dot) dot.className = `status-symbol status-symbol--${status}`;
+
+    const last = beaconHistory[beaconHistory.length - 1];
+    const presence = getBeaconPresence(now);
+    const jitters = beaconHistory.slice(-20).map(entry => entry.jitter).filter(j => j !== null);
+    const jitterRms = jitters.length > 0 ? Math.sqrt(jitters.reduce((sum, j) => sum + j * j, 0) / jitters.length) : null;
+
+    setElementText('beaconState', statusText);
+    setElementText('beaconInterval', beaconInterval > 0
+        ? `${beaconInterval}s ${beaconIntervalSource}`
+        : (beaconIntervalSource === 'inferred' ? 'inferring' : '--'));
+    setElementText('beaconLast', last ? `${((now - last.t) / 1000).toFixed(0)}s ago` : '--');
+    setElementText('beaconPresence', presence === null ? '--' : `${(presence * 100).toFixed(0)}%`);
+    setElementText('beaconJitter', jitterRms === null ? '--' : `${jitterRms.toFixed(0)} ms`);
+    setElementText('beaconReboots', String(beaconReboots));
+
+    renderBeaconHistory();
+}
+
+/**
+ * Render the most recent beacons, newest first
+ */
+function renderBeaconHistory() {
+    const body = document.getElementById('beaconHistoryBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    beaconHistory.slice(-BEACON_HISTORY_ROWS).reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        if (entry.reboot) row.className = 'beacon-row--reboot';
+        else if (entry.missed > 0) row.className = 'beacon-row--missed';
+
+        const note = entry.reboot ? 'REBOOT' : (entry.missed > 0 ? `${entry.missed} missed` : '');
+        [
+            new Date(entry.t).toISOString().substring(11, 19),
+            entry.interval === null ? '--' : `${entry.interval.toFixed(1)}s`,
+            entry.jitter === null ? '--' : `${entry.jitter >= 0 ? '+' : ''}${entry.jitter.toFixed(0)}`,
+            `${entry.uptime}s`,
+            note
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Forget beacon history and reboot count (e.g. at the start of a new pass)
+ */
+function clearBeaconHistory() {
+    beaconHistory.length = 0;
+    beaconReboots = 0;
+    beaconLosReported = false;
+    updateBeaconDisplay();
+}
+
+/**
+ * Subscribe to beacons and uplinked commands and start the loss-of-signal check
+ */
+function initBeaconMonitor() {
+    subscribeTelemetry('BECN', handleBeacon);
+    subscribeTelemetry('uplink', handleBeaconCommand);
+
+    if (beaconCheckTimer) clearInterval(beaconCheckTimer);
+    beaconCheckTimer = setInterval(checkBeaconSignal, 1000);
+    updateBeaconDisplay();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.beaconDebug = {
+    getHistory: () => beaconHistory,
+    getInterval: () => ({ interval: beaconInterval, source: beaconIntervalSource }),
+    getMissed: getMissedBeacons,
+    getPresence: getBeaconPresence
+};
@@ -0,0 +1,81 @@
+// Downlink processing pipeline for TEMPEST Ground Station
+// Connects the framer to the packet decoders and image chunk parser, producing plain
+// "frame" objects that can cross a worker boundary. No DOM access in this file:
+// it runs inside downlink-worker.js, or on the UI thread when workers are unavailable.
+//
+// Frame shapes:
+//   { kind: 'line', text }         - plain text line from the ground station
+//   { kind: 'packet', packet }     - decoded telemetry packet (see packet-decoders.js)
+//   { kind: 'image', image }       - parsed SEND/RETX packet (see image-assembly.js)
+//   { kind: 'reject', reason, identifier, bytes } - corrupt or unframeable bytes skipped by the framer
+
+/**
+ * Create a downlink pipeline
+ * @param {Function} emit - Called with an array of frames after each pushed chunk
+ * @param {Object} [options] - Framer options (integrity)
+ * @returns {Object} - Pipeline with push(), clear(), setIntegrity(), length and stats
+ */
+function createDownlinkPipeline(emit, options = {}) {
+    let frames = [];
+
+    const framer = createFramer({
+        onPacket: (identifier, packet) => {
+            frames.push({ kind: 'packet', packet: decodePacket(packet) });
+        },
+        onDelimited: (identifier, packet) => {
+            if (getPacketSchema(identifier).image) {
+                frames.push({ kind: 'image', image: parseImagePacket(packet) });
+            } else {
+                frames.push({ kind: 'packet', packet: decodePacket(packet) });
+            }
+        },
+        onLine: (text) => {
+            frames.push({ kind: 'line', text });
+        },
+        onReject: (reason, identifier, bytes) => {
+            frames.push({ kind: 'reject', reason, identifier, bytes });
+        }
+    }, options);
+
+    return {
+        get stats() {
+            return framer.stats;
+        },
+
+        get length() {
+            return framer.length;
+        },
+
+        get capacity() {
+            return framer.capacity;
+        },
+
+        /**
+         * Frame and decode a received chunk, then emit the resulting frames
+         * @param {Uint8Array} data - Raw chunk
+         */
+        push(data) {
+            framer.push(data);
+            if (frames.length > 0) {
+                const batch = frames;
+                frames = [];
+                emit(batch);
+            }
+        },
+
+        /**
+         * Discard buffered, unframed bytes
+         */
+        clear() {
+            framer.clear();
+        },
+
+        /**
+         * Change the binary packet integrity mode
+         * @param {string} mode - 'none', 'crc16' or 'crc32'
+         */
+        setIntegrity(mode) {
+            framer.setIntegrity(mode);
+        }
+    };
+}
@@ -0,0 +1,48 @@
+// Downlink worker for TEMPEST Ground Station
+// Runs framing, telemetry decoding and image reassembly off the UI thread so the
+// terminal and 3D view stay smooth during long downlinks.
+//
+// Messages in:  { type: 'data', bytes }            - raw chunk from the transport
+//               { type: 'clear' }                  - discard buffered bytes
+//               { type: 'integrity', mode }        - set binary packet trailer ('none', 'crc16', 'crc32')
+//               { type: 'assemble', id, chunks }   - reassemble a complete image
+// Messages out: { type: 'ready' }
+//               { type: 'frames', frames, stats, length }
+//               { type: 'assembled', id, result }
+
+importScripts('packet-schema.js', 'framing.js', 'packet-decoders.js', 'image-assembly.js', 'downlink-pipeline.js');
+
+const pipeline = createDownlinkPipeline(frames => {
+    self.postMessage({
+        type: 'frames',
+        frames,
+        stats: { ...pipeline.stats, capacity: pipeline.capacity },
+        length: pipeline.length
+    });
+});
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'data':
+            pipeline.push(message.bytes);
+            break;
+        case 'clear':
+            pipeline.clear();
+            break;
+        case 'integrity':
+            pipeline.setIntegrity(message.mode);
+            break;
+        case 'assemble': {
+            const result = await assembleImage(message.chunks);
+            const transfer = [];
+            if (result.gz) transfer.push(result.gz.buffer);
+            if (result.jpg) transfer.push(result.jpg.buffer);
+            self.postMessage({ type: 'assembled', id: message.id, result }, transfer);
+            break;
+        }
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,307 @@
+// ENV_POLL decoding for TEMPEST Ground Station
+// The environment MCU answers ENV_POLL with 16 little-endian float32 readings (64 bytes),
+// split across POLL length-prefixed fragments. This module reassembles the fragments,
+// applies the per-slot name, unit and polynomial calibration from the POLL channel map and
+// publishes the result as an 'ENV' telemetry event, e.g. { type: 'ENV', t, sensor1: 21.4, ... }.
+// ENV channels are stored, plotted and exported like downlink packets ("ENV.<key>").
+// The channel map is edited in the Configure tab and kept in localStorage.
+
+// Global variables for ENV_POLL reassembly
+let pollBuffer = new Uint8Array(); // Bytes received towards the next 64-byte snapshot
+let pollTimer = null; // Discards a half-filled buffer when fragments stop arriving
+let pollChannelMap = []; // [{ key, name, unit, coefficients }] by slot
+let lastEnvironmentEvent = null;
+
+// Configuration
+const POLL_SLOTS = 16;
+const POLL_SNAPSHOT_SIZE = POLL_SLOTS * 4;
+const POLL_REASSEMBLY_TIMEOUT = 5000; // ms without a fragment before a partial snapshot is dropped
+const POLL_CHANNEL_MAP_KEY = 'tempest.pollChannelMap';
+
+// Uncalibrated defaults; fill in names, units and calibration for the flight sensor set
+const DEFAULT_POLL_CHANNEL_MAP = Array.from({ length: POLL_SLOTS }, (_, i) => ({
+    key: `sensor${i + 1}`,
+    name: `Sensor ${i + 1}`,
+    unit: '',
+    coefficients: [0, 1]
+}));
+
+// ============================================================================
+// Channel Map
+// ============================================================================
+
+/**
+ * Load the channel map from localStorage, falling back to the defaults
+ */
+function loadPollChannelMap() {
+    pollChannelMap = loadSavedSettings(POLL_CHANNEL_MAP_KEY, JSON.parse(JSON.stringify(DEFAULT_POLL_CHANNEL_MAP)),
+        saved => Array.isArray(saved) && saved.length === POLL_SLOTS);
+    registerPollChannels();
+}
+
+/**
+ * Save the channel map to localStorage and update stored channel units
+ */
+function savePollChannelMap() {
+    try {
+        localStorage.setItem(POLL_CHANNEL_MAP_KEY, JSON.stringify(pollChannelMap));
+    } catch (error) {
+        logToTerminal(`Unable to save POLL channel map: ${error.message}`, 'warning');
+    }
+    registerPollChannels();
+}
+
+/**
+ * Tell the telemetry store about ENV channel units
+ */
+function registerPollChannels() {
+    if (typeof registerTelemetryEventType !== 'function') return;
+
+    const units = {};
+    pollChannelMap.forEach(slot => { units[slot.key] = slot.unit; });
+    registerTelemetryEventType('ENV', 'Environment', units);
+}
+
+/**
+ * Get the current channel map
+ * @returns {Array<Object>} - [{ key, name, unit, coefficients }] by slot
+ */
+function getPollChannelMap() {
+    return pollChannelMap;
+}
+
+/**
+ * Update one slot of the channel map
+ * @param {number} slot - Slot index (0-15)
+ * @param {Object} changes - Any of { key, name, unit, coefficients }
+ * @returns {string|null} - Validation error message, or null on success
+ */
+function setPollChannel(slot, changes) {
+    const entry = { ...pollChannelMap[slot], ...changes };
+
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(entry.key)) {
+        return 'Key must start with a letter and contain only letters, digits and _';
+    }
+    if (pollChannelMap.some((other, i) => i !== slot && other.key === entry.key)) {
+        return `Key ${entry.key} is already used`;
+    }
+    if (!Array.isArray(entry.coefficients) || entry.coefficients.length === 0 ||
+        entry.coefficients.some(c => !Number.isFinite(c))) {
+        return 'Calibration needs at least one numeric coefficient';
+    }
+
+    pollChannelMap[slot] = entry;
+    savePollChannelMap();
+    renderEnvironmentPanel();
+    return null;
+}
+
+/**
+ * Restore the default channel map
+ */
+function resetPollChannelMap() {
+    if (!confirm('Replace the POLL channel map with the uncalibrated defaults?')) return;
+
+    pollChannelMap = JSON.parse(JSON.stringify(DEFAULT_POLL_CHANNEL_MAP));
+    savePollChannelMap();
+    renderPollChannelTable();
+    renderEnvironmentPanel();
+}
+
+/**
+ * Apply a polynomial calibration c0 + c1·x + c2·x² + ...
+ * @param {number} raw - Raw reading
+ * @param {number[]} coefficients - Polynomial coefficients, constant term first
+ * @returns {number} - Calibrated value
+ */
+function calibratePollValue(raw, coefficients) {
+    let value = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        value = value * raw + coefficients[i];
+    }
+    return value;
+}
+
+// ============================================================================
+// Reassembly (telemetry bus subscriber for POLL fragments)
+// ============================================================================
+
+/**
+ * Append a POLL fragment and publish every complete 64-byte snapshot
+ * Bytes beyond a snapshot (a fragment that overruns 64 bytes) start the next one.
+ * @param {Object} event - POLL event { t, payload }
+ */
+function handlePollFragment(event) {
+    const payload = event.payload;
+    if (!payload || payload.length === 0) return;
+
+    const combined = new Uint8Array(pollBuffer.length + payload.length);
+    combined.set(pollBuffer);
+    combined.set(payload, pollBuffer.length);
+
+    let offset = 0;
+    while (combined.length - offset >= POLL_SNAPSHOT_SIZE) {
+        publishEnvironmentSnapshot(combined.subarray(offset, offset + POLL_SNAPSHOT_SIZE), event.t);
+        offset += POLL_SNAPSHOT_SIZE;
+    }
+    pollBuffer = combined.slice(offset);
+
+    clearTimeout(pollTimer);
+    pollTimer = pollBuffer.length > 0 ? setTimeout(discardPollBuffer, POLL_REASSEMBLY_TIMEOUT) : null;
+}
+
+/**
+ * Drop a half-filled snapshot after the fragments stop arriving
+ */
+function discardPollBuffer() {
+    pollTimer = null;
+    if (pollBuffer.length === 0) return;
+
+    logToTerminal(`Discarding incomplete ENV_POLL data (${pollBuffer.length}/${POLL_SNAPSHOT_SIZE} bytes)`, 'warning');
+    pollBuffer = new Uint8Array();
+}
+
+/**
+ * Decode and calibrate one snapshot and publish it as an ENV event
+ * @param {Uint8Array} bytes - 64 bytes of float32 readings
+ * @param {number} t - Receive time of the completing fragment
+ */
+function publishEnvironmentSnapshot(bytes, t) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, POLL_SNAPSHOT_SIZE);
+    const event = { type: 'ENV', t };
+    const raw = {};
+
+    pollChannelMap.forEach((slot, i) => {
+        raw[slot.key] = view.getFloat32(i * 4, true);
+        event[slot.key] = calibratePollValue(raw[slot.key], slot.coefficients);
+    });
+
+    lastEnvironmentEvent = { event, raw };
+    publishTelemetry(event);
+}
+
+// ============================================================================
+// Environment Panel (Operate tab)
+// ============================================================================
+
+/**
+ * Build the Environment panel grid from the channel map
+ */
+function renderEnvironmentPanel() {
+    const grid = document.getElementById('environmentGrid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    pollChannelMap.forEach(slot => {
+        const item = document.createElement('div');
+        item.className = 'telemetry-item';
+        item.style.padding = '6px';
+
+        const label = document.createElement('div');
+        label.className = 'telemetry-label';
+        label.textContent = slot.name;
+
+        const value = document.createElement('div');
+        value.className = 'telemetry-value telemetry-value-sm';
+        value.id = `env-${slot.key}`;
+        value.textContent = '--';
+
+        item.append(label, value);
+        grid.appendChild(item);
+    });
+
+    if (lastEnvironmentEvent) updateEnvironmentPanel(lastEnvironmentEvent.event);
+}
+
+/**
+ * Show the latest ENV values (telemetry bus subscriber)
+ * @param {Object} event - ENV event
+ */
+function updateEnvironmentPanel(event) {
+    pollChannelMap.forEach(slot => {
+        const el = document.getElementById(`env-${slot.key}`);
+        const value = event[slot.key];
+        if (!el || value === undefined) return;
+
+        el.textContent = `${value.toFixed(2)}${slot.unit ? ` ${slot.unit}` : ''}`;
+        if (lastEnvironmentEvent && lastEnvironmentEvent.event === event) {
+            el.title = `Raw: ${lastEnvironmentEvent.raw[slot.key].toFixed(4)}`;
+        }
+    });
+
+    const updated = document.getElementById('environmentUpdated');
+    if (updated) updated.textContent = `${new Date(event.t).toISOString().substring(11, 19)} UTC`;
+}
+
+// ============================================================================
+// Channel Map Editor (Configure tab)
+// ============================================================================
+
+/**
+ * Render the editable POLL channel map table
+ */
+function renderPollChannelTable() {
+    const body = document.getElementById('pollMapTableBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    pollChannelMap.forEach((slot, i) => {
+        const row = document.createElement('tr');
+
+        const index = document.createElement('td');
+        index.textContent = i + 1;
+        row.appendChild(index);
+
+        const cells = [
+            ['key', slot.key],
+            ['name', slot.name],
+            ['unit', slot.unit],
+            ['coefficients', slot.coefficients.join(', ')]
+        ];
+        cells.forEach(([field, text]) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'settings-input limits-input';
+            input.value = text;
+            if (field === 'coefficients') input.title = 'c0, c1, c2, ... for c0 + c1·x + c2·x² + ...';
+            input.onchange = () => {
+                const value = field === 'coefficients'
+                    ? input.value.split(',').map(c => parseFloat(c.trim()))
+                    : input.value.trim();
+                const error = setPollChannel(i, { [field]: value });
+                if (error) {
+                    logToTerminal(`POLL slot ${i + 1}: ${error}`, 'warning');
+                    renderPollChannelTable();
+                }
+            };
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Load the channel map and subscribe to POLL fragments and ENV events
+ */
+function initEnvironmentPoll() {
+    loadPollChannelMap();
+    renderPollChannelTable();
+    renderEnvironmentPanel();
+
+    subscribeTelemetry('POLL', handlePollFragment);
+    subscribeTelemetry('ENV', updateEnvironmentPanel);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.envPollDebug = {
+    getMap: getPollChannelMap,
+    getBuffer: () => pollBuffer,
+    calibrate: calibratePollValue,
+    getLast: () => lastEnvironmentEvent
+};
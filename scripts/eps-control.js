@@ -0,0 +1,280 @@
+// EPS power-channel control for TEMPEST Ground Station
+// Per-channel toggles send EPS CH<n>,<0|1>, wait for the EPS to settle, request EPS_STATUS and
+// check that the channel reached the commanded state. Channel commands typed in the command
+// line are verified the same way. After a channel has been commanded, every EPSS status is
+// compared with the commanded state and a mismatch is flagged in the panel and the log.
+// Channel labels and which loads are critical (toggle needs confirmation) are configurable.
+
+// Global variables for EPS control
+let epsChannelConfig = []; // [{ label, critical }] by channel
+let epsActualChannels = null; // Channel states from the latest EPSS, null before the first
+const epsChannelControl = []; // [{ commanded, state, t, timer }] by channel
+
+// Configuration
+const EPS_CHANNEL_COUNT = 4;
+const EPS_SETTLE_DELAY = 2000; // ms after a channel command before requesting EPS_STATUS
+const EPS_VERIFY_TIMEOUT = 15000; // ms to wait for the EPSS reply to that request
+const EPS_CHANNEL_CONFIG_KEY = 'tempest.epsChannelConfig';
+
+const DEFAULT_EPS_CHANNEL_CONFIG = Array.from({ length: EPS_CHANNEL_COUNT }, (_, i) => ({
+    label: `Ch ${i + 1}`,
+    critical: false
+}));
+
+// Verification states: idle (never commanded), settling, verifying, verified, mismatch, unverified
+const EPS_VERIFY_TEXT = {
+    idle: '',
+    settling: 'Settling...',
+    verifying: 'Verifying...',
+    verified: 'Verified',
+    mismatch: 'MISMATCH',
+    unverified: 'No status'
+};
+
+// ============================================================================
+// Channel Configuration
+// ============================================================================
+
+/**
+ * Load channel labels and critical flags from localStorage
+ */
+function loadEPSChannelConfig() {
+    epsChannelConfig = loadSavedSettings(EPS_CHANNEL_CONFIG_KEY, JSON.parse(JSON.stringify(DEFAULT_EPS_CHANNEL_CONFIG)),
+        saved => Array.isArray(saved) && saved.length === EPS_CHANNEL_COUNT);
+}
+
+/**
+ * Update one channel's label or critical flag
+ * @param {number} index - Channel index (0-3)
+ * @param {Object} changes - Any of { label, critical }
+ */
+function setEPSChannelConfig(index, changes) {
+    const entry = { ...epsChannelConfig[index], ...changes };
+    entry.label = entry.label.trim() || DEFAULT_EPS_CHANNEL_CONFIG[index].label;
+    epsChannelConfig[index] = entry;
+
+    try {
+        localStorage.setItem(EPS_CHANNEL_CONFIG_KEY, JSON.stringify(epsChannelConfig));
+    } catch (error) {
+        logToTerminal(`Unable to save EPS channel config: ${error.message}`, 'warning');
+    }
+    renderEPSControl();
+}
+
+// ============================================================================
+// Commanding and Verification
+// ============================================================================
+
+/**
+ * Switch a channel from the control panel, confirming critical loads first
+ * @param {number} index - Channel index (0-3)
+ * @param {boolean} on - Commanded state
+ */
+function setEPSChannel(index, on) {
+    if (typeof isSerialConnected === 'function' && !isSerialConnected()) {
+        logToTerminal('Connect to the ground station to switch EPS channels', 'warning');
+        return;
+    }
+
+    const { label, critical } = epsChannelConfig[index];
+    if (critical && !confirm(`${label} (CH${index + 1}) is a critical load. Switch it ${on ? 'ON' : 'OFF'}?`)) {
+        return;
+    }
+
+    sendCommand(`EPS CH${index + 1},${on ? 1 : 0}`);
+}
+
+/**
+ * Track channel commands, however they were sent (uplink subscriber)
+ * @param {Object} event - Uplink event { t, command }
+ */
+function trackEPSCommand(event) {
+    const match = event.command.match(/^EPS\s+CH(\d)\s*,\s*([01])\s*$/i);
+    if (!match) return;
+
+    const index = parseInt(match[1], 10) - 1;
+    if (index < 0 || index >= EPS_CHANNEL_COUNT) return;
+
+    const control = epsChannelControl[index];
+    clearTimeout(control.timer);
+    control.commanded = parseInt(match[2], 10);
+    control.state = 'settling';
+    control.t = event.t;
+    control.timer = setTimeout(() => requestEPSVerification(index), EPS_SETTLE_DELAY);
+    renderEPSControl();
+}
+
+/**
+ * Request EPS_STATUS to verify a channel command
+ * @param {number} index - Channel index (0-3)
+ */
+function requestEPSVerification(index) {
+    const control = epsChannelControl[index];
+    control.state = 'verifying';
+    control.timer = setTimeout(() => {
+        control.state = 'unverified';
+        control.timer = null;
+        logToTerminal(`EPS ${epsChannelConfig[index].label} (CH${index + 1}): no status received to verify command`, 'warning');
+        renderEPSControl();
+    }, EPS_VERIFY_TIMEOUT);
+
+    sendCommand('EPS_STATUS');
+    renderEPSControl();
+}
+
+/**
+ * Compare an EPS status with the commanded channel states (telemetry bus subscriber)
+ * @param {Object} event - EPSS event { channels, ... }
+ */
+function checkEPSChannels(event) {
+    epsActualChannels = event.channels;
+
+    epsChannelControl.forEach((control, index) => {
+        // Statuses that arrive before the EPS has settled don't count either way
+        if (control.commanded === null || control.state === 'settling') return;
+
+        const actual = event.channels[index] ? 1 : 0;
+        const matches = actual === control.commanded;
+        const label = `${epsChannelConfig[index].label} (CH${index + 1})`;
+
+        if (control.state === 'verifying') {
+            clearTimeout(control.timer);
+            control.timer = null;
+            if (matches) {
+                logToTerminal(`EPS ${label} verified ${actual ? 'ON' : 'OFF'}`, 'response');
+            }
+        }
+
+        if (!matches && control.state !== 'mismatch') {
+            logToTerminal(`EPS MISMATCH: ${label} commanded ${control.commanded ? 'ON' : 'OFF'} but reports ${actual ? 'ON' : 'OFF'}`, 'error');
+        }
+        control.state = matches ? 'verified' : 'mismatch';
+    });
+
+    renderEPSControl();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Render channel rows in the EPS Control panel and labels in the telemetry grid
+ */
+function renderEPSControl() {
+    const rows = document.getElementById('epsControlRows');
+    if (rows) {
+        rows.innerHTML = '';
+        epsChannelConfig.forEach(({ label, critical }, index) => {
+            const control = epsChannelControl[index];
+            const actual = epsActualChannels ? (epsActualChannels[index] ? 1 : 0) : null;
+
+            const row = document.createElement('div');
+            row.className = `eps-row eps-row--${control.state}`;
+
+            const name = document.createElement('span');
+            name.className = 'eps-row__label';
+            name.textContent = `${label}${critical ? ' ⚠' : ''}`;
+            name.title = `CH${index + 1}${critical ? ', critical load' : ''}`;
+
+            const state = document.createElement('span');
+            state.className = 'eps-row__state';
+            state.textContent = actual === null ? '--' : (actual ? 'ON' : 'OFF');
+            if (control.commanded !== null) state.title = `Commanded ${control.commanded ? 'ON' : 'OFF'}`;
+
+            const verify = document.createElement('span');
+            verify.className = 'eps-row__verify';
+            verify.textContent = EPS_VERIFY_TEXT[control.state];
+
+            const busy = control.state === 'settling' || control.state === 'verifying';
+            const buttons = [1, 0].map(on => {
+                const button = document.createElement('button');
+                button.className = `btn ${on === control.commanded ? 'btn-primary' : 'btn-secondary'} eps-row__btn`;
+                button.textContent = on ? 'ON' : 'OFF';
+                button.disabled = busy;
+                button.onclick = () => setEPSChannel(index, on === 1);
+                return button;
+            });
+
+            row.append(name, state, verify, ...buttons);
+            rows.appendChild(row);
+        });
+    }
+
+    epsChannelConfig.forEach(({ label }, index) => {
+        const gridLabel = document.getElementById(`epsCh${index + 1}Label`);
+        if (gridLabel) gridLabel.textContent = label;
+    });
+
+    const dot = document.getElementById('epsControlDot');
+    if (dot) {
+        const states = epsChannelControl.map(control => control.state);
+        let status = epsActualChannels ? 'normal' : 'off';
+        if (states.includes('unverified')) status = 'caution';
+        if (states.includes('mismatch')) status = 'critical';
+        dot.className = `status-symbol status-symbol--${status}`;
+    }
+}
+
+/**
+ * Render the channel label / critical load table in the Configure tab
+ */
+function renderEPSChannelConfigTable() {
+    const body = document.getElementById('epsConfigTableBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    epsChannelConfig.forEach(({ label, critical }, index) => {
+        const row = document.createElement('tr');
+
+        const channel = document.createElement('td');
+        channel.textContent = `CH${index + 1}`;
+
+        const labelCell = document.createElement('td');
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.className = 'settings-input limits-input';
+        labelInput.value = label;
+        labelInput.onchange = () => {
+            setEPSChannelConfig(index, { label: labelInput.value });
+            labelInput.value = epsChannelConfig[index].label;
+        };
+        labelCell.appendChild(labelInput);
+
+        const criticalCell = document.createElement('td');
+        const criticalInput = document.createElement('input');
+        criticalInput.type = 'checkbox';
+        criticalInput.checked = critical;
+        criticalInput.onchange = () => setEPSChannelConfig(index, { critical: criticalInput.checked });
+        criticalCell.appendChild(criticalInput);
+
+        row.append(channel, labelCell, criticalCell);
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Load channel configuration and subscribe to EPS status and channel commands
+ */
+function initEPSControl() {
+    loadEPSChannelConfig();
+    for (let i = 0; i < EPS_CHANNEL_COUNT; i++) {
+        epsChannelControl[i] = { commanded: null, state: 'idle', t: 0, timer: null };
+    }
+
+    subscribeTelemetry('EPSS', checkEPSChannels);
+    subscribeTelemetry('uplink', trackEPSCommand);
+
+    renderEPSChannelConfigTable();
+    renderEPSControl();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.epsControlDebug = {
+    getConfig: () => epsChannelConfig,
+    getControl: () => epsChannelControl,
+    getActual: () => epsActualChannels
+};
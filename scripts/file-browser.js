@@ -0,0 +1,338 @@
+// OBC file browser for TEMPEST Ground Station
+// Sends OBC_LIST_FILES <path> and shows the replies (FILES events from obc-listing.js) as a
+// tree with breadcrumbs. Listings are cached per path with the time they were received, so
+// browsing back up the tree doesn't cost another uplink. Files have one-click downlink
+// (SEND_IMAGE) and retransmit actions.
+// The OBC reply doesn't say which entries are directories: names without an extension
+// (or with a trailing '/') are shown as folders; listing a file just returns DNE.
+// Listings don't name their directory either, so requests are sent one at a time: the next
+// OBC_LIST_FILES goes out once the previous one is answered or has timed out.
+
+// Global variables for the file browser
+let fileBrowserPath = '/home/pi';
+const fileListingCache = new Map(); // path -> { entries, exists, complete, t }
+const fileListingQueue = []; // Paths waiting to be requested, oldest first
+let fileListingInFlight = null; // { path, timer } of the request awaiting its reply
+const fileListingsUnanswered = new Set(); // Paths whose last request timed out
+const fileTreeExpanded = new Set(); // Folders expanded in place under the current path
+
+// Configuration
+const FILE_LISTING_REPLY_TIMEOUT = 45000; // ms after which an unanswered listing can be requested again
+
+// ============================================================================
+// Listing Requests
+// ============================================================================
+
+/**
+ * Queue a directory listing request to the OBC
+ * @param {string} path - Directory path
+ */
+function requestOBCListing(path) {
+    if (typeof isSerialConnected === 'function' && !isSerialConnected()) {
+        logToTerminal('Connect to the ground station to list OBC files', 'warning');
+        return;
+    }
+    if (isOBCListingPending(path)) return;
+
+    fileListingsUnanswered.delete(path);
+    fileListingQueue.push(path);
+    sendNextOBCListing();
+    renderFileBrowser();
+}
+
+/**
+ * Send the oldest queued listing request unless one is awaiting its reply
+ */
+function sendNextOBCListing() {
+    if (fileListingInFlight || fileListingQueue.length === 0) return;
+
+    if (typeof isSerialConnected === 'function' && !isSerialConnected()) {
+        fileListingQueue.length = 0;
+        return;
+    }
+
+    const path = fileListingQueue.shift();
+    fileListingInFlight = {
+        path,
+        timer: setTimeout(() => finishOBCListing(path, false), FILE_LISTING_REPLY_TIMEOUT)
+    };
+    sendCommand(`OBC_LIST_FILES ${path}`);
+}
+
+/**
+ * End the request awaiting its reply and send the next one
+ * @param {string} path - Directory path the reply or timeout is for
+ * @param {boolean} answered - False when the request timed out
+ */
+function finishOBCListing(path, answered) {
+    if (!fileListingInFlight || fileListingInFlight.path !== path) return;
+
+    clearTimeout(fileListingInFlight.timer);
+    fileListingInFlight = null;
+    if (!answered) fileListingsUnanswered.add(path);
+
+    sendNextOBCListing();
+    renderFileBrowser();
+}
+
+/**
+ * Whether a listing is queued or awaiting its reply
+ * @param {string} path - Directory path
+ * @returns {boolean} - True until the reply arrives or the request times out
+ */
+function isOBCListingPending(path) {
+    return fileListingQueue.includes(path) || (fileListingInFlight !== null && fileListingInFlight.path === path);
+}
+
+/**
+ * Status note for a directory that isn't cached
+ * @param {string} path - Directory path
+ * @returns {string} - 'Queued', 'Listing...', 'No reply' or 'Not listed'
+ */
+function getOBCListingNote(path) {
+    if (fileListingQueue.includes(path)) return 'Queued';
+    if (isOBCListingPending(path)) return 'Listing...';
+    return fileListingsUnanswered.has(path) ? 'No reply' : 'Not listed';
+}
+
+/**
+ * Show a directory, listing it only if it isn't cached
+ * @param {string} path - Directory path
+ */
+function openOBCDirectory(path) {
+    fileBrowserPath = normalizeOBCPath(path) || '/';
+    fileTreeExpanded.clear();
+
+    const input = document.getElementById('fileBrowserPath');
+    if (input) input.value = fileBrowserPath;
+
+    if (!fileListingCache.has(fileBrowserPath) && !isOBCListingPending(fileBrowserPath)) {
+        requestOBCListing(fileBrowserPath);
+    }
+    renderFileBrowser();
+}
+
+/**
+ * Re-list the current directory and any expanded folders
+ */
+function refreshOBCDirectory() {
+    requestOBCListing(fileBrowserPath);
+    fileTreeExpanded.forEach(path => requestOBCListing(path));
+}
+
+/**
+ * Expand or collapse a folder in place, listing it on first expansion
+ * @param {string} path - Folder path
+ */
+function toggleOBCFolder(path) {
+    if (fileTreeExpanded.has(path)) {
+        fileTreeExpanded.delete(path);
+    } else {
+        fileTreeExpanded.add(path);
+        if (!fileListingCache.has(path) && !isOBCListingPending(path)) {
+            requestOBCListing(path);
+        }
+    }
+    renderFileBrowser();
+}
+
+/**
+ * Cache a reassembled listing (telemetry bus subscriber)
+ * @param {Object} event - FILES event { t, path, entries, exists, complete, certain }
+ */
+function handleFileListing(event) {
+    // A listing that may belong to another request (e.g. one typed in the terminal) is left
+    // uncached; the request times out instead
+    if (!event.path || event.certain === false) return;
+
+    fileListingCache.set(event.path, {
+        entries: event.entries,
+        exists: event.exists,
+        complete: event.complete,
+        t: event.t
+    });
+    fileListingsUnanswered.delete(event.path);
+    finishOBCListing(event.path, true);
+    renderFileBrowser();
+}
+
+// ============================================================================
+// File Actions
+// ============================================================================
+
+/**
+ * Downlink a file with SEND_IMAGE
+ * @param {string} path - File path
+ */
+function downlinkOBCFile(path) {
+    sendPresetCommand(`SEND_IMAGE ${path}`);
+}
+
+/**
+ * Start a manual retransmit for a file: fills in the path, the operator adds packet numbers
+ * @param {string} path - File path
+ */
+function prepareRetransmit(path) {
+    const input = document.getElementById('retransmitInput');
+    if (!input) return;
+
+    input.value = `${path} `;
+    input.focus();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Join a directory and an entry name
+ * @param {string} dir - Directory path
+ * @param {string} name - Entry name
+ * @returns {string} - Child path
+ */
+function joinOBCPath(dir, name) {
+    const clean = name.replace(/\/$/, '');
+    return dir === '/' ? `/${clean}` : `${dir}/${clean}`;
+}
+
+/**
+ * Guess whether a listing entry is a directory
+ * @param {string} dir - Directory containing the entry
+ * @param {string} name - Entry name
+ * @returns {boolean} - True for folders
+ */
+function isOBCDirectory(dir, name) {
+    const cached = fileListingCache.get(joinOBCPath(dir, name));
+    if (cached) return cached.exists;
+    return name.endsWith('/') || !name.replace(/^\./, '').includes('.');
+}
+
+/**
+ * Render breadcrumbs, listing status and the file tree
+ */
+function renderFileBrowser() {
+    renderFileBreadcrumbs();
+
+    const status = document.getElementById('fileBrowserStatus');
+    if (status) {
+        const listing = fileListingCache.get(fileBrowserPath);
+        if (listing && !isOBCListingPending(fileBrowserPath)) {
+            const time = new Date(listing.t).toISOString().substring(11, 19);
+            status.textContent = `Listed ${time} UTC${listing.complete ? '' : ' (incomplete)'}`;
+        } else {
+            status.textContent = getOBCListingNote(fileBrowserPath);
+        }
+    }
+
+    const tree = document.getElementById('fileBrowserTree');
+    if (!tree) return;
+
+    tree.innerHTML = '';
+    renderFileTreeLevel(tree, fileBrowserPath, 0);
+}
+
+/**
+ * Render the clickable path segments of the current directory
+ */
+function renderFileBreadcrumbs() {
+    const crumbs = document.getElementById('fileBrowserCrumbs');
+    if (!crumbs) return;
+
+    crumbs.innerHTML = '';
+    const segments = fileBrowserPath.split('/').filter(s => s);
+    const paths = ['/', ...segments.map((_, i) => `/${segments.slice(0, i + 1).join('/')}`)];
+
+    paths.forEach((path, i) => {
+        if (i > 1) crumbs.appendChild(document.createTextNode(' / '));
+
+        const crumb = document.createElement('span');
+        crumb.className = 'file-crumb';
+        crumb.textContent = i === 0 ? '/' : segments[i - 1];
+        crumb.onclick = () => openOBCDirectory(path);
+        crumbs.appendChild(crumb);
+    });
+}
+
+/**
+ * Render one directory's entries, recursing into expanded folders
+ * @param {HTMLElement} container - Tree element
+ * @param {string} dir - Directory path
+ * @param {number} depth - Nesting level for indentation
+ */
+function renderFileTreeLevel(container, dir, depth) {
+    const listing = fileListingCache.get(dir);
+    const addNote = text => {
+        const note = document.createElement('div');
+        note.className = 'file-row file-row--note';
+        note.style.paddingLeft = `${depth * 14 + 18}px`;
+        note.textContent = text;
+        container.appendChild(note);
+    };
+
+    if (!listing) {
+        addNote(getOBCListingNote(dir));
+        return;
+    }
+    if (!listing.exists) {
+        addNote('Directory does not exist');
+        return;
+    }
+    if (listing.entries.length === 0) {
+        addNote('Empty');
+        return;
+    }
+
+    const entries = listing.entries.map(name => ({ name, folder: isOBCDirectory(dir, name) }));
+    entries.sort((a, b) => (b.folder - a.folder) || a.name.localeCompare(b.name));
+
+    entries.forEach(({ name, folder }) => {
+        const path = joinOBCPath(dir, name);
+        const row = document.createElement('div');
+        row.className = 'file-row';
+        row.style.paddingLeft = `${depth * 14}px`;
+
+        const caret = document.createElement('span');
+        caret.className = 'file-row__caret';
+        caret.textContent = folder ? (fileTreeExpanded.has(path) ? '▾' : '▸') : '';
+        if (folder) caret.onclick = () => toggleOBCFolder(path);
+
+        const label = document.createElement('span');
+        label.className = folder ? 'file-row__name file-row__name--folder' : 'file-row__name';
+        label.textContent = name.replace(/\/$/, '');
+        label.title = path;
+        if (folder) label.onclick = () => openOBCDirectory(path);
+
+        row.append(caret, label);
+
+        if (!folder) {
+            [['Downlink', () => downlinkOBCFile(path)], ['Retx', () => prepareRetransmit(path)]].forEach(([text, action]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary file-row__btn';
+                button.textContent = text;
+                button.onclick = action;
+                row.appendChild(button);
+            });
+        }
+
+        container.appendChild(row);
+        if (folder && fileTreeExpanded.has(path)) renderFileTreeLevel(container, path, depth + 1);
+    });
+}
+
+/**
+ * Subscribe the file browser to reassembled listings
+ */
+function initFileBrowser() {
+    subscribeTelemetry('FILES', handleFileListing);
+    renderFileBrowser();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.fileBrowserDebug = {
+    getCache: () => fileListingCache,
+    getQueue: () => ({ queued: fileListingQueue.slice(), inFlight: fileListingInFlight && fileListingInFlight.path }),
+    open: openOBCDirectory
+};
@@ -0,0 +1,573 @@
+// Downlink framing engine for TEMPEST Ground Station
+// Splits the raw byte stream into binary packets, newline-delimited packets and text lines.
+// Uses a growable ring buffer so incoming chunks are appended without re-allocating the
+// whole backlog, and hands packets to handlers as zero-copy views where possible.
+// Binary packets can optionally carry a CRC trailer; corrupt or unframeable data is skipped
+// up to the next recognisable packet or line instead of discarding the whole buffer.
+// Packet sizes come from the schema registry (packet-schema.js). No DOM access in this file.
+
+// Configuration
+const FRAMER_INITIAL_CAPACITY = 4096; // Bytes, must be a power of two
+const FRAMER_MAX_UNFRAMED = 1024; // Bytes of unframed text before the buffer is discarded
+const FRAMER_MAX_DELIMITED = 1024; // Longest newline-delimited packet accepted
+const FRAMER_MAX_PREFIXED = 1024; // Longest length-prefixed body accepted (POLL, PHOT)
+
+// Newline-delimited packets (all end with \n from radio.py)
+const DELIMITED_IDENTIFIERS = new Set(getPacketIdentifiers('delimited'));
+
+// Fixed-size binary packets, and length-prefixed ones (4 + uint32 length + body) marked -1
+const BINARY_PACKET_SIZES = Object.fromEntries(
+    [...getPacketIdentifiers('fixed'), ...getPacketIdentifiers('length-prefixed')]
+        .map(id => [id, getPacketSchema(id).size])
+);
+
+// Trailer bytes appended to binary packets for each integrity mode
+const PACKET_TRAILER_SIZES = {
+    'none': 0,
+    'crc16': 2,
+    'crc32': 4
+};
+
+// ============================================================================
+// Integrity Checks
+// ============================================================================
+
+// CRC-32 (IEEE 802.3, as used by zlib) lookup table
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF, no reflection)
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} - 16-bit CRC
+ */
+function crc16Ccitt(bytes) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i] << 8;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * CRC-32 (IEEE 802.3)
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compute the integrity trailer value for a packet
+ * @param {Uint8Array} bytes - Packet bytes from the identifier up to (not including) the trailer
+ * @param {string} integrity - 'crc16' or 'crc32'
+ * @returns {number} - CRC value
+ */
+function packetChecksum(bytes, integrity) {
+    return integrity === 'crc32' ? crc32(bytes) : crc16Ccitt(bytes);
+}
+
+/**
+ * Append an integrity trailer (little-endian) to a binary packet
+ * @param {Uint8Array} bytes - Packet bytes
+ * @param {string} integrity - 'none', 'crc16' or 'crc32'
+ * @returns {Uint8Array} - Packet with trailer (the input itself for 'none')
+ */
+function appendPacketTrailer(bytes, integrity) {
+    const trailerSize = PACKET_TRAILER_SIZES[integrity] || 0;
+    if (trailerSize === 0) return bytes;
+
+    const framed = new Uint8Array(bytes.length + trailerSize);
+    framed.set(bytes);
+    const view = new DataView(framed.buffer);
+    const crc = packetChecksum(bytes, integrity);
+    if (trailerSize === 2) {
+        view.setUint16(bytes.length, crc, true);
+    } else {
+        view.setUint32(bytes.length, crc, true);
+    }
+    return framed;
+}
+
+// ============================================================================
+// Ring Buffer
+// ============================================================================
+
+/**
+ * Create a growable byte ring buffer
+ * @param {number} initialCapacity - Starting capacity in bytes (power of two)
+ * @returns {Object} - Ring buffer
+ */
+function createRingBuffer(initialCapacity = FRAMER_INITIAL_CAPACITY) {
+    let buffer = new Uint8Array(initialCapacity);
+    let mask = initialCapacity - 1;
+    let head = 0; // Index of the first unread byte
+    let length = 0;
+
+    /**
+     * Grow capacity (doubling) and linearise the contents at index 0
+     * @param {number} required - Minimum capacity needed
+     */
+    function grow(required) {
+        let capacity = buffer.length;
+        while (capacity < required) capacity *= 2;
+
+        const next = new Uint8Array(capacity);
+        const firstPart = Math.min(length, buffer.length - head);
+        next.set(buffer.subarray(head, head + firstPart), 0);
+        next.set(buffer.subarray(0, length - firstPart), firstPart);
+
+        buffer = next;
+        mask = capacity - 1;
+        head = 0;
+    }
+
+    return {
+        get length() {
+            return length;
+        },
+
+        get capacity() {
+            return buffer.length;
+        },
+
+        /**
+         * Append bytes at the tail
+         * @param {Uint8Array} data - Bytes to append
+         */
+        push(data) {
+            if (length + data.length > buffer.length) {
+                grow(length + data.length);
+            }
+            const tail = (head + length) & mask;
+            const firstPart = Math.min(data.length, buffer.length - tail);
+            buffer.set(data.subarray(0, firstPart), tail);
+            if (firstPart < data.length) {
+                buffer.set(data.subarray(firstPart), 0);
+            }
+            length += data.length;
+        },
+
+        /**
+         * Read one byte relative to the read position
+         * @param {number} offset - Offset from the read position
+         * @returns {number} - Byte value
+         */
+        byteAt(offset) {
+            return buffer[(head + offset) & mask];
+        },
+
+        /**
+         * Read a little-endian uint32 relative to the read position
+         * @param {number} offset - Offset from the read position
+         * @returns {number} - Unsigned value
+         */
+        uint32At(offset) {
+            return (this.byteAt(offset) |
+                (this.byteAt(offset + 1) << 8) |
+                (this.byteAt(offset + 2) << 16) |
+                (this.byteAt(offset + 3) << 24)) >>> 0;
+        },
+
+        /**
+         * Find the first CR or LF at or after an offset
+         * @param {number} from - Offset to start scanning from
+         * @returns {number} - Offset of the newline, or -1
+         */
+        indexOfNewline(from = 0) {
+            for (let i = from; i < length; i++) {
+                const byte = buffer[(head + i) & mask];
+                if (byte === 0x0A || byte === 0x0D) return i;
+            }
+            return -1;
+        },
+
+        /**
+         * Get bytes as a Uint8Array. Zero-copy when the range is contiguous in the ring;
+         * a fresh copy when it wraps. Views are only valid until the next push() or consume().
+         * @param {number} offset - Offset from the read position
+         * @param {number} count - Number of bytes
+         * @returns {Uint8Array} - Packet bytes
+         */
+        view(offset, count) {
+            const start = (head + offset) & mask;
+            if (start + count <= buffer.length) {
+                return buffer.subarray(start, start + count);
+            }
+            const copy = new Uint8Array(count);
+            const firstPart = buffer.length - start;
+            copy.set(buffer.subarray(start), 0);
+            copy.set(buffer.subarray(0, count - firstPart), firstPart);
+            return copy;
+        },
+
+        /**
+         * Discard bytes from the read position
+         * @param {number} count - Number of bytes to discard
+         */
+        consume(count) {
+            count = Math.min(count, length);
+            head = (head + count) & mask;
+            length -= count;
+            if (length === 0) head = 0;
+        },
+
+        /**
+         * Discard all buffered bytes
+         */
+        clear() {
+            head = 0;
+            length = 0;
+        }
+    };
+}
+
+// ============================================================================
+// Framer
+// ============================================================================
+
+/**
+ * Create a downlink framer
+ * @param {Object} handlers - Frame callbacks
+ * @param {Function} handlers.onPacket - (identifier, bytes) for fixed/length-prefixed binary packets
+ * @param {Function} handlers.onDelimited - (identifier, bytes) for newline-delimited packets
+ * @param {Function} handlers.onLine - (text) for plain text lines
+ * @param {Function} [handlers.onReject] - (reason, identifier, discardedBytes) when data is skipped;
+ *                                           reason is 'crc', 'length', 'overflow' or 'resync'
+ * @param {Object} [options] - Framer options
+ * @param {string} [options.integrity] - Binary packet trailer: 'none' (default), 'crc16' or 'crc32'
+ * @returns {Object} - Framer with push(), clear(), setIntegrity(), length and stats
+ */
+function createFramer(handlers, options = {}) {
+    const ring = createRingBuffer();
+    const decoder = new TextDecoder();
+    let scanFrom = 0; // Bytes already searched for a newline without success
+    let integrity = options.integrity || 'none';
+    let trailerSize = PACKET_TRAILER_SIZES[integrity] || 0;
+
+    const stats = {
+        bytesIn: 0,
+        packets: 0,
+        delimited: 0,
+        lines: 0,
+        overflows: 0,
+        crcErrors: 0,
+        lengthErrors: 0,
+        resyncs: 0,
+        discardedBytes: 0,
+        busyMs: 0
+    };
+
+    /**
+     * Read the 4-byte identifier at the read position
+     * @returns {string} - Identifier with NULs and whitespace removed
+     */
+    function peekIdentifier() {
+        return String.fromCharCode(ring.byteAt(0), ring.byteAt(1), ring.byteAt(2), ring.byteAt(3))
+            .replace(/\0/g, '').trim();
+    }
+
+    /**
+     * Expected size of the binary packet at the read position, including any trailer
+     * @param {string} identifier - Packet identifier
+     * @returns {number} - Packet size, 0 if not binary, -1 if the length header is incomplete,
+     *                     -2 if the length header is implausible
+     */
+    function binaryPacketSize(identifier) {
+        const size = BINARY_PACKET_SIZES[identifier];
+        if (size === undefined) return 0;
+        if (size > 0) return size + trailerSize;
+        if (ring.length < 8) return -1;
+
+        const bodyLength = ring.uint32At(4);
+        return bodyLength > FRAMER_MAX_PREFIXED ? -2 : 8 + bodyLength + trailerSize;
+    }
+
+    /**
+     * Check the integrity trailer of the binary packet at the read position
+     * @param {number} packetSize - Packet size including trailer
+     * @returns {boolean} - True if the trailer matches (always true with integrity 'none')
+     */
+    function trailerValid(packetSize) {
+        if (trailerSize === 0) return true;
+
+        const bodySize = packetSize - trailerSize;
+        let expected = 0;
+        for (let i = trailerSize - 1; i >= 0; i--) {
+            expected = expected * 256 + ring.byteAt(bodySize + i);
+        }
+        return packetChecksum(ring.view(0, bodySize), integrity) === expected;
+    }
+
+    /**
+     * Check whether a known packet identifier starts at an offset
+     * @param {number} offset - Offset from the read position
+     * @returns {boolean} - True if the 4 bytes name a schema packet
+     */
+    function identifierAt(offset) {
+        const id = String.fromCharCode(ring.byteAt(offset), ring.byteAt(offset + 1),
+            ring.byteAt(offset + 2), ring.byteAt(offset + 3)).replace(/\0/g, '').trim();
+        return getPacketSchema(id) !== undefined;
+    }
+
+    /**
+     * Check that a candidate text line contains no control bytes (other than tab).
+     * Ground station console output is printable; control bytes mean binary data whose
+     * identifier was corrupted.
+     * @param {number} count - Line length in bytes
+     * @returns {boolean} - True if the line looks like text
+     */
+    function isTextLine(count) {
+        for (let i = 0; i < count; i++) {
+            const byte = ring.byteAt(i);
+            if (byte < 0x20 && byte !== 0x09) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Skip forward to the next plausible frame boundary: a known packet identifier, or the
+     * start of a new line. If neither is buffered, keep only a possible partial identifier.
+     * @param {number} from - Offset to start searching (bytes before it are always dropped)
+     * @param {string} reason - Why the data is being skipped
+     * @param {string} identifier - Identifier of the rejected frame, if any
+     */
+    function resync(from, reason, identifier = '') {
+        let skip = -1;
+        for (let i = Math.max(from, 1); i < ring.length; i++) {
+            const byte = ring.byteAt(i);
+            if (byte === 0x0A || byte === 0x0D) {
+                skip = i + 1;
+                break;
+            }
+            if (i + 4 <= ring.length && identifierAt(i)) {
+                skip = i;
+                break;
+            }
+        }
+        if (skip < 0) {
+            skip = Math.max(Math.max(from, 1), ring.length - 3);
+        }
+
+        stats.resyncs++;
+        stats.discardedBytes += skip;
+        if (handlers.onReject) handlers.onReject(reason, identifier, skip);
+        consumeWithNewlines(skip);
+    }
+
+    /**
+     * Drop bytes from the read position, then any newlines that follow
+     * @param {number} count - Bytes to drop
+     */
+    function consumeWithNewlines(count) {
+        ring.consume(count);
+        while (ring.length > 0 && (ring.byteAt(0) === 0x0A || ring.byteAt(0) === 0x0D)) {
+            ring.consume(1);
+        }
+        scanFrom = 0;
+    }
+
+    /**
+     * Extract every complete frame currently in the ring
+     */
+    function drain() {
+        while (ring.length > 0) {
+            // Newline-delimited packets (SEND/RETX image data, OBC listings)
+            if (ring.length >= 5) {
+                const identifier = peekIdentifier();
+
+                if (DELIMITED_IDENTIFIERS.has(identifier)) {
+                    const newlinePos = ring.indexOfNewline(Math.max(4, scanFrom));
+
+                    if (newlinePos > 4) {
+                        stats.delimited++;
+                        handlers.onDelimited(identifier, ring.view(0, newlinePos));
+                        consumeWithNewlines(newlinePos + 1);
+                        continue;
+                    } else if (newlinePos === 4) {
+                        // Identifier with no body
+                        consumeWithNewlines(5);
+                        continue;
+                    } else if (ring.length > FRAMER_MAX_DELIMITED) {
+                        // Corrupted newline: look for the next frame after the identifier
+                        stats.overflows++;
+                        resync(4, 'overflow', identifier);
+                        continue;
+                    }
+
+                    // No newline yet — remember how far we searched and wait for more data
+                    scanFrom = ring.length;
+                    break;
+                }
+            }
+
+            // Known binary packet identifiers
+            if (ring.length >= 4) {
+                const identifier = peekIdentifier();
+                const packetSize = binaryPacketSize(identifier);
+
+                if (packetSize > 0 && ring.length >= packetSize) {
+                    if (!trailerValid(packetSize)) {
+                        stats.crcErrors++;
+                        resync(1, 'crc', identifier);
+                        continue;
+                    }
+                    stats.packets++;
+                    handlers.onPacket(identifier, ring.view(0, packetSize - trailerSize));
+                    ring.consume(packetSize);
+                    scanFrom = 0;
+                    continue;
+                } else if (packetSize === -2) {
+                    stats.lengthErrors++;
+                    resync(1, 'length', identifier);
+                    continue;
+                } else if (packetSize !== 0) {
+                    // Not enough data yet (or length header incomplete), wait for more
+                    break;
+                }
+            }
+
+            // Plain text line
+            const newlineIndex = ring.indexOfNewline(scanFrom);
+
+            if (newlineIndex >= 0) {
+                if (!isTextLine(newlineIndex)) {
+                    resync(1, 'resync');
+                    continue;
+                }
+                const line = decoder.decode(ring.view(0, newlineIndex)).trim();
+                if (line) {
+                    stats.lines++;
+                    handlers.onLine(line);
+                }
+                consumeWithNewlines(newlineIndex + 1);
+            } else {
+                // No newline found. If the buffer is getting large with no newlines
+                // or binary packets, skip ahead to the next recognisable packet
+                if (ring.length > FRAMER_MAX_UNFRAMED) {
+                    stats.overflows++;
+                    resync(1, 'overflow');
+                    continue;
+                }
+                scanFrom = ring.length;
+                break;
+            }
+        }
+    }
+
+    return {
+        stats,
+
+        get length() {
+            return ring.length;
+        },
+
+        get capacity() {
+            return ring.capacity;
+        },
+
+        /**
+         * Append a received chunk and emit every complete frame
+         * @param {Uint8Array} data - Raw chunk
+         */
+        push(data) {
+            const started = performance.now();
+            stats.bytesIn += data.length;
+            ring.push(data);
+            drain();
+            stats.busyMs += performance.now() - started;
+        },
+
+        /**
+         * Discard buffered, unframed bytes
+         */
+        clear() {
+            ring.clear();
+            scanFrom = 0;
+        },
+
+        /**
+         * Change the binary packet integrity mode
+         * @param {string} mode - 'none', 'crc16' or 'crc32'
+         */
+        setIntegrity(mode) {
+            integrity = mode in PACKET_TRAILER_SIZES ? mode : 'none';
+            trailerSize = PACKET_TRAILER_SIZES[integrity];
+        }
+    };
+}
+
+// ============================================================================
+// Benchmark
+// ============================================================================
+
+/**
+ * Measure framing throughput on a synthetic downlink (image chunks, telemetry and text)
+ * @param {number} totalBytes - Approximate stream size to generate
+ * @param {number} chunkSize - Bytes per push, like a serial read
+ * @returns {Object} - Benchmark results
+ */
+function runFramingBenchmark(totalBytes = 4 * 1024 * 1024, chunkSize = 64) {
+    const encoder = new TextEncoder();
+
+    // One cycle: 10 image chunks, a few binary packets, one text line
+    const parts = [];
+    const base64 = 'QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo0NTY3ODkrLw'.repeat(5).slice(0, 200);
+    for (let i = 0; i < 10; i++) {
+        parts.push(encoder.encode(`SEND${base64}0500${String(i).padStart(4, '0')}\n`));
+    }
+    const gyro = new Uint8Array(16);
+    gyro.set(encoder.encode('GYRO'));
+    const epss = new Uint8Array(28);
+    epss.set(encoder.encode('EPSS'));
+    parts.push(gyro, epss, encoder.encode('Received packet: 213 bytes\n'));
+
+    const cycleLength = parts.reduce((sum, p) => sum + p.length, 0);
+    const cycles = Math.max(1, Math.ceil(totalBytes / cycleLength));
+    const stream = new Uint8Array(cycleLength * cycles);
+    let offset = 0;
+    for (let c = 0; c < cycles; c++) {
+        for (const part of parts) {
+            stream.set(part, offset);
+            offset += part.length;
+        }
+    }
+
+    let frames = 0;
+    const framer = createFramer({
+        onPacket: () => frames++,
+        onDelimited: () => frames++,
+        onLine: () => frames++
+    });
+
+    const started = performance.now();
+    for (let i = 0; i < stream.length; i += chunkSize) {
+        framer.push(stream.subarray(i, i + chunkSize));
+    }
+    const elapsedMs = performance.now() - started;
+
+    return {
+        bytes: stream.length,
+        frames,
+        elapsedMs,
+        bytesPerSec: stream.length / (elapsedMs / 1000),
+        framesPerSec: frames / (elapsedMs / 1000)
+    };
+}
@@ -0,0 +1,375 @@
+// Automatic retransmission (ARQ) for TEMPEST Ground Station image downlinks
+// When a transfer ends with chunks missing (XFRC marker, or the downlink times out), the missing
+// chunks are requested with RETRANSMIT in batches (see requestRetransmission()), then the manager
+// waits until RETX chunks stop arriving. If chunks are still missing it backs off and asks again,
+// until the image completes or the transfer's retransmit budget (MAX_RETRANSMIT_ATTEMPTS, shared
+// with manual requests) is spent. The Image Transfers panel shows every active transfer with its
+// progress and retransmission state; automatic mode can be switched off there.
+
+// Retransmission state by transfer id: { state, reason, nextTime, waitStart, missingAtStart }
+// States: backoff (waiting to request), requesting, waiting (for RETX), complete, failed, stopped
+const imageArq = new Map();
+let imageArqEnabled = true;
+let imageArqTimer = null;
+
+// Configuration
+const ARQ_FIRST_DELAY = 1000; // ms after XFRC/timeout before the first request, for stragglers
+const ARQ_BACKOFF_BASE = 5000; // ms before the second request, doubled for each later one
+const ARQ_BACKOFF_MAX = 60000; // ms
+const ARQ_MIN_QUIET = 5000; // ms without RETX chunks after which a request is considered answered
+const ARQ_KEEP_FINISHED = 60000; // ms a completed or failed transfer stays listed
+const ARQ_ENABLED_KEY = 'tempest.autoRetransmit';
+
+const ARQ_STATE_TEXT = {
+    backoff: 'Retry in',
+    requesting: 'Requesting...',
+    waiting: 'Awaiting RETX',
+    complete: 'Complete',
+    failed: 'Gave up',
+    stopped: 'Manual'
+};
+
+// ============================================================================
+// Retransmission Cycle
+// ============================================================================
+
+/**
+ * Take over retransmission of a transfer with missing chunks
+ * Called when a downlink ends (XFRC) or times out.
+ * @param {string} imageId - Transfer id
+ * @param {string} reason - 'xfrc' or 'timeout'
+ * @returns {boolean} - True if automatic retransmission is handling the transfer
+ */
+function scheduleImageRetransmit(imageId, reason) {
+    if (!imageArqEnabled || !imageReceptions.has(imageId)) return false;
+
+    if (isImageArqActive(imageId)) return true;
+    // A transfer the operator stopped, or whose attempts are spent, stays with the operator
+    const state = imageArq.get(imageId)?.state;
+    if (state === 'stopped' || state === 'failed') return false;
+    if (imageReceptions.get(imageId).retransmitAttempts >= MAX_RETRANSMIT_ATTEMPTS) return false;
+
+    imageArq.set(imageId, createImageArqState(imageId, reason, Date.now() + ARQ_FIRST_DELAY));
+    renderImageTransfers();
+    return true;
+}
+
+/**
+ * New retransmission state for a transfer
+ * @param {string} imageId - Transfer id
+ * @param {string} reason - 'xfrc', 'timeout' or 'manual'
+ * @param {number} nextTime - Time of the first request in ms
+ * @returns {Object} - Retransmission state
+ */
+function createImageArqState(imageId, reason, nextTime) {
+    const imageInfo = imageReceptions.get(imageId);
+    return {
+        state: 'backoff',
+        reason,
+        nextTime,
+        waitStart: 0,
+        missingAtStart: imageInfo.totalChunks - imageInfo.receivedChunks.size
+    };
+}
+
+/**
+ * Whether a transfer is in an automatic retransmission cycle
+ * @param {string} imageId - Transfer id
+ * @returns {boolean} - True while waiting to request, requesting or awaiting RETX chunks
+ */
+function isImageArqActive(imageId) {
+    const arq = imageArq.get(imageId);
+    return !!arq && (arq.state === 'backoff' || arq.state === 'requesting' || arq.state === 'waiting');
+}
+
+/**
+ * Delay before the next request, doubling with each attempt made
+ * @param {number} attempts - Requests made so far
+ * @returns {number} - Delay in ms
+ */
+function getImageArqBackoff(attempts) {
+    return Math.min(ARQ_BACKOFF_MAX, ARQ_BACKOFF_BASE * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Time to wait without RETX arrivals before deciding a request has been answered
+ * Scaled to the chunk rate seen during the original downlink.
+ * @param {Object} imageInfo - Transfer info
+ * @returns {number} - Quiet period in ms
+ */
+function getImageArqQuietPeriod(imageInfo) {
+    const received = imageInfo.receivedChunks.size;
+    const chunkInterval = received > 1 ? (imageInfo.lastPacketTime - imageInfo.startTime) / (received - 1) : 0;
+    return Math.max(ARQ_MIN_QUIET, chunkInterval * 4);
+}
+
+/**
+ * Request the missing chunks of a transfer
+ * @param {string} imageId - Transfer id
+ * @param {Object} arq - Retransmission state
+ */
+async function sendImageArqRequest(imageId, arq) {
+    arq.state = 'requesting';
+    renderImageTransfers();
+
+    await requestRetransmission(imageId);
+
+    if (arq.state === 'requesting') {
+        arq.state = 'waiting';
+        arq.waitStart = Date.now();
+    }
+    renderImageTransfers();
+}
+
+/**
+ * Advance every retransmission cycle (runs every second)
+ */
+function stepImageArq() {
+    const now = Date.now();
+
+    imageArq.forEach((arq, imageId) => {
+        const imageInfo = imageReceptions.get(imageId);
+
+        if (arq.state === 'complete' || arq.state === 'failed' || arq.state === 'stopped') {
+            // Finished transfers stay listed for a while; stopped ones until they are cleared
+            if (!imageInfo && now - arq.nextTime > ARQ_KEEP_FINISHED) imageArq.delete(imageId);
+            return;
+        }
+
+        // Reception gone without endImageArq() (shouldn't happen): nothing left to retransmit
+        if (!imageInfo) {
+            imageArq.delete(imageId);
+            return;
+        }
+
+        if (arq.state === 'waiting') {
+            if (imageInfo.receivedChunks.size === imageInfo.totalChunks) return; // Being assembled
+            const lastArrival = Math.max(arq.waitStart, imageInfo.lastPacketTime);
+            if (now - lastArrival < getImageArqQuietPeriod(imageInfo)) return;
+
+            if (imageInfo.retransmitAttempts >= MAX_RETRANSMIT_ATTEMPTS) {
+                arq.state = 'failed';
+                arq.nextTime = now;
+                const missing = imageInfo.totalChunks - imageInfo.receivedChunks.size;
+                logToTerminal(`Automatic retransmission of ${imageId} gave up after ${imageInfo.retransmitAttempts} attempts, ${missing} chunks still missing`, 'error');
+                return;
+            }
+            arq.state = 'backoff';
+            arq.nextTime = now + getImageArqBackoff(imageInfo.retransmitAttempts);
+        }
+
+        if (arq.state === 'backoff' && now >= arq.nextTime) {
+            // Don't spend attempts while the link is down
+            if (typeof isSerialConnected === 'function' && !isSerialConnected()) return;
+
+            if (imageInfo.retransmitAttempts >= MAX_RETRANSMIT_ATTEMPTS) {
+                arq.state = 'failed';
+                arq.nextTime = now;
+                logToTerminal(`No retransmit attempts left for ${imageId}`, 'warning');
+                return;
+            }
+            // RETX chunks of another file this size are still expected; both would be dropped
+            if (findRetransmitConflict(imageInfo)) return;
+            sendImageArqRequest(imageId, arq);
+        }
+    });
+
+    renderImageTransfers();
+}
+
+/**
+ * End a transfer's retransmission cycle when its reception ends
+ * @param {string} imageId - Transfer id
+ * @param {string|null} outcome - 'complete' when the image was assembled, 'failed' when assembly
+ *                                failed, null when the reception was cleared or dropped
+ */
+function endImageArq(imageId, outcome) {
+    const arq = imageArq.get(imageId);
+    if (!arq) return;
+
+    if (!outcome) {
+        imageArq.delete(imageId);
+    } else {
+        if (outcome === 'complete' && isImageArqActive(imageId)) {
+            logToTerminal(`Image ${imageId} recovered by automatic retransmission (${arq.missingAtStart} chunks)`, 'response');
+        }
+        arq.state = outcome;
+        arq.nextTime = Date.now();
+    }
+    renderImageTransfers();
+}
+
+// ============================================================================
+// Operator Control
+// ============================================================================
+
+/**
+ * Switch automatic retransmission on or off
+ * Turning it off leaves transfers in a cycle with the operator.
+ * @param {boolean} enabled - Automatic mode
+ */
+function setImageArqEnabled(enabled) {
+    imageArqEnabled = enabled;
+    try {
+        localStorage.setItem(ARQ_ENABLED_KEY, JSON.stringify(enabled));
+    } catch (error) {
+        logToTerminal(`Unable to save retransmission setting: ${error.message}`, 'warning');
+    }
+
+    if (!enabled) {
+        imageArq.forEach(arq => {
+            if (arq.state === 'backoff' || arq.state === 'waiting') arq.state = 'stopped';
+        });
+    }
+    renderImageTransfers();
+}
+
+/**
+ * Request a transfer's missing chunks now, outside the backoff schedule
+ * @param {string} imageId - Transfer id
+ */
+function retryImageTransfer(imageId) {
+    const imageInfo = imageReceptions.get(imageId);
+    if (!imageInfo || imageInfo.totalChunks === null) return;
+
+    if (!imageArqEnabled) {
+        requestRetransmission(imageId);
+        return;
+    }
+
+    let arq = imageArq.get(imageId);
+    if (!arq || arq.state === 'failed' || arq.state === 'stopped') {
+        arq = createImageArqState(imageId, 'manual', 0);
+        imageArq.set(imageId, arq);
+    }
+    if (arq.state === 'backoff' || arq.state === 'waiting') {
+        arq.state = 'backoff';
+        arq.nextTime = 0;
+        stepImageArq();
+    }
+}
+
+/**
+ * Stop automatic retransmission of one transfer
+ * @param {string} imageId - Transfer id
+ */
+function stopImageTransferArq(imageId) {
+    const arq = imageArq.get(imageId);
+    if (arq && arq.state !== 'complete') {
+        arq.state = 'stopped';
+        renderImageTransfers();
+    }
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Render the active transfers with progress and retransmission state
+ */
+function renderImageTransfers() {
+    const list = document.getElementById('imageTransferList');
+    if (!list) return;
+
+    const now = Date.now();
+    const ids = Array.from(new Set([...imageReceptions.keys(), ...imageArq.keys()]));
+    list.innerHTML = '';
+
+    if (ids.length === 0) {
+        list.textContent = 'No active transfers';
+    }
+
+    ids.forEach(imageId => {
+        const imageInfo = imageReceptions.get(imageId);
+        const arq = imageArq.get(imageId);
+
+        const row = document.createElement('div');
+        row.className = `transfer-row transfer-row--${arq ? arq.state : 'receiving'}`;
+
+        const name = document.createElement('span');
+        name.className = 'transfer-row__name';
+        name.textContent = imageId;
+        if (imageInfo) name.title = imageInfo.filename.replace(/\.chunked$/, '');
+
+        const bar = document.createElement('div');
+        bar.className = 'transfer-bar';
+        const fill = document.createElement('div');
+        fill.className = 'transfer-bar__fill';
+        const total = imageInfo ? imageInfo.totalChunks : null;
+        const received = imageInfo ? imageInfo.receivedChunks.size : 0;
+        fill.style.width = imageInfo ? `${total ? received / total * 100 : 0}%` : '100%';
+        bar.appendChild(fill);
+
+        const count = document.createElement('span');
+        count.className = 'transfer-row__count';
+        count.textContent = imageInfo ? (total === null ? 'waiting' : `${received}/${total}`) : 'done';
+
+        const state = document.createElement('span');
+        state.className = 'transfer-row__state';
+        if (arq) {
+            state.textContent = arq.state === 'backoff'
+                ? `${ARQ_STATE_TEXT.backoff} ${Math.max(0, Math.ceil((arq.nextTime - now) / 1000))}s`
+                : ARQ_STATE_TEXT[arq.state];
+        } else {
+            state.textContent = 'Receiving';
+        }
+        if (imageInfo) state.textContent += ` (${imageInfo.retransmitAttempts}/${MAX_RETRANSMIT_ATTEMPTS})`;
+
+        row.append(name, bar, count, state);
+
+        if (imageInfo && total !== null) {
+            const retry = document.createElement('button');
+            retry.className = 'btn btn-secondary transfer-row__btn';
+            retry.textContent = 'Retx';
+            retry.title = 'Request missing chunks now';
+            retry.disabled = received === total || imageInfo.retransmitAttempts >= MAX_RETRANSMIT_ATTEMPTS ||
+                (arq && (arq.state === 'requesting'));
+            retry.onclick = () => retryImageTransfer(imageId);
+
+            const stop = document.createElement('button');
+            stop.className = 'btn btn-secondary transfer-row__btn';
+            stop.textContent = 'Stop';
+            stop.title = 'Stop automatic retransmission of this image';
+            stop.disabled = !arq || arq.state === 'stopped' || arq.state === 'failed' || arq.state === 'requesting';
+            stop.onclick = () => stopImageTransferArq(imageId);
+
+            row.append(retry, stop);
+        }
+
+        list.appendChild(row);
+    });
+
+    const dot = document.getElementById('imageTransferDot');
+    if (dot) {
+        const states = Array.from(imageArq.values()).map(arq => arq.state);
+        let status = imageReceptions.size > 0 ? 'normal' : 'off';
+        if (Array.from(imageArq.keys()).some(isImageArqActive)) status = 'caution';
+        if (states.includes('failed')) status = 'serious';
+        dot.className = `status-symbol status-symbol--${status}`;
+    }
+}
+
+/**
+ * Load the automatic mode setting and start the retransmission cycle
+ */
+function initImageArq() {
+    imageArqEnabled = loadSavedSettings(ARQ_ENABLED_KEY, true, saved => typeof saved === 'boolean');
+
+    const toggle = document.getElementById('autoRetransmit');
+    if (toggle) toggle.checked = imageArqEnabled;
+
+    if (imageArqTimer) clearInterval(imageArqTimer);
+    imageArqTimer = setInterval(stepImageArq, 1000);
+    renderImageTransfers();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.imageArqDebug = {
+    getState: () => imageArq,
+    step: stepImageArq,
+    backoff: getImageArqBackoff
+};
@@ -0,0 +1,129 @@
+// Image packet parsing and reassembly for TEMPEST Ground Station
+// Parses SEND/RETX chunk packets and turns a complete set of base64 chunks into
+// the .jpg.gz and decompressed .jpg bytes. No DOM access in this file:
+// it runs inside the downlink worker, with image-processing.js tracking receptions on the UI thread.
+
+// ============================================================================
+// Chunk Packet Parsing
+// ============================================================================
+
+/**
+ * Parse a SEND/RETX packet
+ * Packet format: SEND[base64_data][4-digit total][4-digit current]
+ * Short packets without chunk metadata are text responses from the satellite.
+ * @param {Uint8Array} packet - SEND or RETX packet without trailing newline
+ * @returns {Object} - { kind: 'chunk', identifier, chunkData, totalChunks, currentChunk }
+ *                     | { kind: 'text', text } | { kind: 'invalid', message }
+ */
+function parseImagePacket(packet) {
+    // Convert packet to string
+    const packetStr = new TextDecoder().decode(packet);
+
+    // Validate SEND/RETX header
+    const identifier = packetStr.substring(0, 4);
+    if (identifier !== 'SEND' && identifier !== 'RETX') {
+        return { kind: 'invalid', message: 'Packet does not start with SEND/RETX identifier' };
+    }
+
+    // Find the last position that could be valid packet data
+    let validEnd = packetStr.length;
+    for (let i = packetStr.length - 1; i >= 4; i--) {
+        if (!/[A-Za-z0-9\/+=]/.test(packetStr[i])) {
+            validEnd = i;
+        } else {
+            // Found a valid character, stop here
+            break;
+        }
+    }
+
+    // Command responses are short and don't have the 8-digit metadata pattern
+    const asText = () => ({ kind: 'text', text: packetStr.slice(4, validEnd).trim() });
+
+    // Too short to contain base64 + metadata
+    if (validEnd <= 12) {
+        return asText();
+    }
+
+    // The metadata should be the last 8 characters of valid data
+    const metadataStart = validEnd - 8;
+    if (!/^\d{8}$/.test(packetStr.slice(metadataStart, validEnd))) {
+        return asText();
+    }
+
+    const totalChunks = parseInt(packetStr.slice(metadataStart, metadataStart + 4), 10);
+    const currentChunk = parseInt(packetStr.slice(metadataStart + 4, metadataStart + 8), 10);
+
+    // Invalid metadata or chunk number - display as unknown/malformed packet
+    if (isNaN(totalChunks) || isNaN(currentChunk) || totalChunks <= 0 || currentChunk < 0 ||
+        currentChunk >= totalChunks) {
+        return asText();
+    }
+
+    // Extract base64 data (between SEND header and metadata)
+    const chunkData = packetStr.slice(4, metadataStart);
+    if (chunkData.length === 0) {
+        return { kind: 'invalid', message: 'Empty chunk data in SEND packet' };
+    }
+
+    return { kind: 'chunk', identifier, chunkData, totalChunks, currentChunk };
+}
+
+// ============================================================================
+// Image Reassembly
+// ============================================================================
+
+/**
+ * Reassemble a complete image from its base64 chunks
+ * @param {string[]} chunks - Base64 chunks in order
+ * @returns {Promise<Object>} - { gz, jpg, warnings } on success, { error } on failure.
+ *                              jpg is null when gzip decompression fails.
+ */
+async function assembleImage(chunks) {
+    const warnings = [];
+
+    // Remove padding (==) from all chunks except the last one
+    // Base64 padding should only be at the very end of the complete string
+    const last = chunks.length - 1;
+    const reconstructedData = chunks.map((chunk, i) => i < last ? chunk.replace(/=+$/, '') : chunk).join('');
+
+    // Validate base64 format
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(reconstructedData)) {
+        const invalid = [];
+        for (let i = 0; i < reconstructedData.length && invalid.length < 50; i++) {
+            if (!/[A-Za-z0-9+/=]/.test(reconstructedData[i])) {
+                invalid.push(`${i}:'${reconstructedData[i]}'`);
+            }
+        }
+        return { error: 'Invalid base64 characters detected', detail: invalid.join(' ') };
+    }
+
+    // Decode base64 data
+    let gz;
+    try {
+        const binaryData = atob(reconstructedData);
+        gz = new Uint8Array(binaryData.length);
+        for (let i = 0; i < binaryData.length; i++) {
+            gz[i] = binaryData.charCodeAt(i);
+        }
+    } catch (decodeError) {
+        return { error: `Failed to decode: ${decodeError.message}`, detail: reconstructedData.substring(0, 200) };
+    }
+
+    // Validate gzip magic number
+    if (gz.length < 2 || gz[0] !== 0x1f || gz[1] !== 0x8b) {
+        warnings.push(`File doesn't start with gzip magic number (0x1f 0x8b)`);
+    }
+
+    // Decompress with the DecompressionStream API
+    let jpg = null;
+    try {
+        const decompressed = await new Response(
+            new Blob([gz]).stream().pipeThrough(new DecompressionStream('gzip'))
+        ).arrayBuffer();
+        jpg = new Uint8Array(decompressed);
+    } catch (decompressError) {
+        warnings.push(`Failed to decompress gzip: ${decompressError.message}`);
+    }
+
+    return { gz, jpg, warnings };
+}
@@ -0,0 +1,492 @@
+// Image gallery for TEMPEST Ground Station
+// Every completed image is stored in IndexedDB with its filename, capture metadata (when the
+// PHOT reply for the same file was seen), transfer statistics and reception time, so received
+// images survive page reloads and terminal clears. The gallery panel shows thumbnails; a viewer
+// shows the full-size image with download and delete, and selected images can be downloaded
+// or deleted together.
+//
+// Object URLs are only created for what is on screen and are revoked when the gallery is
+// re-rendered or the viewer is closed.
+
+// Global variables for the gallery
+let galleryDb = null; // IDBDatabase once opened
+let galleryDbOpening = null; // Promise while opening
+let galleryImages = []; // Stored records without the image blobs, newest first
+const gallerySelection = new Set(); // Selected image ids
+let galleryThumbnailUrls = []; // Object URLs shown in the thumbnail grid
+let galleryViewerUrl = null; // Object URL of the image in the viewer
+let galleryViewerId = null;
+let photoCaptures = []; // [{ path, t }] from PHOT replies, newest first
+
+// Configuration
+const GALLERY_DB_NAME = 'tempest-images';
+const GALLERY_DB_VERSION = 1;
+const GALLERY_THUMBNAIL_SIZE = 160; // px, longest side
+const GALLERY_DOWNLOAD_DELAY = 300; // ms between files in a bulk download
+const PHOTO_CAPTURES_KEY = 'tempest.photoCaptures';
+const PHOTO_CAPTURES_MAX = 100;
+
+// ============================================================================
+// Database
+// ============================================================================
+
+/**
+ * Open (or create) the image database
+ * Object store:
+ *   images - { id, filename, receivedAt, session, capture, transfer, width, height,
+ *              jpg, gz, thumbnail } with index receivedAt
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openImageGallery() {
+    if (galleryDb) return Promise.resolve(galleryDb);
+    if (galleryDbOpening) return galleryDbOpening;
+
+    galleryDbOpening = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(GALLERY_DB_NAME, GALLERY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const images = request.result.createObjectStore('images', { keyPath: 'id', autoIncrement: true });
+            images.createIndex('receivedAt', 'receivedAt');
+        };
+
+        request.onsuccess = () => {
+            galleryDb = request.result;
+            resolve(galleryDb);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+
+    galleryDbOpening.catch(error => {
+        galleryDbOpening = null;
+        console.warn(`Image gallery unavailable: ${error.message}`);
+    });
+
+    return galleryDbOpening;
+}
+
+/**
+ * Run one request against the images store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function galleryRequest(mode, makeRequest) {
+    const db = await openImageGallery();
+    return galleryPromise(makeRequest(db.transaction('images', mode).objectStore('images')));
+}
+
+/**
+ * Wrap an IDBRequest or IDBTransaction in a promise, using the telemetry store's helper
+ * @param {IDBRequest|IDBTransaction} target - Request or transaction
+ * @returns {Promise<*>} - Request result, or undefined for a transaction
+ */
+function galleryPromise(target) {
+    if (typeof telemetryRequest !== 'function') {
+        return Promise.reject(new Error('telemetry store not loaded'));
+    }
+    return telemetryRequest(target);
+}
+
+// ============================================================================
+// Capture Metadata
+// ============================================================================
+
+/**
+ * Remember where and when a photo was taken (telemetry bus subscriber)
+ * @param {Object} event - PHOT event { t, filename }
+ */
+function recordPhotoCapture(event) {
+    photoCaptures.unshift({ path: event.filename, t: event.t });
+    photoCaptures = photoCaptures.slice(0, PHOTO_CAPTURES_MAX);
+
+    try {
+        localStorage.setItem(PHOTO_CAPTURES_KEY, JSON.stringify(photoCaptures));
+    } catch (error) {
+        logToTerminal(`Unable to save photo captures: ${error.message}`, 'warning');
+    }
+}
+
+/**
+ * Capture record for a downlinked file, matched by path or, failing that, by file name
+ * @param {string} filename - File name or path as requested with SEND_IMAGE
+ * @returns {Object|null} - { path, t } or null if the capture wasn't seen
+ */
+function findPhotoCapture(filename) {
+    const baseName = name => name.split('/').pop();
+    return photoCaptures.find(capture => capture.path === filename)
+        || photoCaptures.find(capture => baseName(capture.path) === baseName(filename))
+        || null;
+}
+
+// ============================================================================
+// Saving
+// ============================================================================
+
+/**
+ * Scale an image down to a JPEG thumbnail
+ * @param {Blob} jpg - Full-size JPEG
+ * @returns {Promise<Object>} - { thumbnail, width, height } of the full-size image
+ */
+async function makeGalleryThumbnail(jpg) {
+    const bitmap = await createImageBitmap(jpg);
+    const scale = Math.min(1, GALLERY_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    const { width, height } = bitmap;
+    bitmap.close();
+    return { thumbnail, width, height };
+}
+
+/**
+ * Store a completed image in the gallery
+ * @param {Object} image - { filename, jpg, gz, transfer }; jpg is null if decompression failed,
+ *                         transfer is { id, chunks, duration, retransmits }
+ * @returns {Promise<number>} - Id of the stored record
+ */
+async function saveGalleryImage(image) {
+    const gz = new Blob([image.gz], { type: 'application/gzip' });
+    const jpg = image.jpg ? new Blob([image.jpg], { type: 'image/jpeg' }) : null;
+
+    let preview = { thumbnail: null, width: null, height: null };
+    if (jpg) {
+        try {
+            preview = await makeGalleryThumbnail(jpg);
+        } catch (error) {
+            logToTerminal(`Image ${image.filename} could not be previewed: ${error.message}`, 'warning');
+        }
+    }
+
+    const record = {
+        filename: image.filename,
+        receivedAt: Date.now(),
+        session: typeof telemetrySession === 'string' ? telemetrySession : null,
+        capture: findPhotoCapture(image.filename),
+        transfer: { ...image.transfer, gzBytes: gz.size, jpgBytes: jpg ? jpg.size : 0 },
+        width: preview.width,
+        height: preview.height,
+        jpg,
+        gz,
+        thumbnail: preview.thumbnail
+    };
+
+    const id = await galleryRequest('readwrite', store => store.add(record));
+    await refreshImageGallery();
+    return id;
+}
+
+/**
+ * Delete images from the gallery
+ * @param {number[]} ids - Record ids
+ */
+async function deleteGalleryImages(ids) {
+    if (ids.length === 0) return;
+    if (!confirm(`Delete ${ids.length === 1 ? 'this image' : `${ids.length} images`} from the gallery?`)) return;
+
+    try {
+        const db = await openImageGallery();
+        const transaction = db.transaction('images', 'readwrite');
+        ids.forEach(id => transaction.objectStore('images').delete(id));
+        await galleryPromise(transaction);
+    } catch (error) {
+        logToTerminal(`Unable to delete images: ${error.message}`, 'error');
+        return;
+    }
+
+    ids.forEach(id => gallerySelection.delete(id));
+    if (ids.includes(galleryViewerId)) closeGalleryViewer();
+    await refreshImageGallery();
+}
+
+// ============================================================================
+// Downloads
+// ============================================================================
+
+/**
+ * Download a blob, revoking its object URL afterwards
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+function downloadGalleryBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Download name for a stored image
+ * @param {Object} record - Gallery record
+ * @param {string} format - 'jpg' or 'gz'
+ * @returns {string} - e.g. "3_20240501T120000Z.jpg"
+ */
+function galleryDownloadName(record, format) {
+    const base = record.filename.split('/').pop().replace(/\.jpg(\.gz)?$/, '');
+    const stamp = new Date(record.receivedAt).toISOString().replace(/[-:]|\.\d+/g, '');
+    return `${base}_${stamp}.${format === 'jpg' ? 'jpg' : 'jpg.gz'}`;
+}
+
+/**
+ * Download one image, as JPEG if it was decompressed
+ * @param {number} id - Record id
+ * @param {string} [format] - 'jpg' or 'gz'; defaults to jpg when available
+ */
+async function downloadGalleryImage(id, format) {
+    try {
+        const record = await galleryRequest('readonly', store => store.get(id));
+        if (!record) return;
+
+        const useJpg = record.jpg && format !== 'gz';
+        downloadGalleryBlob(useJpg ? record.jpg : record.gz, galleryDownloadName(record, useJpg ? 'jpg' : 'gz'));
+    } catch (error) {
+        logToTerminal(`Unable to download image: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Download the selected images, or all of them when nothing is selected
+ */
+async function downloadSelectedGalleryImages() {
+    const ids = gallerySelection.size > 0 ? Array.from(gallerySelection) : galleryImages.map(image => image.id);
+    if (ids.length === 0) return;
+
+    logToTerminal(`Downloading ${ids.length} image${ids.length === 1 ? '' : 's'} from the gallery`, 'info');
+    try {
+        for (const id of ids) {
+            await downloadGalleryImage(id);
+            // Browsers drop downloads that are started too close together
+            await new Promise(resolve => setTimeout(resolve, GALLERY_DOWNLOAD_DELAY));
+        }
+    } catch (error) {
+        logToTerminal(`Unable to download images: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Delete the selected images
+ */
+function deleteSelectedGalleryImages() {
+    deleteGalleryImages(Array.from(gallerySelection));
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Reload the image list (without blobs) and re-render the gallery
+ */
+async function refreshImageGallery() {
+    try {
+        const records = await galleryRequest('readonly', store => store.getAll());
+        galleryImages = records
+            .map(({ jpg, gz, ...record }) => ({ ...record, hasJpg: !!jpg }))
+            .sort((a, b) => b.receivedAt - a.receivedAt);
+    } catch (error) {
+        galleryImages = [];
+    }
+
+    // Drop selections of images that no longer exist
+    const ids = new Set(galleryImages.map(image => image.id));
+    gallerySelection.forEach(id => { if (!ids.has(id)) gallerySelection.delete(id); });
+
+    renderImageGallery();
+}
+
+/**
+ * Render the thumbnail grid
+ */
+function renderImageGallery() {
+    const grid = document.getElementById('galleryGrid');
+    if (!grid) return;
+
+    galleryThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    galleryThumbnailUrls = [];
+    grid.innerHTML = '';
+
+    if (galleryImages.length === 0) {
+        grid.textContent = galleryDb ? 'No images received yet' : 'Image storage unavailable';
+    }
+
+    galleryImages.forEach(image => {
+        const tile = document.createElement('div');
+        tile.className = 'gallery-tile';
+        if (gallerySelection.has(image.id)) tile.classList.add('gallery-tile--selected');
+        tile.title = `${image.filename}\n${new Date(image.receivedAt).toISOString().replace('T', ' ').substring(0, 19)} UTC`;
+        tile.onclick = () => openGalleryViewer(image.id);
+
+        if (image.thumbnail) {
+            const url = URL.createObjectURL(image.thumbnail);
+            galleryThumbnailUrls.push(url);
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = image.filename;
+            tile.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'gallery-tile__placeholder';
+            placeholder.textContent = image.hasJpg ? 'JPG' : 'GZ';
+            tile.appendChild(placeholder);
+        }
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'gallery-tile__select';
+        select.checked = gallerySelection.has(image.id);
+        select.onclick = (event) => {
+            event.stopPropagation();
+            if (select.checked) gallerySelection.add(image.id);
+            else gallerySelection.delete(image.id);
+            tile.classList.toggle('gallery-tile--selected', select.checked);
+            updateGallerySummary();
+        };
+        tile.appendChild(select);
+
+        const caption = document.createElement('div');
+        caption.className = 'gallery-tile__caption';
+        caption.textContent = image.filename.split('/').pop();
+        tile.appendChild(caption);
+
+        grid.appendChild(tile);
+    });
+
+    updateGallerySummary();
+}
+
+/**
+ * Show the image count, stored size and selection in the panel header
+ */
+function updateGallerySummary() {
+    const info = document.getElementById('galleryInfo');
+    if (info) {
+        const bytes = galleryImages.reduce((total, image) => total + (image.transfer.gzBytes || 0) + (image.transfer.jpgBytes || 0), 0);
+        const selected = gallerySelection.size > 0 ? `, ${gallerySelection.size} selected` : '';
+        info.textContent = `${galleryImages.length} images, ${(bytes / 1048576).toFixed(1)} MB${selected}`;
+    }
+
+    const download = document.getElementById('galleryDownloadBtn');
+    if (download) download.textContent = gallerySelection.size > 0 ? 'Download' : 'Download All';
+
+    const remove = document.getElementById('galleryDeleteBtn');
+    if (remove) remove.disabled = gallerySelection.size === 0;
+}
+
+/**
+ * Open the full-size viewer for an image
+ * @param {number} id - Record id
+ */
+async function openGalleryViewer(id) {
+    let record;
+    try {
+        record = await galleryRequest('readonly', store => store.get(id));
+    } catch (error) {
+        logToTerminal(`Unable to open image: ${error.message}`, 'error');
+        return;
+    }
+    if (!record) return;
+
+    closeGalleryViewer();
+    galleryViewerId = id;
+
+    const image = document.getElementById('galleryViewerImage');
+    if (image) {
+        galleryViewerUrl = record.jpg ? URL.createObjectURL(record.jpg) : null;
+        image.src = galleryViewerUrl || '';
+        image.style.display = galleryViewerUrl ? '' : 'none';
+    }
+
+    const title = document.getElementById('galleryViewerTitle');
+    if (title) title.textContent = record.filename.split('/').pop();
+
+    const utc = t => `${new Date(t).toISOString().replace('T', ' ').substring(0, 19)} UTC`;
+    // Live sessions are tagged with their ISO start time, replays with 'replay:<name>'
+    const session = value => /^\d{4}-\d\d-\d\dT/.test(value) ? utc(value) : value;
+    const { transfer } = record;
+    const rows = [
+        ['File', record.filename],
+        ['Captured', record.capture ? utc(record.capture.t) : 'Not seen'],
+        ['Received', utc(record.receivedAt)],
+        ['Session', record.session ? session(record.session) : '--'],
+        ['Size', record.width ? `${record.width} × ${record.height}` : 'Not decompressed'],
+        ['Transfer', `${transfer.id ? `${transfer.id}, ` : ''}${transfer.chunks} chunks in ${transfer.duration.toFixed(1)}s, ${transfer.retransmits} retransmit requests`],
+        ['Bytes', `${(transfer.gzBytes / 1024).toFixed(1)} KB compressed${transfer.jpgBytes ? `, ${(transfer.jpgBytes / 1024).toFixed(1)} KB JPEG` : ''}`]
+    ];
+
+    const meta = document.getElementById('galleryViewerMeta');
+    if (meta) {
+        meta.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            const text = document.createElement('td');
+            text.textContent = value;
+            row.append(name, text);
+            meta.appendChild(row);
+        });
+    }
+
+    const jpgButton = document.getElementById('galleryViewerJpgBtn');
+    if (jpgButton) jpgButton.disabled = !record.jpg;
+
+    document.getElementById('galleryViewer')?.classList.add('active');
+}
+
+/**
+ * Close the viewer and release its object URL
+ */
+function closeGalleryViewer() {
+    document.getElementById('galleryViewer')?.classList.remove('active');
+    if (galleryViewerUrl) URL.revokeObjectURL(galleryViewerUrl);
+    galleryViewerUrl = null;
+    galleryViewerId = null;
+}
+
+/**
+ * Download the image in the viewer
+ * @param {string} format - 'jpg' or 'gz'
+ */
+function downloadViewerImage(format) {
+    if (galleryViewerId !== null) downloadGalleryImage(galleryViewerId, format);
+}
+
+/**
+ * Delete the image in the viewer
+ */
+function deleteViewerImage() {
+    if (galleryViewerId !== null) deleteGalleryImages([galleryViewerId]);
+}
+
+/**
+ * Load capture metadata, subscribe to photo captures and show the stored images
+ */
+function initImageGallery() {
+    photoCaptures = loadSavedSettings(PHOTO_CAPTURES_KEY, [], Array.isArray);
+
+    subscribeTelemetry('PHOT', recordPhotoCapture);
+    refreshImageGallery();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.galleryDebug = {
+    getImages: () => galleryImages,
+    getCaptures: () => photoCaptures,
+    findCapture: findPhotoCapture,
+    refresh: refreshImageGallery
+};
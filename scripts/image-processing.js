@@ -1,11 +1,22 @@
 // Image reception and processing for TEMPEST Ground Station
 // Handles SEND packet image data, reconstruction, and retransmission requests
+//
+// Each SEND_IMAGE command starts a transfer identified by the file name and a sequence number
+// (e.g. "3.jpg.gz#2"). SEND chunks don't carry the file name, so they go to the oldest transfer
+// whose downlink hasn't ended, in command order; a downlink ends with its XFRC marker, or when
+// chunks of a different size (or a restart while another SEND_IMAGE is waiting) show that the
+// marker was lost. RETX chunks go to the transfer of their size that retransmission was most
+// recently requested for, so retransmissions of earlier images can interleave with a new downlink.
+// RETX chunks don't carry the file name either: while retransmissions of two different files with
+// the same chunk count are outstanding, their chunks can't be told apart and are dropped.
 
 // Global variables for image processing
-let imageReceptions = new Map(); // Track ongoing image receptions
+let imageReceptions = new Map(); // Active transfers by id, e.g. "3.jpg.gz#2"
 let imagePacketBuffer = new Map(); // Store received packets per image
 let imageMetadata = new Map(); // Store image metadata
-let currentImageFilename = null; // Track the current image filename being sent
+let imageDownlinkQueue = []; // Transfers in SEND_IMAGE order whose SEND downlink hasn't ended
+let imageTransferSeq = 0; // Sequence number of the last transfer this session
+let imageRetransmitAmbiguity = null; // Files whose RETX chunks are being dropped, to log it once
 
 // Configuration
 const IMAGE_TIMEOUT = 30000; // 30 seconds timeout for incomplete images
@@ -18,107 +29,40 @@ const MAX_COMMAND_SIZE = 60; // Maximum command size in bytes
 // ============================================================================
 
 /**
- * Process incoming SEND packet containing image data
- * Packet format: SEND[base64_data][4-digit total][4-digit current]
+ * Process incoming SEND packet containing image data on the UI thread
+ * Used for manual packet injection; live packets are parsed in the downlink worker
  * @param {Uint8Array} packet - SEND packet of variable length
  */
 function processImagePacket(packet) {
+    handleImageFrame(parseImagePacket(packet));
+}
+
+/**
+ * Handle a parsed SEND/RETX packet from the downlink pipeline
+ * @param {Object} frame - Result of parseImagePacket()
+ */
+function handleImageFrame(frame) {
     try {
-        // Convert packet to string
-        let packetStr = new TextDecoder().decode(packet);
-        
-        // Validate SEND/RETX header
-        const identifier = packetStr.substring(0, 4);
-        if (identifier !== 'SEND' && identifier !== 'RETX') {
-            logToTerminal('Packet does not start with SEND/RETX identifier', 'warning');
-            return;
-        }
-        
-        // Find the position where digits end (after the 8-digit metadata)
-        // Find the last position that could be valid packet data
-        let validEnd = packetStr.length;
-        for (let i = packetStr.length - 1; i >= 4; i--) {
-            const char = packetStr[i];
-            if (!/[A-Za-z0-9\/+=]/.test(char)) {
-                validEnd = i;
-            } else {
-                // Found a valid character, stop here
-                break;
-            }
-        }
-        
-        // Check if this looks like a command response (no valid base64 + metadata structure)
-        // Command responses are short and don't have the 8-digit metadata pattern
-        
-        // First, check if packet is too short to even contain metadata
-        if (validEnd <= 12) {
-            // Definitely a command response - too short for base64 + metadata
-            const response = packetStr.slice(4, validEnd).trim();
-            if (response.length > 0) {
-                logToTerminal(response, 'response');
-            }
-            return;
-        }
-        
-        const potentialMetadata = packetStr.slice(validEnd - 8, validEnd);
-        const hasValidMetadata = /^\d{8}$/.test(potentialMetadata);
-        
-        if (!hasValidMetadata) {
-            // No valid metadata - this is a command response
-            const response = packetStr.slice(4, validEnd).trim();
-            if (response.length > 0) {
-                logToTerminal(response, 'response');
-            }
-            return;
-        }
-        
-        // Now extract 8 digits from the end of the valid portion
-        // The metadata should be the last 8 characters of valid data
-        if (validEnd < 13) {
-            logToTerminal('SEND packet too short for valid data', 'warning');
-            return;
-        }
-        
-        // Extract just the metadata (last 8 chars of valid packet)
-        const metadataStart = validEnd - 8;
-        const totalChunksStr = packetStr.slice(metadataStart, metadataStart + 4);
-        const currentChunkStr = packetStr.slice(metadataStart + 4, metadataStart + 8);
-        
-        const totalChunks = parseInt(totalChunksStr, 10);
-        const currentChunk = parseInt(currentChunkStr, 10);
-        
-        // Validate metadata
-        if (isNaN(totalChunks) || isNaN(currentChunk) || totalChunks <= 0 || currentChunk < 0) {
-            // Invalid metadata - display as unknown/malformed packet
-            const content = packetStr.slice(4, validEnd).trim();
-            if (content.length > 0) {
-                logToTerminal(content, 'response');
-            }
-            return;
-        }
-        
-        if (currentChunk >= totalChunks) {
-            // Invalid chunk number - display as unknown/malformed packet
-            const content = packetStr.slice(4, validEnd).trim();
-            if (content.length > 0) {
-                logToTerminal(content, 'response');
+        if (frame.kind === 'text') {
+            // Command response carried in a SEND packet
+            if (frame.text.length > 0) {
+                logToTerminal(frame.text, 'response');
             }
             return;
         }
-        
-        // Extract base64 data (between SEND header and metadata)
-        const chunkData = packetStr.slice(4, metadataStart);
-        
-        if (chunkData.length === 0) {
-            logToTerminal('Empty chunk data in SEND packet', 'warning');
+
+        if (frame.kind === 'invalid') {
+            logToTerminal(frame.message, 'warning');
             return;
         }
-        
-        // Generate image ID based on total chunks
-        const imageId = `img_${totalChunks}`;
-        
-        // Initialize image reception if first packet or find existing reception
-        let actualImageId = findOrCreateImageReception(imageId, totalChunks, currentChunk);
+
+        const { identifier, chunkData, totalChunks, currentChunk } = frame;
+
+        // Find the transfer this chunk belongs to
+        const actualImageId = identifier === 'RETX'
+            ? findRetransmitTransfer(totalChunks)
+            : findDownlinkTransfer(totalChunks, currentChunk);
+        if (!actualImageId) return; // Late duplicate of a completed image, or ambiguous RETX
         
         const imageInfo = imageReceptions.get(actualImageId);
         const packetBuffer = imagePacketBuffer.get(actualImageId);
@@ -149,49 +93,242 @@ function processImagePacket(packet) {
     }
 }
 
+// ============================================================================
+// Transfers
+// ============================================================================
+
+/**
+ * Create a transfer
+ * @param {string|null} path - File path from SEND_IMAGE, null if the chunks arrived unannounced
+ * @param {number|null} totalChunks - Chunk count, null until the first chunk arrives
+ * @returns {Object} - Transfer info, also stored in imageReceptions under info.id
+ */
+function createImageTransfer(path, totalChunks = null) {
+    const seq = ++imageTransferSeq;
+    const name = path ? path.split('/').pop() : `img_${totalChunks}`;
+    const now = Date.now();
+
+    const imageInfo = {
+        id: `${name}#${seq}`,
+        seq,
+        path,
+        filename: path ? `${path}.chunked` : `image_${totalChunks}.jpg.gz`, // Name for RETRANSMIT
+        totalChunks,
+        receivedChunks: new Set(),
+        requestTime: now,
+        startTime: now,
+        lastPacketTime: now,
+        retransmitAttempts: 0,
+        retransmitRequestTime: 0
+    };
+
+    imageReceptions.set(imageInfo.id, imageInfo);
+    imagePacketBuffer.set(imageInfo.id, new Map());
+    return imageInfo;
+}
+
+/**
+ * Record the first chunk of a transfer
+ * @param {Object} imageInfo - Transfer info
+ * @param {number} totalChunks - Chunk count from the packet
+ */
+function beginImageTransfer(imageInfo, totalChunks) {
+    imageInfo.totalChunks = totalChunks;
+    imageInfo.startTime = Date.now();
+    imageInfo.lastPacketTime = imageInfo.startTime;
+    logToTerminal(`Starting image reception: ${imageInfo.id} (${totalChunks} chunks expected)`, 'info');
+}
+
+/**
+ * Start a transfer for a SEND_IMAGE command
+ * @param {string} path - Image path as sent to the satellite
+ * @returns {string} - Transfer id
+ */
+function startImageTransfer(path) {
+    const imageInfo = createImageTransfer(path);
+    imageDownlinkQueue.push(imageInfo);
+    logToTerminal(`Expecting image: ${path} (${imageInfo.id})`, 'info');
+    return imageInfo.id;
+}
+
+/**
+ * Follow image commands typed or sent from the UI (uplink subscriber)
+ * SEND_IMAGE starts a transfer; RETRANSMIT marks the transfer whose chunks will come back as RETX.
+ * @param {Object} event - Uplink event { t, command }
+ */
+function trackImageCommand(event) {
+    const [name, path] = event.command.trim().split(/\s+/);
+    if (!path) return;
+
+    if (name.toUpperCase() === 'SEND_IMAGE') {
+        startImageTransfer(path);
+    } else if (name.toUpperCase() === 'RETRANSMIT') {
+        const imageInfo = findImageTransferByPath(path);
+        if (imageInfo) {
+            // Warn once per request, not for each of its batches
+            const outstanding = isRetransmitOutstanding(imageInfo, event.t);
+            imageInfo.retransmitRequestTime = event.t;
+            if (!outstanding) warnRetransmitConflict(imageInfo);
+        }
+    }
+}
+
 /**
- * Find existing image reception or create new one
- * @param {string} imageId - Proposed image ID
- * @param {number} totalChunks - Total number of chunks
- * @param {number} currentChunk - Current chunk number
- * @returns {string} - Actual image ID to use
+ * Latest active transfer of a file
+ * @param {string} path - Path or file name, with or without ".chunked"
+ * @returns {Object|null} - Transfer info
  */
-function findOrCreateImageReception(imageId, totalChunks, currentChunk) {
-    // Look for existing reception with same total chunks
-    for (const [existingId, imageInfo] of imageReceptions.entries()) {
+function findImageTransferByPath(path) {
+    const baseName = name => name.replace(/\.chunked$/, '').split('/').pop();
+    const matches = Array.from(imageReceptions.values())
+        .filter(info => info.filename === path || baseName(info.filename) === baseName(path));
+    return matches.length > 0 ? matches.reduce((a, b) => (b.seq > a.seq ? b : a)) : null;
+}
+
+/**
+ * Transfer a SEND chunk belongs to: the oldest downlink that hasn't ended
+ * @param {number} totalChunks - Chunk count from the packet
+ * @param {number} currentChunk - Chunk index from the packet
+ * @returns {string|null} - Transfer id, or null to drop a late duplicate of a completed image
+ */
+function findDownlinkTransfer(totalChunks, currentChunk) {
+    while (imageDownlinkQueue.length > 0) {
+        const imageInfo = imageDownlinkQueue[0];
+        const active = imageReceptions.get(imageInfo.id) === imageInfo;
+
+        if (active && imageInfo.totalChunks === null) {
+            beginImageTransfer(imageInfo, totalChunks);
+            return imageInfo.id;
+        }
+
         if (imageInfo.totalChunks === totalChunks) {
-            return existingId;
+            // Chunk 0 again while another SEND_IMAGE is waiting, or after the downlink went quiet:
+            // the next image has started
+            const restarted = currentChunk === 0 && imageInfo.receivedChunks.has(0) &&
+                (imageDownlinkQueue.length > 1 || Date.now() - imageInfo.lastPacketTime > IMAGE_TIMEOUT);
+            if (active && !restarted) return imageInfo.id;
+            if (!active && currentChunk !== 0) return null;
         }
+
+        // This downlink ended without its XFRC marker
+        imageDownlinkQueue.shift();
     }
-    
-    // Create new reception
-    const actualImageId = currentChunk === 0 ? imageId : `img_${totalChunks}_${Date.now()}`;
-    
-    imageReceptions.set(actualImageId, {
-        totalChunks: totalChunks,
-        receivedChunks: new Set(),
-        startTime: Date.now(),
-        lastPacketTime: Date.now(),
-        retransmitAttempts: 0,
-        filename: currentImageFilename || `image_${totalChunks}.jpg.gz` // Store filename
-    });
-    
-    imagePacketBuffer.set(actualImageId, new Map());
-    
-    logToTerminal(`Starting image reception: ${actualImageId} (${totalChunks} chunks expected)`, 'info');
-    
-    return actualImageId;
+
+    // No SEND_IMAGE was seen for these chunks (e.g. it was sent from another console)
+    const imageInfo = createImageTransfer(null, totalChunks);
+    beginImageTransfer(imageInfo, totalChunks);
+    imageDownlinkQueue.push(imageInfo);
+    return imageInfo.id;
 }
 
 /**
- * Set the current image filename being transmitted
- * Should be called when SEND_IMAGE command is issued
- * @param {string} filename - Image filename
+ * Whether a transfer has a retransmission request that may still be answered
+ * @param {Object} imageInfo - Transfer info
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True within IMAGE_TIMEOUT of the last request
  */
-function setCurrentImageFilename(filename) {
-    // Append .chunked to the filename for retransmission
-    currentImageFilename = filename + '.chunked';
-    logToTerminal(`Expecting image: ${filename}`, 'info');
+function isRetransmitOutstanding(imageInfo, now) {
+    return imageInfo.retransmitRequestTime > 0 && now - imageInfo.retransmitRequestTime < IMAGE_TIMEOUT;
+}
+
+/**
+ * Another file with the same chunk count whose retransmission is outstanding
+ * RETX chunks of the two couldn't be told apart.
+ * @param {Object} imageInfo - Transfer info
+ * @returns {Object|null} - Conflicting transfer info
+ */
+function findRetransmitConflict(imageInfo) {
+    const now = Date.now();
+    return Array.from(imageReceptions.values()).find(info =>
+        info.totalChunks === imageInfo.totalChunks && info.filename !== imageInfo.filename &&
+        isRetransmitOutstanding(info, now)) || null;
+}
+
+/**
+ * Warn that a retransmission was requested while another of the same size is outstanding
+ * @param {Object} imageInfo - Transfer info
+ */
+function warnRetransmitConflict(imageInfo) {
+    const other = findRetransmitConflict(imageInfo);
+    if (other) {
+        logToTerminal(`${imageInfo.id} and ${other.id} both have ${imageInfo.totalChunks} chunks: RETX chunks will be dropped until one retransmission is answered`, 'warning');
+    }
+}
+
+/**
+ * Transfer a RETX chunk belongs to: the one of its size retransmission was last requested for
+ * @param {number} totalChunks - Chunk count from the packet
+ * @returns {string|null} - Transfer id, or null when outstanding requests for different files
+ *                          make the chunk ambiguous
+ */
+function findRetransmitTransfer(totalChunks) {
+    const now = Date.now();
+    const candidates = Array.from(imageReceptions.values())
+        .filter(info => info.totalChunks === totalChunks);
+
+    const outstanding = candidates.filter(info => isRetransmitOutstanding(info, now));
+    const files = Array.from(new Set(outstanding.map(info => info.filename))).sort();
+    if (files.length > 1) {
+        const ambiguity = files.join(', ');
+        if (imageRetransmitAmbiguity !== ambiguity) {
+            imageRetransmitAmbiguity = ambiguity;
+            logToTerminal(`Dropping RETX chunks: retransmissions of ${ambiguity} are outstanding with the same chunk count`, 'warning');
+        }
+        return null;
+    }
+    imageRetransmitAmbiguity = null;
+
+    if (candidates.length > 0) {
+        return candidates.reduce((a, b) => (
+            b.retransmitRequestTime > a.retransmitRequestTime ||
+            (b.retransmitRequestTime === a.retransmitRequestTime && b.seq > a.seq) ? b : a
+        )).id;
+    }
+
+    // Retransmission for a transfer this session never saw
+    const imageInfo = createImageTransfer(null, totalChunks);
+    beginImageTransfer(imageInfo, totalChunks);
+    return imageInfo.id;
+}
+
+/**
+ * Handle an XFRC marker: end the matching downlink and report missing chunks (XFRC subscriber)
+ * @param {Object} event - XFRC event { totalPackets }
+ */
+function handleTransferComplete(event) {
+    const { totalPackets } = event;
+    const index = imageDownlinkQueue.findIndex(info => info.totalChunks === totalPackets);
+    if (index < 0) {
+        logToTerminal(`No matching image reception found for ${totalPackets} packets`, 'warning');
+        return;
+    }
+
+    // Downlinks queued before this one ended without their markers
+    const imageInfo = imageDownlinkQueue.splice(0, index + 1).pop();
+    const received = imageInfo.receivedChunks.size;
+    const missing = totalPackets - received;
+
+    if (missing === 0 || imageReceptions.get(imageInfo.id) !== imageInfo) {
+        logToTerminal(`Image ${imageInfo.id}: all ${totalPackets} packets received!`, 'response');
+        return;
+    }
+
+    const pct = (received / totalPackets * 100).toFixed(1);
+    logToTerminal(`Image ${imageInfo.id}: ${received}/${totalPackets} received (${pct}%), ${missing} missing`, 'warning');
+
+    // Show missing packet numbers for retransmission
+    const missingPkts = checkMissingPackets(imageInfo.id);
+    if (missingPkts.length <= 30) {
+        logToTerminal(`Missing packets: ${missingPkts.join(', ')}`, 'info');
+    } else {
+        logToTerminal(`Missing packets: ${missingPkts.slice(0, 30).join(', ')}... (+${missingPkts.length - 30} more)`, 'info');
+    }
+
+    if (typeof scheduleImageRetransmit === 'function' && scheduleImageRetransmit(imageInfo.id, 'xfrc')) {
+        logToTerminal(`Requesting missing packets of ${imageInfo.id} automatically`, 'info');
+    } else {
+        logToTerminal(`Use: RETRANSMIT ${imageInfo.filename} ${missingPkts.slice(0, 5).join(' ')}`, 'info');
+    }
 }
 
 // ============================================================================
@@ -200,178 +337,160 @@ function setCurrentImageFilename(filename) {
 
 /**
  * Complete image reception and create downloadable file
+ * Base64 decoding and gzip decompression run in the downlink worker
  * @param {string} imageId - Image identifier
  */
 function completeImageReception(imageId) {
-    try {
-        const imageInfo = imageReceptions.get(imageId);
-        const packetBuffer = imagePacketBuffer.get(imageId);
-        
-        if (!imageInfo || !packetBuffer) {
-            logToTerminal(`Missing data for image ${imageId}`, 'error');
-            return;
-        }
-        
-        // Reconstruct the image data in correct order
-        let reconstructedData = '';
-        for (let i = 0; i < imageInfo.totalChunks; i++) {
-            if (packetBuffer.has(i)) {
-                let chunk = packetBuffer.get(i);
-                
-                // Remove padding (==) from all chunks except the last one
-                // Base64 padding should only be at the very end of the complete string
-                if (i < imageInfo.totalChunks - 1) {
-                    chunk = chunk.replace(/=+$/, ''); // Remove trailing = signs
-                }
-                
-                reconstructedData += chunk;
-            } else {
-                logToTerminal(`Missing chunk ${i} during reconstruction of ${imageId}`, 'error');
-                return;
-            }
-        }
-        
-        // Debug: Check reconstructed data
-        console.log('Reconstructed data length:', reconstructedData.length);
-        console.log('First 100 chars:', reconstructedData.substring(0, 100));
-        console.log('Last 100 chars:', reconstructedData.substring(reconstructedData.length - 100));
-        
-        // Validate base64 format
-        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(reconstructedData)) {
-            logToTerminal(`Invalid base64 characters detected in ${imageId}`, 'error');
-            console.log('Invalid characters found in reconstructed data');
-            
-            // Find and log invalid characters
-            for (let i = 0; i < reconstructedData.length; i++) {
-                const char = reconstructedData[i];
-                if (!/[A-Za-z0-9+/=]/.test(char)) {
-                    console.log(`Invalid char at position ${i}: '${char}' (code: ${char.charCodeAt(0)})`);
-                    if (i > 50) break; // Only show first 50 invalid chars
-                }
-            }
+    const imageInfo = imageReceptions.get(imageId);
+    const packetBuffer = imagePacketBuffer.get(imageId);
+    
+    if (!imageInfo || !packetBuffer) {
+        logToTerminal(`Missing data for image ${imageId}`, 'error');
+        return;
+    }
+    if (imageInfo.assembling) return;
+    
+    // Gather the chunks in correct order
+    const chunks = [];
+    for (let i = 0; i < imageInfo.totalChunks; i++) {
+        if (!packetBuffer.has(i)) {
+            logToTerminal(`Missing chunk ${i} during reconstruction of ${imageId}`, 'error');
             return;
         }
-        
-        // Decode base64 data
-        try {
-            const binaryData = atob(reconstructedData);
-            const bytes = new Uint8Array(binaryData.length);
-            for (let i = 0; i < binaryData.length; i++) {
-                bytes[i] = binaryData.charCodeAt(i);
-            }
-            
-            // Debug: Check gzip header (first 10 bytes)
-            console.log('Binary data length:', bytes.length);
-            console.log('First 20 bytes:', Array.from(bytes.slice(0, 20)).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-            console.log('Expected gzip header: 0x1f 0x8b 0x08...');
-            
-            // Validate gzip magic number
-            if (bytes.length < 2 || bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
-                logToTerminal(`Warning: File doesn't start with gzip magic number (0x1f 0x8b)`, 'warning');
-                console.log('Actual start:', bytes[0].toString(16), bytes[1].toString(16));
-            }
-            
-            // Decompress gzip and create both compressed and decompressed download links
-            try {
-                // Use browser's DecompressionStream API to decompress gzip
-                const decompressedStream = new Response(
-                    new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))
-                );
-                
-                decompressedStream.arrayBuffer().then(decompressedData => {
-                    const decompressedBytes = new Uint8Array(decompressedData);
-                    
-                    // Create download link for decompressed JPG
-                    const jpgBlob = new Blob([decompressedBytes], { type: 'image/jpeg' });
-                    const jpgUrl = URL.createObjectURL(jpgBlob);
-                    
-                    const jpgLink = document.createElement('a');
-                    jpgLink.href = jpgUrl;
-                    jpgLink.download = `received_${imageId}_${Date.now()}.jpg`;
-                    jpgLink.textContent = `Download JPG`;
-                    jpgLink.className = 'btn btn-primary';
-                    jpgLink.style.margin = '5px';
-                    jpgLink.style.fontSize = '12px';
-                    jpgLink.style.padding = '6px 12px';
-                    
-                    // Also create link for original .gz file
-                    const gzBlob = new Blob([bytes], { type: 'application/gzip' });
-                    const gzUrl = URL.createObjectURL(gzBlob);
-                    
-                    const gzLink = document.createElement('a');
-                    gzLink.href = gzUrl;
-                    gzLink.download = `received_${imageId}_${Date.now()}.jpg.gz`;
-                    gzLink.textContent = `Download GZ`;
-                    gzLink.className = 'btn btn-secondary';
-                    gzLink.style.margin = '5px';
-                    gzLink.style.fontSize = '12px';
-                    gzLink.style.padding = '6px 12px';
-                    
-                    const duration = ((Date.now() - imageInfo.startTime) / 1000).toFixed(1);
-                    const gzSizeKB = (bytes.length / 1024).toFixed(1);
-                    const jpgSizeKB = (decompressedBytes.length / 1024).toFixed(1);
-                    
-                    logToTerminal(`Image ${imageId} completed! (${duration}s, ${jpgSizeKB} KB decompressed, ${gzSizeKB} KB compressed)`, 'response');
-                    
-                    // Add download links to terminal
-                    const terminal = document.getElementById('terminal');
-                    if (terminal) {
-                        const downloadDiv = document.createElement('div');
-                        downloadDiv.className = 'terminal-line response';
-                        downloadDiv.appendChild(jpgLink);
-                        downloadDiv.appendChild(gzLink);
-                        terminal.appendChild(downloadDiv);
-                        terminal.scrollTop = terminal.scrollHeight;
-                    }
-                    
-                    // Clean up
-                    imageReceptions.delete(imageId);
-                    imagePacketBuffer.delete(imageId);
-                    
-                    logToTerminal(`Image reception cleanup completed for ${imageId}`, 'info');
-                });
-                
-            } catch (decompressError) {
-                logToTerminal(`Failed to decompress gzip: ${decompressError.message}`, 'warning');
-                
-                // Fallback: just provide the .gz file
-                const blob = new Blob([bytes], { type: 'application/gzip' });
-                const url = URL.createObjectURL(blob);
-                
-                const downloadLink = document.createElement('a');
-                downloadLink.href = url;
-                downloadLink.download = `received_${imageId}_${Date.now()}.jpg.gz`;
-                downloadLink.textContent = `Download GZ (decompression failed)`;
-                downloadLink.className = 'btn btn-secondary';
-                downloadLink.style.margin = '5px';
-                downloadLink.style.fontSize = '12px';
-                downloadLink.style.padding = '6px 12px';
-                
-                const duration = ((Date.now() - imageInfo.startTime) / 1000).toFixed(1);
-                const sizeKB = (bytes.length / 1024).toFixed(1);
-                
-                logToTerminal(`Image ${imageId} completed! (${duration}s, ${sizeKB} KB)`, 'response');
-                
-                const terminal = document.getElementById('terminal');
-                if (terminal) {
-                    const downloadDiv = document.createElement('div');
-                    downloadDiv.className = 'terminal-line response';
-                    downloadDiv.appendChild(downloadLink);
-                    terminal.appendChild(downloadDiv);
-                    terminal.scrollTop = terminal.scrollHeight;
-                }
-            }
-            
-        } catch (decodeError) {
-            logToTerminal(`Failed to decode image ${imageId}: ${decodeError.message}`, 'error');
-            console.error('Base64 decode error:', decodeError);
-            console.log('Problematic data sample:', reconstructedData.substring(0, 200));
-        }
-        
-    } catch (error) {
-        logToTerminal(`Error completing image reception: ${error.message}`, 'error');
-        console.error('Completion error:', error);
+        chunks.push(packetBuffer.get(i));
     }
+    
+    imageInfo.assembling = true;
+    downlinkParser.assemble(chunks)
+        .then(result => showAssembledImage(imageId, imageInfo, result))
+        .catch(error => {
+            logToTerminal(`Error completing image reception: ${error.message}`, 'error');
+            console.error('Completion error:', error);
+            failImageReception(imageId);
+        });
+}
+
+/**
+ * Drop a reception whose chunks couldn't be assembled
+ * All chunks arrived, so retransmission can't help; the image has to be requested again.
+ * @param {string} imageId - Image identifier
+ */
+function failImageReception(imageId) {
+    imageReceptions.delete(imageId);
+    imagePacketBuffer.delete(imageId);
+    if (typeof endImageArq === 'function') {
+        endImageArq(imageId, 'failed');
+    }
+    logToTerminal(`Image ${imageId} discarded, request it again with SEND_IMAGE`, 'warning');
+}
+
+/**
+ * Create a download link button for received image data
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} type - MIME type
+ * @param {string} filename - Download filename
+ * @param {string} label - Button text
+ * @param {string} className - Button class
+ * @returns {HTMLAnchorElement} - Download link
+ */
+function createImageDownloadLink(bytes, type, filename, label, className) {
+    const blob = new Blob([bytes], { type });
+    const link = document.createElement('a');
+    link.href = '#';
+    link.download = filename;
+    link.textContent = label;
+    // Object URL made per click and revoked after, so links left in the terminal don't hold it
+    link.addEventListener('click', () => {
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+            link.href = '#';
+        }, 1000);
+    });
+    link.className = className;
+    link.style.margin = '5px';
+    link.style.fontSize = '12px';
+    link.style.padding = '6px 12px';
+    return link;
+}
+
+/**
+ * Add download links for received image data to the terminal
+ * Used when the image can't be stored in the gallery
+ * @param {string} imageId - Image identifier
+ * @param {Uint8Array} gz - Compressed image
+ * @param {Uint8Array|null} jpg - Decompressed image, null if decompression failed
+ */
+function appendImageDownloadLinks(imageId, gz, jpg) {
+    const downloadDiv = document.createElement('div');
+    downloadDiv.className = 'terminal-line response';
+
+    if (jpg) {
+        downloadDiv.appendChild(createImageDownloadLink(jpg, 'image/jpeg',
+            `received_${imageId}_${Date.now()}.jpg`, 'Download JPG', 'btn btn-primary'));
+        downloadDiv.appendChild(createImageDownloadLink(gz, 'application/gzip',
+            `received_${imageId}_${Date.now()}.jpg.gz`, 'Download GZ', 'btn btn-secondary'));
+    } else {
+        downloadDiv.appendChild(createImageDownloadLink(gz, 'application/gzip',
+            `received_${imageId}_${Date.now()}.jpg.gz`, 'Download GZ (decompression failed)', 'btn btn-secondary'));
+    }
+
+    appendToTerminal(downloadDiv);
+}
+
+/**
+ * Show the result of image reassembly, store the image in the gallery and clean up the reception
+ * @param {string} imageId - Image identifier
+ * @param {Object} imageInfo - Reception info
+ * @param {Object} result - Result of assembleImage()
+ */
+function showAssembledImage(imageId, imageInfo, result) {
+    if (result.error) {
+        logToTerminal(`Failed to decode image ${imageId}: ${result.error}`, 'error');
+        failImageReception(imageId);
+        return;
+    }
+    
+    result.warnings.forEach(warning => logToTerminal(`Warning: ${warning}`, 'warning'));
+    
+    const { gz, jpg } = result;
+    const duration = (Date.now() - imageInfo.startTime) / 1000;
+    const gzSizeKB = (gz.length / 1024).toFixed(1);
+    
+    if (jpg) {
+        const jpgSizeKB = (jpg.length / 1024).toFixed(1);
+        logToTerminal(`Image ${imageId} completed! (${duration.toFixed(1)}s, ${jpgSizeKB} KB decompressed, ${gzSizeKB} KB compressed)`, 'response');
+    } else {
+        logToTerminal(`Image ${imageId} completed! (${duration.toFixed(1)}s, ${gzSizeKB} KB, decompression failed)`, 'response');
+    }
+    
+    // Keep the image in the gallery; fall back to terminal links if it can't be stored
+    const filename = imageInfo.filename.replace(/\.chunked$/, '');
+    if (typeof saveGalleryImage === 'function') {
+        saveGalleryImage({
+            filename,
+            gz,
+            jpg: jpg || null,
+            transfer: { id: imageId, chunks: imageInfo.totalChunks, duration, retransmits: imageInfo.retransmitAttempts }
+        })
+            .then(() => logToTerminal(`Image ${filename} saved to the gallery`, 'response'))
+            .catch(error => {
+                logToTerminal(`Unable to save image ${filename} to the gallery: ${error.message}`, 'warning');
+                appendImageDownloadLinks(imageId, gz, jpg);
+            });
+    } else {
+        appendImageDownloadLinks(imageId, gz, jpg);
+    }
+    
+    // Clean up
+    imageReceptions.delete(imageId);
+    imagePacketBuffer.delete(imageId);
+    if (typeof endImageArq === 'function') {
+        endImageArq(imageId, 'complete');
+    }
+    
+    logToTerminal(`Image reception cleanup completed for ${imageId}`, 'info');
 }
 
 // ============================================================================
@@ -404,13 +523,25 @@ function checkMissingPackets(imageId) {
     return missing;
 }
 
+/**
+ * Write a RETRANSMIT command and publish it as an uplink event, like commands from sendCommand()
+ * Errors are left to the caller.
+ * @param {string} command - Command text without newline
+ */
+async function writeRetransmitCommand(command) {
+    await writeToLink(new TextEncoder().encode(command + '\n'));
+    if (typeof publishTelemetry === 'function') {
+        publishTelemetry({ type: 'uplink', t: Date.now(), command });
+    }
+}
+
 /**
  * Request retransmission of missing packets
  * @param {string} imageId - Image identifier
  * @param {number[]|null} missingPackets - Specific packets to retransmit, or null for auto-detect
  */
 async function requestRetransmission(imageId, missingPackets = null) {
-    if (!writer) {
+    if (!transport) {
         logToTerminal('Not connected to satellite', 'error');
         return;
     }
@@ -474,9 +605,10 @@ async function requestRetransmission(imageId, missingPackets = null) {
                     continue;
                 }
                 
-                const encoder = new TextEncoder();
-                await writer.write(encoder.encode(safeCommand + '\n'));
+                await writeRetransmitCommand(safeCommand);
                 blinkLED('rfm95TxLed');
+                // RETX chunks are expected from the first command actually written
+                if (imageInfo) imageInfo.retransmitRequestTime = Date.now();
                 
                 // Add remaining packets back to queue for next iteration
                 i -= maxPacketsPerCommand; // Reset position
@@ -494,8 +626,8 @@ async function requestRetransmission(imageId, missingPackets = null) {
             logToTerminal(`Retransmit${chunkInfo}: ${chunk.length} packets [${command.length}B]`, 'command');
             blinkLED('rfm95TxLed');
             
-            const encoder = new TextEncoder();
-            await writer.write(encoder.encode(command + '\n'));
+            await writeRetransmitCommand(command);
+            if (imageInfo) imageInfo.retransmitRequestTime = Date.now();
             
             // Wait between batch requests to avoid overwhelming the system
             if (!isLastChunk) {
@@ -525,6 +657,11 @@ function showActiveImages() {
     
     logToTerminal('Active Image Receptions:', 'info');
     for (const [imageId, imageInfo] of imageReceptions.entries()) {
+        if (imageInfo.totalChunks === null) {
+            logToTerminal(`  ${imageId}: waiting for the first chunk`, 'info');
+            continue;
+        }
+
         const progress = (imageInfo.receivedChunks.size / imageInfo.totalChunks * 100).toFixed(1);
         const missing = checkMissingPackets(imageId);
         const elapsed = ((Date.now() - imageInfo.startTime) / 1000).toFixed(1);
@@ -545,10 +682,16 @@ function showActiveImages() {
 function clearImageBuffers() {
     const count = imageReceptions.size;
     
+    // Stop retransmission of the cleared transfers
+    if (typeof endImageArq === 'function') {
+        Array.from(imageReceptions.keys()).forEach(imageId => endImageArq(imageId, null));
+    }
+
     // Clean up any blob URLs to prevent memory leaks
     imageReceptions.clear();
     imagePacketBuffer.clear();
     imageMetadata.clear();
+    imageDownlinkQueue = [];
     
     logToTerminal(`Cleared ${count} image reception buffers`, 'info');
 }
@@ -574,6 +717,20 @@ function manualRetransmit() {
     input.value = '';
 }
 
+// ============================================================================
+// Initialization
+// ============================================================================
+
+/**
+ * Follow uplinked image commands and XFRC transfer markers
+ * Uplink events are only published once a command has been written, so a failed SEND_IMAGE
+ * doesn't leave a transfer waiting in the downlink queue.
+ */
+function initImageProcessing() {
+    subscribeTelemetry('uplink', trackImageCommand);
+    subscribeTelemetry('XFRC', handleTransferComplete);
+}
+
 // ============================================================================
 // Timeout and Cleanup Management
 // ============================================================================
@@ -588,6 +745,23 @@ function startImageTimeoutChecker() {
         for (const [imageId, imageInfo] of imageReceptions.entries()) {
             const timeSinceLastPacket = now - imageInfo.lastPacketTime;
             
+            // SEND_IMAGE that never produced any data (e.g. file not found): stop waiting for it
+            if (imageInfo.totalChunks === null) {
+                if (timeSinceLastPacket > IMAGE_TIMEOUT) {
+                    logToTerminal(`Image ${imageId}: no data received, transfer dropped`, 'warning');
+                    imageReceptions.delete(imageId);
+                    imagePacketBuffer.delete(imageId);
+                    if (typeof endImageArq === 'function') {
+                        endImageArq(imageId, null);
+                    }
+                    imageDownlinkQueue = imageDownlinkQueue.filter(info => info !== imageInfo);
+                }
+                continue;
+            }
+
+            // Automatic retransmission keeps its own timing
+            if (typeof isImageArqActive === 'function' && isImageArqActive(imageId)) continue;
+
             if (timeSinceLastPacket > IMAGE_TIMEOUT) {
                 const missing = checkMissingPackets(imageId);
                 
@@ -595,6 +769,11 @@ function startImageTimeoutChecker() {
                     const progress = (imageInfo.receivedChunks.size / imageInfo.totalChunks * 100).toFixed(1);
                     logToTerminal(`Image ${imageId} timeout: ${progress}% complete, ${missing.length} packets missing`, 'warning');
                     
+                    if (typeof scheduleImageRetransmit === 'function' && scheduleImageRetransmit(imageId, 'timeout')) {
+                        logToTerminal('  Requesting missing packets automatically', 'info');
+                        continue;
+                    }
+                    
                     // Show missing packet numbers
                     if (missing.length <= 50) {
                         logToTerminal(`  Missing packets: ${missing.join(', ')}`, 'info');
@@ -719,5 +898,6 @@ window.imageDebug = {
     validateImageData,
     getCurrentReceptions: () => Array.from(imageReceptions.keys()),
     getReceptionInfo: (imageId) => imageReceptions.get(imageId),
+    getDownlinkQueue: () => imageDownlinkQueue.map(info => info.id),
     forceComplete: (imageId) => completeImageReception(imageId)
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+// IMU panel for TEMPEST Ground Station
+// Shows the latest GYRO, ACCL, MAGN, GRAV and EULR readings from the BNO055 with their
+// magnitudes (angular rate norm, |a|, magnetic field strength, |g|) and how long ago each
+// arrived, plus derived values:
+// - tilt of the body +Z axis from the gravity vector (GRAV, or ACCL when no GRAV has arrived)
+// - linear acceleration, ACCL minus GRAV, when both were read close enough together
+
+// Latest reading by sensor type: { t, x, y, z }
+const imuReadings = new Map();
+let imuAgeTimer = null;
+
+// Configuration
+const IMU_STALE_AGE = 60000; // ms after which a reading is shown faded
+const IMU_PAIR_WINDOW = 10000; // ms between ACCL and GRAV readings for linear acceleration
+
+// Rows of the sensor table
+const IMU_SENSORS = [
+    { type: 'GYRO', label: 'Gyro', magnitude: 'Rate', digits: 2 },
+    { type: 'ACCL', label: 'Accel', magnitude: '|a|', digits: 2 },
+    { type: 'MAGN', label: 'Mag', magnitude: 'Field', digits: 1 },
+    { type: 'GRAV', label: 'Gravity', magnitude: '|g|', digits: 2 },
+    { type: 'EULR', label: 'Euler', magnitude: null, digits: 1 }
+];
+
+// ============================================================================
+// Derived Quantities
+// ============================================================================
+
+/**
+ * Euclidean norm of a 3-axis reading
+ * @param {Object} v - { x, y, z }
+ * @returns {number} - Magnitude
+ */
+function imuMagnitude(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+/**
+ * Tilt of the body +Z axis away from "up", with roll and pitch, from a gravity reading
+ * The BNO055 reports gravity as the reaction (+Z reads +9.8 when level and upright).
+ * @param {Object} g - Gravity vector { x, y, z }
+ * @returns {Object|null} - { tilt, roll, pitch } in degrees, or null for a zero vector
+ */
+function imuTiltFromGravity(g) {
+    const magnitude = imuMagnitude(g);
+    if (magnitude === 0) return null;
+
+    const degrees = Math.PI / 180;
+    return {
+        tilt: Math.acos(Math.max(-1, Math.min(1, g.z / magnitude))) / degrees,
+        roll: Math.atan2(g.y, g.z) / degrees,
+        pitch: Math.atan2(-g.x, Math.hypot(g.y, g.z)) / degrees
+    };
+}
+
+/**
+ * Linear acceleration: accelerometer minus gravity
+ * @returns {Object|null} - { x, y, z, t } or null without a close-enough ACCL/GRAV pair
+ */
+function imuLinearAcceleration() {
+    const accel = imuReadings.get('ACCL');
+    const gravity = imuReadings.get('GRAV');
+    if (!accel || !gravity || Math.abs(accel.t - gravity.t) > IMU_PAIR_WINDOW) return null;
+
+    return {
+        x: accel.x - gravity.x,
+        y: accel.y - gravity.y,
+        z: accel.z - gravity.z,
+        t: Math.min(accel.t, gravity.t)
+    };
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Build the sensor table rows
+ */
+function renderImuTable() {
+    const body = document.getElementById('imuTableBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    const rows = [
+        ...IMU_SENSORS.map(sensor => ({ id: sensor.type, label: sensor.label, unit: getPacketFieldUnit(sensor.type, 'x') })),
+        { id: 'LIN', label: 'Linear', unit: getPacketFieldUnit('ACCL', 'x') }
+    ];
+
+    rows.forEach(({ id, label, unit }) => {
+        const row = document.createElement('tr');
+        row.id = `imu-${id}`;
+
+        const name = document.createElement('td');
+        name.textContent = label;
+        name.title = unit;
+        row.appendChild(name);
+
+        ['x', 'y', 'z', 'mag', 'age'].forEach(field => {
+            const cell = document.createElement('td');
+            cell.id = `imu-${id}-${field}`;
+            cell.textContent = '--';
+            row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Record a 3-axis reading and refresh the panel (telemetry bus subscriber)
+ * @param {Object} event - GYRO/ACCL/MAGN/GRAV/EULR event { type, t, x, y, z }
+ */
+function handleImuReading(event) {
+    imuReadings.set(event.type, { t: event.t, x: event.x, y: event.y, z: event.z });
+    updateImuPanel();
+}
+
+/**
+ * Show the latest readings, derived values and ages
+ */
+function updateImuPanel() {
+    const now = Date.now();
+    const showRow = (id, reading, digits, magnitude) => {
+        const row = document.getElementById(`imu-${id}`);
+        if (!reading) {
+            if (row) row.classList.remove('imu-row--stale');
+            return;
+        }
+
+        ['x', 'y', 'z'].forEach(axis => setElementText(`imu-${id}-${axis}`, reading[axis].toFixed(digits)));
+        setElementText(`imu-${id}-mag`, magnitude ? imuMagnitude(reading).toFixed(digits) : '');
+        setElementText(`imu-${id}-age`, formatAge(now - reading.t));
+
+        if (row) {
+            row.title = `${new Date(reading.t).toISOString().substring(11, 19)} UTC`;
+            row.classList.toggle('imu-row--stale', now - reading.t > IMU_STALE_AGE);
+        }
+    };
+
+    IMU_SENSORS.forEach(({ type, digits, magnitude }) => showRow(type, imuReadings.get(type), digits, magnitude));
+
+    const linear = imuLinearAcceleration();
+    if (linear) {
+        showRow('LIN', linear, 2, true);
+    } else {
+        ['x', 'y', 'z', 'mag', 'age'].forEach(field => setElementText(`imu-LIN-${field}`, '--'));
+    }
+
+    const gravity = imuReadings.get('GRAV') || imuReadings.get('ACCL');
+    const tilt = gravity ? imuTiltFromGravity(gravity) : null;
+    setElementText('imuTilt', tilt ? `${tilt.tilt.toFixed(1)}°` : '--');
+    setElementText('imuTiltRollPitch', tilt ? `R ${tilt.roll.toFixed(1)}° P ${tilt.pitch.toFixed(1)}°` : '--');
+    setElementText('imuTiltSource', gravity
+        ? `from ${imuReadings.has('GRAV') ? 'GRAV' : 'ACCL'}, ${formatAge(now - gravity.t)} ago`
+        : 'No gravity reading');
+}
+
+/**
+ * Build the IMU table, subscribe to the 3-axis sensors and keep ages ticking
+ */
+function initImuPanel() {
+    renderImuTable();
+    subscribeTelemetry(IMU_SENSORS.map(sensor => sensor.type), handleImuReading);
+
+    if (imuAgeTimer) clearInterval(imuAgeTimer);
+    imuAgeTimer = setInterval(() => {
+        if (imuReadings.size > 0) updateImuPanel();
+    }, 1000);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.imuDebug = {
+    getReadings: () => imuReadings,
+    tilt: imuTiltFromGravity,
+    linear: imuLinearAcceleration
+};
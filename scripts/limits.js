@@ -0,0 +1,512 @@
+// Telemetry limit checking and alarms for TEMPEST Ground Station
+// Every recorded telemetry sample (see onTelemetrySample() in telemetry-store.js) is checked
+// against per-channel yellow/red low/high thresholds. Violations colour the telemetry grid,
+// drive the Limits monitor in the GSB and raise entries in the alarm list.
+// Limits are edited in the Configure tab and kept in localStorage.
+//
+// Alarm lifecycle (Astro UXDS): an alarm stays listed until acknowledged, even after the
+// value returns within limits. Acknowledging an active alarm silences it until it escalates;
+// shelving hides it for TELEMETRY_SHELVE_MINUTES.
+
+// Global variables for limit checking
+let telemetryLimits = {}; // channel -> { redLow, yellowLow, yellowHigh, redHigh } (null = unchecked)
+const telemetryLimitStates = new Map(); // channel -> { severity, value, t }
+const telemetryAlarms = new Map(); // channel -> { channel, severity, value, since, t, active, acknowledged, shelvedUntil }
+const limitDisplayChannels = new Map(); // element id -> channel last shown in it
+
+// Configuration
+const TELEMETRY_LIMITS_KEY = 'tempest.telemetryLimits';
+const TELEMETRY_SHELVE_MINUTES = 30;
+const LIMIT_SEVERITY_RANK = { normal: 0, caution: 1, critical: 2 };
+const LIMIT_FIELDS = ['redLow', 'yellowLow', 'yellowHigh', 'redHigh'];
+
+// Out-of-the-box limits for the 1U bus; operators adjust them in the Configure tab
+const DEFAULT_TELEMETRY_LIMITS = {
+    'EPSS.batteryVoltage': { redLow: 3.3, yellowLow: 3.5, yellowHigh: 4.2, redHigh: 4.3 },
+    'EPSS.errorCode': { redLow: -0.5, yellowLow: null, yellowHigh: null, redHigh: 0.5 },
+    'OBCC.value': { redLow: null, yellowLow: null, yellowHigh: 80, redHigh: 95 },
+    'OBCR.value': { redLow: null, yellowLow: null, yellowHigh: 80, redHigh: 95 },
+    'OBCD.value': { redLow: null, yellowLow: null, yellowHigh: 85, redHigh: 95 },
+    'BECN.cpu': { redLow: null, yellowLow: null, yellowHigh: 80, redHigh: 95 },
+    'BECN.ram': { redLow: null, yellowLow: null, yellowHigh: 80, redHigh: 95 },
+    'BECN.disk': { redLow: null, yellowLow: null, yellowHigh: 85, redHigh: 95 },
+    'BECN.temp': { redLow: -20, yellowLow: -10, yellowHigh: 60, redHigh: 75 },
+    'BME2.temperature': { redLow: -20, yellowLow: -10, yellowHigh: 60, redHigh: 75 },
+    'TEMP.temperature': { redLow: -20, yellowLow: -10, yellowHigh: 60, redHigh: 75 },
+    'ADCS.roll': { redLow: -90, yellowLow: -45, yellowHigh: 45, redHigh: 90 },
+    'ADCS.pitch': { redLow: -90, yellowLow: -45, yellowHigh: 45, redHigh: 90 }
+};
+
+// Telemetry grid values and the channels that write them
+const LIMIT_DISPLAY_ELEMENTS = {
+    'OBCC.value': 'cpuUsage',
+    'BECN.cpu': 'cpuUsage',
+    'OBCR.value': 'ramUsage',
+    'BECN.ram': 'ramUsage',
+    'OBCD.value': 'diskUsage',
+    'BECN.disk': 'diskUsage',
+    'BECN.temp': 'temperature',
+    'BME2.temperature': 'temperature',
+    'TEMP.temperature': 'temperature',
+    'EPSS.batteryVoltage': 'batteryVoltage',
+    'EPSS.errorCode': 'epsStatus'
+};
+
+// ============================================================================
+// Limit Storage
+// ============================================================================
+
+/**
+ * Load limits from localStorage, falling back to the defaults
+ */
+function loadTelemetryLimits() {
+    telemetryLimits = loadSavedSettings(TELEMETRY_LIMITS_KEY, JSON.parse(JSON.stringify(DEFAULT_TELEMETRY_LIMITS)),
+        saved => typeof saved === 'object' && !Array.isArray(saved));
+}
+
+/**
+ * Save limits to localStorage
+ */
+function saveTelemetryLimits() {
+    try {
+        localStorage.setItem(TELEMETRY_LIMITS_KEY, JSON.stringify(telemetryLimits));
+    } catch (error) {
+        logToTerminal(`Unable to save telemetry limits: ${error.message}`, 'warning');
+    }
+}
+
+/**
+ * Set or clear the limits for a channel
+ * @param {string} channel - Channel name (e.g. 'EPSS.batteryVoltage')
+ * @param {Object|null} limits - { redLow, yellowLow, yellowHigh, redHigh }, or null to stop checking
+ * @returns {string|null} - Validation error message, or null on success
+ */
+function setTelemetryLimit(channel, limits) {
+    if (!limits) {
+        delete telemetryLimits[channel];
+    } else {
+        const { redLow, yellowLow, yellowHigh, redHigh } = limits;
+        const ordered = [redLow, yellowLow, yellowHigh, redHigh].filter(v => v !== null && v !== undefined);
+        if (ordered.some(v => !Number.isFinite(v))) {
+            return 'Limits must be numbers';
+        }
+        if (ordered.some((v, i) => i > 0 && v < ordered[i - 1])) {
+            return 'Limits must be ordered red low ≤ yellow low ≤ yellow high ≤ red high';
+        }
+        telemetryLimits[channel] = { redLow: null, yellowLow: null, yellowHigh: null, redHigh: null, ...limits };
+    }
+
+    saveTelemetryLimits();
+
+    // Re-evaluate the last value against the new limits
+    const state = telemetryLimitStates.get(channel);
+    if (state) checkTelemetryLimit(channel, state.t, state.value);
+    return null;
+}
+
+/**
+ * Restore the default limit set
+ */
+function resetTelemetryLimits() {
+    if (!confirm('Replace all telemetry limits with the defaults?')) return;
+
+    telemetryLimits = JSON.parse(JSON.stringify(DEFAULT_TELEMETRY_LIMITS));
+    saveTelemetryLimits();
+    for (const [channel, state] of telemetryLimitStates.entries()) {
+        checkTelemetryLimit(channel, state.t, state.value);
+    }
+    renderTelemetryLimitsTable();
+    logToTerminal('Telemetry limits reset to defaults', 'info');
+}
+
+// ============================================================================
+// Limit Checking
+// ============================================================================
+
+/**
+ * Classify a value against a channel's limits
+ * @param {string} channel - Channel name
+ * @param {number} value - Value to check
+ * @returns {string} - 'normal', 'caution' or 'critical' ('normal' when the channel has no limits)
+ */
+function getLimitSeverity(channel, value) {
+    const limits = telemetryLimits[channel];
+    if (!limits || !Number.isFinite(value)) return 'normal';
+
+    const below = (limit) => limit !== null && limit !== undefined && value < limit;
+    const above = (limit) => limit !== null && limit !== undefined && value > limit;
+
+    if (below(limits.redLow) || above(limits.redHigh)) return 'critical';
+    if (below(limits.yellowLow) || above(limits.yellowHigh)) return 'caution';
+    return 'normal';
+}
+
+/**
+ * Describe which limit a value violates
+ * @param {string} channel - Channel name
+ * @param {number} value - Value
+ * @returns {string} - e.g. '< 3.3' or '> 80'
+ */
+function describeLimitViolation(channel, value) {
+    const limits = telemetryLimits[channel] || {};
+    const severity = getLimitSeverity(channel, value);
+    const [low, high] = severity === 'critical' ? [limits.redLow, limits.redHigh] : [limits.yellowLow, limits.yellowHigh];
+    if (low !== null && low !== undefined && value < low) return `< ${low}`;
+    if (high !== null && high !== undefined && value > high) return `> ${high}`;
+    return 'within limits';
+}
+
+/**
+ * Check a telemetry sample and update displays and alarms (subscribed to the telemetry store)
+ * @param {string} channel - Channel name
+ * @param {number} t - Sample time in ms
+ * @param {number} value - Sample value
+ */
+function checkTelemetryLimit(channel, t, value) {
+    const severity = getLimitSeverity(channel, value);
+    telemetryLimitStates.set(channel, { severity, value, t });
+
+    const elementId = LIMIT_DISPLAY_ELEMENTS[channel];
+    if (elementId) {
+        limitDisplayChannels.set(elementId, channel);
+        updateLimitIndicator(elementId, severity);
+    }
+
+    updateTelemetryAlarm(channel, severity, value, t);
+}
+
+/**
+ * Raise, escalate or clear the alarm for a channel
+ * @param {string} channel - Channel name
+ * @param {string} severity - Current severity
+ * @param {number} value - Current value
+ * @param {number} t - Sample time
+ */
+function updateTelemetryAlarm(channel, severity, value, t) {
+    const alarm = telemetryAlarms.get(channel);
+
+    if (severity === 'normal') {
+        if (alarm && alarm.active) {
+            alarm.active = false;
+            alarm.t = t;
+            // Acknowledged alarms that return to normal need no further attention
+            if (alarm.acknowledged) telemetryAlarms.delete(channel);
+            renderAlarmList();
+        }
+        return;
+    }
+
+    if (!alarm) {
+        telemetryAlarms.set(channel, {
+            channel, severity, value, since: t, t,
+            active: true, acknowledged: false, shelvedUntil: 0
+        });
+        logToTerminal(`LIMIT ${severity.toUpperCase()}: ${channel} = ${formatLimitValue(channel, value)} (${describeLimitViolation(channel, value)})`,
+            severity === 'critical' ? 'error' : 'warning');
+    } else {
+        const escalated = !alarm.active || LIMIT_SEVERITY_RANK[severity] > LIMIT_SEVERITY_RANK[alarm.severity];
+        if (escalated) {
+            alarm.acknowledged = false;
+            alarm.since = t;
+            if (alarm.shelvedUntil <= Date.now()) {
+                logToTerminal(`LIMIT ${severity.toUpperCase()}: ${channel} = ${formatLimitValue(channel, value)} (${describeLimitViolation(channel, value)})`,
+                    severity === 'critical' ? 'error' : 'warning');
+            }
+        }
+        // Keep the worst severity seen while the alarm is active
+        if (escalated) alarm.severity = severity;
+        alarm.active = true;
+        alarm.value = value;
+        alarm.t = t;
+    }
+
+    renderAlarmList();
+}
+
+/**
+ * Format a value with its unit for alarm text
+ * @param {string} channel - Channel name
+ * @param {number} value - Value
+ * @returns {string} - Formatted value
+ */
+function formatLimitValue(channel, value) {
+    const unit = typeof telemetryChannelUnit === 'function' ? telemetryChannelUnit(channel) : '';
+    return `${Number.isInteger(value) ? value : value.toFixed(2)}${unit}`;
+}
+
+// ============================================================================
+// Alarm Actions
+// ============================================================================
+
+/**
+ * Acknowledge an alarm; alarms that are no longer active are removed
+ * @param {string} channel - Channel name
+ */
+function acknowledgeAlarm(channel) {
+    const alarm = telemetryAlarms.get(channel);
+    if (!alarm) return;
+
+    if (alarm.active) {
+        alarm.acknowledged = true;
+    } else {
+        telemetryAlarms.delete(channel);
+    }
+    renderAlarmList();
+}
+
+/**
+ * Acknowledge every visible alarm
+ */
+function acknowledgeAllAlarms() {
+    const now = Date.now();
+    Array.from(telemetryAlarms.values())
+        .filter(alarm => alarm.shelvedUntil <= now)
+        .forEach(alarm => acknowledgeAlarm(alarm.channel));
+}
+
+/**
+ * Hide an alarm from the list and monitors for a while
+ * @param {string} channel - Channel name
+ * @param {number} minutes - Shelve duration
+ */
+function shelveAlarm(channel, minutes = TELEMETRY_SHELVE_MINUTES) {
+    const alarm = telemetryAlarms.get(channel);
+    if (!alarm) return;
+
+    alarm.shelvedUntil = Date.now() + minutes * 60 * 1000;
+    logToTerminal(`Alarm for ${channel} shelved for ${minutes} minutes`, 'info');
+    renderAlarmList();
+
+    // Bring it back when the shelf time runs out
+    setTimeout(renderAlarmList, minutes * 60 * 1000 + 100);
+}
+
+/**
+ * Alarms not currently shelved, worst and newest first
+ * @returns {Array<Object>} - Alarms
+ */
+function getVisibleAlarms() {
+    const now = Date.now();
+    return Array.from(telemetryAlarms.values())
+        .filter(alarm => alarm.shelvedUntil <= now)
+        .sort((a, b) => LIMIT_SEVERITY_RANK[b.severity] - LIMIT_SEVERITY_RANK[a.severity] || b.since - a.since);
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Apply an Astro status to a telemetry grid item
+ * @param {string} elementId - Value element ID inside the grid item
+ * @param {string} severity - 'normal', 'caution' or 'critical'
+ */
+function updateLimitIndicator(elementId, severity) {
+    const valueEl = document.getElementById(elementId);
+    const item = valueEl && valueEl.closest('.telemetry-item');
+    if (!item) return;
+
+    let symbol = item.querySelector('.telemetry-item__status');
+    if (!symbol) {
+        symbol = document.createElement('div');
+        item.appendChild(symbol);
+    }
+    symbol.className = `status-symbol status-symbol--${severity} telemetry-item__status`;
+    item.classList.toggle('telemetry-item--caution', severity === 'caution');
+    item.classList.toggle('telemetry-item--critical', severity === 'critical');
+}
+
+/**
+ * Render the alarm list and the GSB Limits monitor
+ */
+function renderAlarmList() {
+    const alarms = getVisibleAlarms();
+    const unacknowledged = alarms.filter(alarm => !alarm.acknowledged);
+    const worst = alarms.filter(alarm => alarm.active)
+        .reduce((w, alarm) => LIMIT_SEVERITY_RANK[alarm.severity] > LIMIT_SEVERITY_RANK[w] ? alarm.severity : w, 'normal');
+
+    // GSB monitor: worst active severity, pulsing while anything is unacknowledged
+    const monitor = document.getElementById('monLimits');
+    const monitorLabel = document.getElementById('monLimitsLabel');
+    if (monitor) {
+        monitor.className = `status-symbol status-symbol--${worst}` +
+            (unacknowledged.length > 0 ? ' status-symbol--pulse' : '');
+    }
+    if (monitorLabel) {
+        monitorLabel.textContent = alarms.length === 0 ? 'Nominal' : `${alarms.length} Alarm${alarms.length === 1 ? '' : 's'}`;
+    }
+
+    const headerDot = document.getElementById('alarmStatusDot');
+    if (headerDot) headerDot.className = `status-symbol status-symbol--${worst}`;
+
+    const list = document.getElementById('alarmList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (alarms.length === 0) {
+        list.textContent = 'No alarms';
+        return;
+    }
+
+    alarms.forEach(alarm => {
+        const row = document.createElement('div');
+        row.className = 'alarm-item' + (alarm.acknowledged ? ' alarm-item--acknowledged' : '');
+
+        const symbol = document.createElement('div');
+        symbol.className = `status-symbol status-symbol--${alarm.active ? alarm.severity : 'off'}` +
+            (alarm.acknowledged ? '' : ' status-symbol--pulse');
+
+        const text = document.createElement('div');
+        text.className = 'alarm-item__text';
+        text.textContent = `${alarm.channel} = ${formatLimitValue(alarm.channel, alarm.value)}`;
+        text.title = alarm.active
+            ? `${alarm.severity} since ${new Date(alarm.since).toISOString().substring(11, 19)} UTC`
+            : `Returned within limits at ${new Date(alarm.t).toISOString().substring(11, 19)} UTC`;
+
+        const ack = document.createElement('button');
+        ack.className = 'btn btn-secondary alarm-item__btn';
+        ack.textContent = 'Ack';
+        ack.disabled = alarm.acknowledged;
+        ack.onclick = () => acknowledgeAlarm(alarm.channel);
+
+        const shelve = document.createElement('button');
+        shelve.className = 'btn btn-secondary alarm-item__btn';
+        shelve.textContent = 'Shelve';
+        shelve.title = `Hide for ${TELEMETRY_SHELVE_MINUTES} minutes`;
+        shelve.onclick = () => shelveAlarm(alarm.channel);
+
+        row.append(symbol, text, ack, shelve);
+        list.appendChild(row);
+    });
+}
+
+// ============================================================================
+// Limits Editor (Configure tab)
+// ============================================================================
+
+/**
+ * Render the editable limits table
+ */
+function renderTelemetryLimitsTable() {
+    const body = document.getElementById('limitsTableBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    Object.keys(telemetryLimits).sort().forEach(channel => {
+        const limits = telemetryLimits[channel];
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = channel;
+        row.appendChild(name);
+
+        const inputs = LIMIT_FIELDS.map(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = `settings-input limits-input limits-input--${field.startsWith('red') ? 'critical' : 'caution'}`;
+            input.value = limits[field] === null || limits[field] === undefined ? '' : limits[field];
+            input.onchange = () => applyLimitRow(channel, inputs);
+            cell.appendChild(input);
+            row.appendChild(cell);
+            return input;
+        });
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary alarm-item__btn';
+        remove.textContent = '✕';
+        remove.title = 'Stop checking this channel';
+        remove.onclick = () => {
+            setTelemetryLimit(channel, null);
+            telemetryAlarms.delete(channel);
+            const elementId = LIMIT_DISPLAY_ELEMENTS[channel];
+            if (elementId && limitDisplayChannels.get(elementId) === channel) updateLimitIndicator(elementId, 'normal');
+            renderTelemetryLimitsTable();
+            renderAlarmList();
+        };
+        actions.appendChild(remove);
+        row.appendChild(actions);
+
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Validate and store one edited row of the limits table
+ * @param {string} channel - Channel name
+ * @param {HTMLInputElement[]} inputs - Inputs in LIMIT_FIELDS order
+ */
+function applyLimitRow(channel, inputs) {
+    const limits = {};
+    LIMIT_FIELDS.forEach((field, i) => {
+        limits[field] = inputs[i].value.trim() === '' ? null : parseFloat(inputs[i].value);
+    });
+
+    const error = setTelemetryLimit(channel, limits);
+    if (error) {
+        logToTerminal(`${channel}: ${error}`, 'warning');
+        renderTelemetryLimitsTable();
+    }
+}
+
+/**
+ * Add a channel to the limits table from the channel input
+ */
+function addTelemetryLimit() {
+    const input = document.getElementById('limitChannelInput');
+    const channel = input ? input.value.trim() : '';
+    if (!channel) return;
+
+    if (!telemetryLimits[channel]) {
+        setTelemetryLimit(channel, {});
+    }
+    input.value = '';
+    renderTelemetryLimitsTable();
+}
+
+/**
+ * Offer recorded channels as suggestions for the channel input
+ */
+async function refreshLimitChannelSuggestions() {
+    const datalist = document.getElementById('limitChannelOptions');
+    if (!datalist || typeof listTelemetryChannels !== 'function') return;
+
+    try {
+        const channels = await listTelemetryChannels();
+        datalist.innerHTML = '';
+        channels.forEach(info => {
+            const option = document.createElement('option');
+            option.value = info.channel;
+            datalist.appendChild(option);
+        });
+    } catch (error) {
+        console.warn(`Limit channel suggestions unavailable: ${error.message}`);
+    }
+}
+
+/**
+ * Load limits, render the editor and start checking recorded samples
+ */
+function initTelemetryLimits() {
+    loadTelemetryLimits();
+    renderTelemetryLimitsTable();
+    renderAlarmList();
+    refreshLimitChannelSuggestions();
+
+    if (typeof onTelemetrySample === 'function') {
+        onTelemetrySample(checkTelemetryLimit);
+    }
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.limitsDebug = {
+    getLimits: () => telemetryLimits,
+    getStates: () => telemetryLimitStates,
+    getAlarms: () => telemetryAlarms,
+    check: checkTelemetryLimit
+};
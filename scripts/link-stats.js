@@ -0,0 +1,251 @@
+// Link quality statistics for TEMPEST Ground Station
+// Counts downlink frames per packet identifier: packets received, malformed packets (decode
+// errors such as "Invalid … packet size", CRC and length failures) and identifiers the schema
+// doesn't know. Also keeps rolling byte and packet rates, the number of times the framer
+// cleared its buffer because nothing framable arrived (the overflow guard), and the RSSI/SNR
+// the ground station reports in its "Received packet:" lines, published as 'LINK' events:
+//   { type: 'LINK', t, rssi, snr }  (either field may be absent)
+
+// Counters by identifier: { received, malformed, unknown, last, times (arrivals in the last minute) }
+const linkStats = new Map();
+let linkBuckets = []; // Per-second { second, bytes, packets, malformed }, oldest first
+let linkOverflows = 0;
+let linkSkippedBytes = 0;
+let linkSince = Date.now();
+let lastLinkQuality = null; // Latest LINK event
+let linkDisplayTimer = null;
+
+// Configuration
+const LINK_BYTE_WINDOW = 10; // s averaged for bytes/s
+const LINK_PACKET_WINDOW = 60; // s counted for packets/min and the per-identifier rates
+const LINK_UNIDENTIFIED = '????'; // Row for rejected bytes the framer couldn't attribute
+
+// ============================================================================
+// Counting
+// ============================================================================
+
+/**
+ * Per-second bucket for the current time, dropping buckets outside the rate windows
+ * @param {number} t - Time in ms
+ * @returns {Object} - { second, bytes, packets, malformed }
+ */
+function getLinkBucket(t) {
+    const second = Math.floor(t / 1000);
+    let bucket = linkBuckets[linkBuckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+        bucket = { second, bytes: 0, packets: 0, malformed: 0 };
+        linkBuckets.push(bucket);
+        linkBuckets = linkBuckets.filter(b => b.second > second - LINK_PACKET_WINDOW);
+    }
+    return bucket;
+}
+
+/**
+ * Counters for one identifier, created on first use
+ * @param {string} identifier - Packet identifier
+ * @returns {Object} - { received, malformed, unknown, last, times }
+ */
+function getLinkIdentifierStats(identifier) {
+    const key = identifier || LINK_UNIDENTIFIED;
+    if (!linkStats.has(key)) {
+        linkStats.set(key, { received: 0, malformed: 0, unknown: false, last: 0, times: [] });
+    }
+    return linkStats.get(key);
+}
+
+/**
+ * Count raw bytes read from the link
+ * @param {number} count - Chunk length in bytes
+ */
+function recordLinkBytes(count) {
+    getLinkBucket(Date.now()).bytes += count;
+}
+
+/**
+ * Count a framed packet
+ * @param {string} identifier - Packet identifier
+ * @param {Object} [options] - { malformed, unknown }; malformed packets aren't counted as received
+ */
+function recordLinkPacket(identifier, options = {}) {
+    const now = Date.now();
+    const stats = getLinkIdentifierStats(identifier);
+    const bucket = getLinkBucket(now);
+
+    stats.last = now;
+    stats.times.push(now);
+    while (now - stats.times[0] >= LINK_PACKET_WINDOW * 1000) stats.times.shift();
+
+    if (options.malformed) {
+        stats.malformed++;
+        bucket.malformed++;
+    } else {
+        stats.received++;
+        bucket.packets++;
+    }
+    if (options.unknown) stats.unknown = true;
+}
+
+/**
+ * Count a decoded telemetry packet from the downlink pipeline
+ * @param {Object} packet - Decoded packet { identifier, error, unknown, ... }
+ */
+function recordLinkTelemetryPacket(packet) {
+    recordLinkPacket(packet.identifier, { malformed: !!packet.error, unknown: !!packet.unknown });
+}
+
+/**
+ * Count bytes the framer rejected
+ * CRC and length failures are malformed packets of the identifier they claimed to be;
+ * overflows are the guard clearing unframable data.
+ * @param {string} reason - 'crc', 'length', 'overflow' or 'resync'
+ * @param {string} [identifier] - Identifier at the rejected position, when known
+ * @param {number} bytes - Bytes skipped
+ */
+function recordLinkReject(reason, identifier, bytes) {
+    linkSkippedBytes += bytes;
+    if (reason === 'overflow') linkOverflows++;
+
+    if (reason === 'crc' || reason === 'length') {
+        const stats = getLinkIdentifierStats(identifier);
+        stats.malformed++;
+        stats.last = Date.now();
+        getLinkBucket(stats.last).malformed++;
+    }
+}
+
+/**
+ * Parse RSSI and SNR from a ground station "Received packet:" line and publish them
+ * @param {string} line - e.g. "Received packet: 213 bytes, RSSI: -97 dBm, SNR: 7.5 dB"
+ * @returns {Object|null} - LINK event, or null if the line has neither value
+ */
+function parseLinkQualityLine(line) {
+    const rssi = line.match(/RSSI\s*[:=]?\s*(-?\d+(?:\.\d+)?)/i);
+    const snr = line.match(/SNR\s*[:=]?\s*(-?\d+(?:\.\d+)?)/i);
+    if (!rssi && !snr) return null;
+
+    const event = { type: 'LINK', t: Date.now() };
+    if (rssi) event.rssi = parseFloat(rssi[1]);
+    if (snr) event.snr = parseFloat(snr[1]);
+
+    lastLinkQuality = event;
+    publishTelemetry(event);
+    return event;
+}
+
+/**
+ * Rolling rates over the configured windows
+ * @returns {Object} - { bytesPerSecond, packetsPerMinute (well-formed), malformedPerMinute }
+ */
+function getLinkRates() {
+    const second = Math.floor(Date.now() / 1000);
+    const sum = (seconds, field) => linkBuckets
+        .filter(b => b.second > second - seconds)
+        .reduce((total, b) => total + b[field], 0);
+
+    // Don't divide by a window longer than the statistics have been running
+    const running = Math.max(1, Math.ceil((Date.now() - linkSince) / 1000));
+    return {
+        bytesPerSecond: sum(LINK_BYTE_WINDOW, 'bytes') / Math.min(LINK_BYTE_WINDOW, running),
+        packetsPerMinute: sum(LINK_PACKET_WINDOW, 'packets'),
+        malformedPerMinute: sum(LINK_PACKET_WINDOW, 'malformed')
+    };
+}
+
+/**
+ * Clear all counters
+ */
+function resetLinkStats() {
+    linkStats.clear();
+    linkBuckets = [];
+    linkOverflows = 0;
+    linkSkippedBytes = 0;
+    linkSince = Date.now();
+    updateLinkStatsDisplay();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Show rates, signal quality and the per-identifier table
+ */
+function updateLinkStatsDisplay() {
+    const now = Date.now();
+    const rates = getLinkRates();
+    setElementText('linkByteRate', rates.bytesPerSecond >= 1024
+        ? `${(rates.bytesPerSecond / 1024).toFixed(1)} KB/s`
+        : `${rates.bytesPerSecond.toFixed(0)} B/s`);
+    setElementText('linkPacketRate', `${rates.packetsPerMinute}/min`);
+    setElementText('linkOverflows', linkOverflows);
+    setElementText('linkRssi', lastLinkQuality && lastLinkQuality.rssi !== undefined ? `${lastLinkQuality.rssi} dBm` : '--');
+    setElementText('linkSnr', lastLinkQuality && lastLinkQuality.snr !== undefined ? `${lastLinkQuality.snr} dB` : '--');
+
+    const body = document.getElementById('linkStatsBody');
+    if (body) {
+        body.innerHTML = '';
+        Array.from(linkStats.keys()).sort().forEach(identifier => {
+            const stats = linkStats.get(identifier);
+            stats.times = stats.times.filter(t => now - t < LINK_PACKET_WINDOW * 1000);
+
+            const row = document.createElement('tr');
+            if (stats.unknown) row.className = 'link-row--unknown';
+            else if (stats.malformed > 0) row.className = 'link-row--malformed';
+
+            const cells = [
+                identifier,
+                stats.received,
+                stats.malformed,
+                stats.times.length,
+                stats.last ? new Date(stats.last).toISOString().substring(11, 19) : '--'
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            if (stats.unknown) row.title = 'Identifier not in the packet schema';
+            else if (identifier === LINK_UNIDENTIFIED) row.title = 'Rejected before an identifier could be read';
+
+            body.appendChild(row);
+        });
+    }
+
+    // Caution above 1% malformed packets in the last minute, serious above 10%
+    const dot = document.getElementById('linkStatsDot');
+    if (dot) {
+        const total = rates.packetsPerMinute + rates.malformedPerMinute;
+        let level = 'off';
+        if (total > 0) {
+            const ratio = rates.malformedPerMinute / total;
+            level = ratio > 0.1 ? 'serious' : ratio > 0.01 ? 'caution' : 'normal';
+        }
+        dot.className = `status-symbol status-symbol--${level}`;
+    }
+
+    setElementText('linkStatsInfo', `since ${new Date(linkSince).toISOString().substring(11, 19)} UTC, ${linkSkippedBytes} B skipped`);
+}
+
+/**
+ * Register the LINK channels and refresh the rates every second
+ */
+function initLinkStats() {
+    if (typeof registerTelemetryEventType === 'function') {
+        registerTelemetryEventType('LINK', 'Link Quality', { rssi: 'dBm', snr: 'dB' });
+    }
+
+    if (linkDisplayTimer) clearInterval(linkDisplayTimer);
+    linkDisplayTimer = setInterval(updateLinkStatsDisplay, 1000);
+    updateLinkStatsDisplay();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.linkStatsDebug = {
+    getStats: () => linkStats,
+    getRates: getLinkRates,
+    getQuality: () => lastLinkQuality,
+    parse: parseLinkQualityLine
+};
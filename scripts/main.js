@@ -1,10 +1,6 @@
 // Main initialization and UI functions for TEMPEST Ground Station
 // This file handles UI interactions, radio configuration, and application initialization
 
-// Global variables for UI state
-let pollBuffer = new Uint8Array();
-let obclDataArray = [];
-
 // ISM Band frequency ranges
 const ISM_BANDS = {
     '433': { min: 433.05, max: 434.79, name: '433 MHz' },
@@ -27,13 +23,17 @@ function togglePanelMobile(header) {
     }
 }
 
+// Terminal lines waiting for the next animation frame
+let pendingTerminalLines = [];
+let terminalFlushScheduled = false;
+
 /**
  * Log message to terminal with timestamp and styling
+ * Lines are batched and appended once per animation frame so fast downlinks don't stall the UI
  * @param {string} message - Message to log
  * @param {string} type - Message type (info, command, response, error, warning)
  */
 function logToTerminal(message, type = 'info') {
-    const terminal = document.getElementById('terminal');
     const line = document.createElement('div');
     line.className = `terminal-line ${type}`;
     const timestamp = new Date().toLocaleTimeString('en-US', { 
@@ -44,7 +44,34 @@ function logToTerminal(message, type = 'info') {
         fractionalSecondDigits: 3 
     });
     line.textContent = `[${timestamp}] ${message}`;
-    terminal.appendChild(line);
+    appendToTerminal(line);
+}
+
+/**
+ * Queue an element for the terminal, keeping it in order with logged lines
+ * @param {HTMLElement} element - Element to append
+ */
+function appendToTerminal(element) {
+    pendingTerminalLines.push(element);
+    if (!terminalFlushScheduled) {
+        terminalFlushScheduled = true;
+        requestAnimationFrame(flushTerminal);
+    }
+}
+
+/**
+ * Append all queued lines to the terminal in one DOM update
+ */
+function flushTerminal() {
+    terminalFlushScheduled = false;
+    const terminal = document.getElementById('terminal');
+    if (!terminal || pendingTerminalLines.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    pendingTerminalLines.forEach(element => fragment.appendChild(element));
+    pendingTerminalLines = [];
+
+    terminal.appendChild(fragment);
     terminal.scrollTop = terminal.scrollHeight;
 }
 
@@ -126,6 +153,48 @@ function blinkLED(ledId, duration = 100) {
     }
 }
 
+/**
+ * Set the text of an element, if it exists
+ * @param {string} id - Element id
+ * @param {*} text - Text to show
+ */
+function setElementText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+}
+
+/**
+ * Format an age for compact display
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} - e.g. "8s", "12m", "3h"
+ */
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 120) return `${seconds}s`;
+    if (seconds < 7200) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h`;
+}
+
+/**
+ * Read settings saved as JSON in localStorage
+ * Unreadable or unexpected values are reported in the terminal and replaced by the defaults.
+ * @param {string} key - localStorage key
+ * @param {*} defaults - Value used when nothing valid is saved
+ * @param {Function} [isValid] - Check of the parsed value's shape
+ * @returns {*} - Saved value, or defaults
+ */
+function loadSavedSettings(key, defaults, isValid = () => true) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        if (saved === null) return defaults;
+        if (isValid(saved)) return saved;
+        logToTerminal(`Ignoring saved ${key}: unexpected format`, 'warning');
+    } catch (error) {
+        logToTerminal(`Ignoring saved ${key}: ${error.message}`, 'warning');
+    }
+    return defaults;
+}
+
 // ============================================================================
 // Radio Configuration Functions
 // ============================================================================
@@ -186,7 +255,7 @@ function validateFrequency(radio) {
  * Query current radio configuration from ground station
  */
 async function queryRadioConfig() {
-    if (!writer) {
+    if (!transport) {
         logToTerminal('Not connected to Ground Station', 'error');
         return;
     }
@@ -195,14 +264,15 @@ async function queryRadioConfig() {
         logToTerminal('Querying radio configuration...', 'info');
         
         // Clear any pending data
-        dataBuffer = new Uint8Array();
+        downlinkParser.clear();
+        const bytesBefore = downlinkParser.stats.bytesIn;
         
         // Send the query command
         await sendCommand('get_radio_config');
         
         // Wait a bit for the response
         setTimeout(() => {
-            if (dataBuffer.length === 0) {
+            if (downlinkParser.stats.bytesIn === bytesBefore) {
                 logToTerminal('No response received from hardware. Check connection.', 'warning');
             }
         }, 3000);
@@ -216,7 +286,7 @@ async function queryRadioConfig() {
  * Configure radios with current UI settings
  */
 async function configureRadios() {
-    if (!writer) {
+    if (!transport) {
         logToTerminal('Not connected to Ground Station', 'error');
         return;
     }
@@ -294,6 +364,7 @@ function updateLEDConfig(uplinkRadio, downlinkRadio) {
  * Clear terminal output
  */
 function clearTerminal() {
+    pendingTerminalLines = [];
     document.getElementById('terminal').innerHTML = '';
     logToTerminal('Terminal cleared', 'info');
 }
@@ -374,8 +445,8 @@ function closeSettings() {
 // ============================================================================
 
 /**
- * Switch between Operate and Configure tabs
- * @param {string} tabName - Tab identifier ('operate' or 'configure')
+ * Switch between Operate, Plots and Configure tabs
+ * @param {string} tabName - Tab identifier ('operate', 'plots' or 'configure')
  */
 function switchTab(tabName) {
     // Update tab buttons
@@ -386,6 +457,16 @@ function switchTab(tabName) {
     document.querySelectorAll('.tab-content').forEach(content => {
         content.classList.toggle('tab-content--active', content.id === `tab-${tabName}`);
     });
+
+    if (tabName === 'plots' && typeof onPlotTabShown === 'function') {
+        onPlotTabShown();
+    }
+    if (tabName === 'configure' && typeof refreshExportChannelList === 'function') {
+        refreshExportChannelList();
+    }
+    if (tabName === 'configure' && typeof renderGridStaleTimeoutTable === 'function') {
+        renderGridStaleTimeoutTable();
+    }
 }
 
 // ============================================================================
@@ -469,7 +550,7 @@ function flashMonitor(monitorId, statusClass = 'normal', duration = 300) {
  * Initialize application when DOM is loaded
  */
 window.addEventListener('load', () => {
-    logToTerminal('WebSerial Ground Station initialized', 'info');
+    logToTerminal('Ground Station console initialized', 'info');
     logToTerminal('Click "Connect to Ground Station" to begin', 'info');
 
     // Initialize radio config
@@ -483,6 +564,95 @@ window.addEventListener('load', () => {
         tab.addEventListener('click', () => switchTab(tab.dataset.tab));
     });
 
+    // Sync link settings with the selected transport (browsers restore form state on reload)
+    if (typeof updateTransportOptions === 'function') {
+        updateTransportOptions();
+    }
+
+    // Subscribe the terminal log and telemetry grid to the telemetry bus
+    if (typeof initTelemetryLog === 'function') {
+        initTelemetryLog();
+    }
+    if (typeof initTelemetryGrid === 'function') {
+        initTelemetryGrid();
+    }
+
+    // Decode ENV_POLL snapshots with the POLL channel map
+    if (typeof initEnvironmentPoll === 'function') {
+        initEnvironmentPoll();
+    }
+
+    // Watch health beacons for loss of signal and reboots
+    if (typeof initBeaconMonitor === 'function') {
+        initBeaconMonitor();
+    }
+
+    // Reassemble OBC listings and set up the file browser and process monitor
+    if (typeof initOBCListings === 'function') {
+        initOBCListings();
+    }
+    if (typeof initFileBrowser === 'function') {
+        initFileBrowser();
+    }
+    if (typeof initProcessMonitor === 'function') {
+        initProcessMonitor();
+    }
+
+    // Set up EPS channel control and verification
+    if (typeof initEPSControl === 'function') {
+        initEPSControl();
+    }
+
+    // Estimate battery state of charge and the power budget
+    if (typeof initPowerBudget === 'function') {
+        initPowerBudget();
+    }
+
+    // Estimate the sun direction from the solar panel currents
+    if (typeof initSunVector === 'function') {
+        initSunVector();
+    }
+
+    // Set up the IMU panel
+    if (typeof initImuPanel === 'function') {
+        initImuPanel();
+    }
+
+    // Start link quality statistics
+    if (typeof initLinkStats === 'function') {
+        initLinkStats();
+    }
+
+    // Follow image commands and transfer markers
+    if (typeof initImageProcessing === 'function') {
+        initImageProcessing();
+    }
+
+    // Show images stored from earlier sessions
+    if (typeof initImageGallery === 'function') {
+        initImageGallery();
+    }
+
+    // Start automatic image retransmission
+    if (typeof initImageArq === 'function') {
+        initImageArq();
+    }
+
+    // Open the telemetry history store
+    if (typeof initTelemetryStore === 'function') {
+        initTelemetryStore();
+    }
+
+    // Start telemetry limit checking
+    if (typeof initTelemetryLimits === 'function') {
+        initTelemetryLimits();
+    }
+
+    // Set up the strip-chart plots
+    if (typeof initPlotting === 'function') {
+        initPlotting();
+    }
+
     // Start UTC clock
     updateAstroClock();
     setInterval(updateAstroClock, 1000);
@@ -565,5 +735,5 @@ window.debugGroundStation = () => {
     console.log('Connection Status:', typeof isConnected !== 'undefined' ? isConnected : 'Unknown');
     console.log('Radio Config:', window.radioConfig);
     console.log('Image Receptions:', typeof imageReceptions !== 'undefined' ? imageReceptions.size : 'Unknown');
-    console.log('Data Buffer Length:', typeof dataBuffer !== 'undefined' ? dataBuffer.length : 'Unknown');
+    console.log('Data Buffer Length:', typeof downlinkParser !== 'undefined' ? downlinkParser.length : 'Unknown');
 };
@@ -0,0 +1,214 @@
+// OBC listing reassembly for TEMPEST Ground Station
+// OBC_LIST_FILES and OBC_PROCESSES reply with a Python list repr, e.g. ['images', 'tempest.py'],
+// split across OBCL / OBCP text fragments. Fragments are collected until the closing bracket of
+// the list (outside quotes) arrives, so a slow link can't split one listing into two, and the
+// entries are published as a 'FILES' or 'PROCS' telemetry event:
+//   { type: 'FILES', t, path, entries: ['images', 'tempest.py'], exists: true, complete: true, certain: true }
+//   { type: 'PROCS', t, entries: ['systemd', 'radio_service'], complete: true }
+// Listings don't name their directory, so path is taken from the OBC_LIST_FILES command that
+// requested it (null if unknown). certain is false when several requests were outstanding and the
+// listing was matched to the oldest by guesswork; only DNE replies carry their path.
+
+// Reassembly state by fragment identifier: { text, timer }
+const obcListingBuffers = new Map();
+// Paths of OBC_LIST_FILES commands awaiting a reply, oldest first: [{ path, t }]
+const pendingListingPaths = [];
+
+// Configuration
+const OBC_LISTING_TYPES = { 'OBCL': 'FILES', 'OBCP': 'PROCS' }; // Fragment identifier -> published event type
+const OBC_LISTING_TIMEOUT = 30000; // ms without a fragment before an unterminated listing is flushed
+const OBC_LISTING_REQUEST_TIMEOUT = 45000; // ms before an unanswered OBC_LIST_FILES is considered lost
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Scan a Python list repr for its entries and closing bracket
+ * Quoted entries may contain commas and brackets; backslash escapes are honoured.
+ * @param {string} text - Listing text, possibly incomplete
+ * @returns {Object} - { entries, end } where end is the index after the closing ']' or -1
+ */
+function scanOBCListing(text) {
+    const entries = [];
+    let depth = 0;
+    let quote = null;
+    let escaped = false;
+    let current = '';
+
+    const pushEntry = () => {
+        const entry = current.trim();
+        if (entry) entries.push(entry);
+        current = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote) {
+            if (escaped) {
+                current += ch;
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === quote) {
+                quote = null;
+            } else {
+                current += ch;
+            }
+            continue;
+        }
+
+        if (ch === '[') {
+            depth++;
+        } else if (ch === ']') {
+            depth--;
+            if (depth <= 0) {
+                pushEntry();
+                return { entries, end: i + 1 };
+            }
+        } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+        } else if (ch === ',') {
+            pushEntry();
+        } else {
+            current += ch;
+        }
+    }
+
+    pushEntry();
+    return { entries, end: -1 };
+}
+
+// ============================================================================
+// Reassembly (telemetry bus subscriber for listing fragments)
+// ============================================================================
+
+/**
+ * Append a listing fragment and publish every listing it completes
+ * Text after a closing bracket starts the next listing.
+ * @param {Object} event - OBCL/OBCP fragment { type, t, text }
+ */
+function handleOBCListingFragment(event) {
+    if (!event.text) return;
+
+    const buffer = obcListingBuffers.get(event.type) || { text: '', timer: null };
+    obcListingBuffers.set(event.type, buffer);
+    buffer.text += event.text;
+
+    let scan = scanOBCListing(buffer.text);
+    while (scan.end !== -1) {
+        publishOBCListing(event.type, scan.entries, event.t, true);
+        buffer.text = buffer.text.slice(scan.end).replace(/^\s+/, '');
+        scan = buffer.text ? scanOBCListing(buffer.text) : { end: -1 };
+    }
+
+    clearTimeout(buffer.timer);
+    buffer.timer = buffer.text ? setTimeout(() => flushOBCListing(event.type), OBC_LISTING_TIMEOUT) : null;
+}
+
+/**
+ * Publish whatever arrived of a listing whose closing bracket never came
+ * @param {string} identifier - Fragment identifier
+ */
+function flushOBCListing(identifier) {
+    const buffer = obcListingBuffers.get(identifier);
+    if (!buffer || !buffer.text) return;
+
+    logToTerminal(`${getPacketTypeName(identifier)} incomplete after ${OBC_LISTING_TIMEOUT / 1000}s, showing what arrived`, 'warning');
+    publishOBCListing(identifier, scanOBCListing(buffer.text).entries, Date.now(), false);
+    buffer.text = '';
+    buffer.timer = null;
+}
+
+/**
+ * Publish a reassembled listing as its event type
+ * @param {string} identifier - Fragment identifier
+ * @param {string[]} entries - Listing entries
+ * @param {number} t - Receive time of the last fragment
+ * @param {boolean} complete - False when the listing was cut short
+ */
+function publishOBCListing(identifier, entries, t, complete) {
+    const event = { type: OBC_LISTING_TYPES[identifier], t, entries, complete };
+
+    if (identifier === 'OBCL') {
+        // The OBC answers a missing directory with ['DNE: <path>']
+        const dne = entries.length === 1 && entries[0].startsWith('DNE') ? entries[0] : null;
+        const request = takePendingListingPath(t, dne ? normalizeOBCPath(dne.replace(/^DNE:?\s*/, '')) : null);
+        event.path = request ? request.path : null;
+        event.certain = request ? request.certain : false;
+        event.exists = !dne;
+        if (dne) event.entries = [];
+    }
+
+    publishTelemetry(event);
+}
+
+// ============================================================================
+// Request Tracking
+// ============================================================================
+
+/**
+ * Remember the path of each OBC_LIST_FILES command (uplink subscriber)
+ * @param {Object} event - Uplink event { t, command }
+ */
+function trackListingRequest(event) {
+    const parts = event.command.trim().split(/\s+/);
+    if (parts[0].toUpperCase() !== 'OBC_LIST_FILES') return;
+
+    pendingListingPaths.push({ path: normalizeOBCPath(parts[1] || ''), t: event.t });
+}
+
+/**
+ * Match a listing reply to an outstanding OBC_LIST_FILES request
+ * Requests past the timeout are dropped as lost. A reply naming its path answers that request,
+ * and any older ones are dropped since the OBC answers in order. Otherwise the oldest request is
+ * taken, which is only certain when it is the only one outstanding.
+ * @param {number} t - Reply time
+ * @param {string|null} replyPath - Path named in the reply, if any
+ * @returns {Object|null} - { path, certain } or null if no request can be matched
+ */
+function takePendingListingPath(t, replyPath) {
+    while (pendingListingPaths.length > 0 && t - pendingListingPaths[0].t > OBC_LISTING_REQUEST_TIMEOUT) {
+        pendingListingPaths.shift();
+    }
+
+    if (replyPath) {
+        const index = pendingListingPaths.findIndex(request => request.path === replyPath);
+        if (index !== -1) pendingListingPaths.splice(0, index + 1);
+        return { path: replyPath, certain: true };
+    }
+
+    if (pendingListingPaths.length === 0) return null;
+    const certain = pendingListingPaths.length === 1;
+    return { path: pendingListingPaths.shift().path, certain };
+}
+
+/**
+ * Normalise an OBC path: collapse repeated slashes and drop a trailing slash
+ * @param {string} path - Path as typed
+ * @returns {string|null} - Normalised path, or null for the OBC's default directory
+ */
+function normalizeOBCPath(path) {
+    if (!path) return null;
+    const normalized = path.replace(/\/+/g, '/').replace(/\/$/, '');
+    return normalized || '/';
+}
+
+/**
+ * Subscribe to listing fragments and uplinked listing commands
+ */
+function initOBCListings() {
+    subscribeTelemetry(Object.keys(OBC_LISTING_TYPES), handleOBCListingFragment);
+    subscribeTelemetry('uplink', trackListingRequest);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.obcListingDebug = {
+    scan: scanOBCListing,
+    getBuffers: () => obcListingBuffers,
+    getPending: () => pendingListingPaths
+};
@@ -0,0 +1,179 @@
+// Telemetry packet decoders for TEMPEST Ground Station
+// Turns binary downlink packets into plain objects using the field layouts in
+// packet-schema.js. No DOM access in this file: it runs inside the downlink worker,
+// with telemetry.js rendering the results on the UI thread.
+
+// ============================================================================
+// Main Decoder
+// ============================================================================
+
+/**
+ * Decode a binary telemetry packet
+ * @param {Uint8Array} data - Binary packet data
+ * @returns {Object|null} - Decoded packet with identifier and receivedAt, or an error field
+ */
+function decodePacket(data) {
+    if (!data || data.length < PACKET_IDENTIFIER_SIZE) return null;
+
+    const identifier = String.fromCharCode(data[0], data[1], data[2], data[3]).replace(/\0/g, '').trim();
+    const schema = getPacketSchema(identifier);
+    let fields;
+
+    try {
+        if (!schema) {
+            fields = { unknown: true };
+        } else if (schema.framing === 'fixed') {
+            fields = decodeFixedPacket(schema, data);
+        } else if (schema.framing === 'length-prefixed') {
+            fields = decodeLengthPrefixedPacket(schema, data);
+        } else {
+            fields = decodeDelimitedPacket(schema, data);
+        }
+    } catch (error) {
+        fields = { error: `Telemetry unpack error: ${error.message}` };
+    }
+
+    return { identifier, receivedAt: Date.now(), ...fields };
+}
+
+/**
+ * Build a size error result in the wording the terminal has always used
+ * @param {string} name - Packet name for the message
+ * @param {Uint8Array} data - Offending packet
+ * @returns {Object} - Error fields
+ */
+function packetSizeError(name, data) {
+    return { error: `Invalid ${name} packet size: ${data.length} bytes` };
+}
+
+/**
+ * Create a DataView over a packet (which may be a view into a larger buffer)
+ * @param {Uint8Array} data - Packet bytes
+ * @returns {DataView} - DataView covering exactly the packet
+ */
+function packetView(data) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Decode bytes as text with NULs removed
+ * @param {Uint8Array} bytes - Text bytes
+ * @returns {string} - Decoded text
+ */
+function packetText(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0/g, '');
+}
+
+// ============================================================================
+// Framing-specific Decoders
+// ============================================================================
+
+/**
+ * Decode a fixed-size packet
+ * Packet format: [4-byte ID][fields as laid out in the schema]
+ * @param {Object} schema - Packet schema
+ * @param {Uint8Array} data - Packet bytes
+ * @returns {Object} - Decoded fields
+ */
+function decodeFixedPacket(schema, data) {
+    if (data.length < schema.size) return packetSizeError(schema.id, data);
+
+    const reader = {
+        view: packetView(data),
+        data,
+        offset: PACKET_IDENTIFIER_SIZE,
+        littleEndian: schema.endian !== 'big'
+    };
+    return readPacketFields(reader, schema.fields);
+}
+
+/**
+ * Decode a length-prefixed packet
+ * Packet format: [4-byte ID][4-byte uint32 length][body]
+ * @param {Object} schema - Packet schema
+ * @param {Uint8Array} data - Packet bytes
+ * @returns {Object} - { [field]: body } as bytes or string according to the field type
+ */
+function decodeLengthPrefixedPacket(schema, data) {
+    if (data.length < 8) return packetSizeError(schema.id, data);
+
+    const length = packetView(data).getUint32(4, schema.endian !== 'big');
+    if (data.length < 8 + length) {
+        return { error: `Incomplete ${schema.id} packet: expected ${8 + length}, got ${data.length} bytes` };
+    }
+
+    const field = schema.fields[0];
+    const body = data.subarray(8, 8 + length);
+    return { [field.name]: field.type === 'bytes' ? body.slice() : packetText(body).trim() };
+}
+
+/**
+ * Decode a newline-delimited packet (OBC listing fragments, retransmit text)
+ * Packet format: [4-byte ID][text]
+ * @param {Object} schema - Packet schema
+ * @param {Uint8Array} data - Packet bytes without the trailing newline
+ * @returns {Object} - { [field]: text } with NULs removed
+ */
+function decodeDelimitedPacket(schema, data) {
+    return { [schema.fields[0].name]: packetText(data.subarray(PACKET_IDENTIFIER_SIZE)) };
+}
+
+// ============================================================================
+// Field Reader
+// ============================================================================
+
+/**
+ * Read a list of schema fields, advancing the reader offset
+ * @param {Object} reader - { view, data, offset, littleEndian }
+ * @param {Object[]} fields - Field definitions
+ * @returns {Object} - Field values keyed by name
+ */
+function readPacketFields(reader, fields) {
+    const values = {};
+    for (const field of fields) {
+        if (field.count) {
+            values[field.name] = [];
+            for (let i = 0; i < field.count; i++) {
+                values[field.name].push(readPacketField(reader, field));
+            }
+        } else {
+            values[field.name] = readPacketField(reader, field);
+        }
+    }
+    return values;
+}
+
+/**
+ * Read a single (non-repeated) field value
+ * @param {Object} reader - { view, data, offset, littleEndian }
+ * @param {Object} field - Field definition
+ * @returns {*} - Field value
+ */
+function readPacketField(reader, field) {
+    if (field.fields) {
+        return readPacketFields(reader, field.fields);
+    }
+
+    const { view, offset, littleEndian } = reader;
+    let value;
+
+    switch (field.type) {
+        case 'int32':
+            value = view.getInt32(offset, littleEndian);
+            break;
+        case 'uint32':
+            value = view.getUint32(offset, littleEndian);
+            break;
+        case 'float32':
+            value = view.getFloat32(offset, littleEndian);
+            break;
+        case 'string':
+            value = packetText(reader.data.subarray(offset, offset + field.length)).trim();
+            break;
+        default:
+            throw new Error(`Unsupported field type ${field.type} for ${field.name}`);
+    }
+
+    reader.offset += packetFieldSize({ ...field, count: 1 });
+    return value;
+}
@@ -0,0 +1,266 @@
+// Packet schema registry for TEMPEST Ground Station
+// Single source of truth for every downlink packet type: identifier, framing, size,
+// field layout, endianness and units. Framing (framing.js), decoding (packet-decoders.js)
+// and display naming (telemetry.js) are all driven from this table.
+// No DOM access in this file: it is also loaded by the downlink worker.
+//
+// Adding a satellite packet means adding one entry below. Decoded packets with no custom
+// display in telemetry.js are printed generically using the field names and units.
+//
+// Entry fields:
+//   id       - 4-character identifier at the start of the packet
+//   name     - Human-readable name
+//   framing  - 'fixed' (size derived from fields), 'length-prefixed' (4 + uint32 length + body)
+//              or 'delimited' (body runs to the next newline)
+//   endian   - 'little' (default) or 'big' for multi-byte fields
+//   image    - True for delimited packets that carry image chunks (SEND/RETX)
+//   fields   - Ordered fields after the identifier:
+//                { name, type, unit, count, fields, length }
+//              type is one of int32, uint32, float32, string (fixed `length` bytes),
+//              bytes/string with framing 'length-prefixed' (the prefixed body), or
+//              text (delimited body). `count` repeats a field (or nested `fields`) into an array.
+
+const PACKET_IDENTIFIER_SIZE = 4;
+
+// Byte sizes of scalar field types
+const PACKET_FIELD_SIZES = {
+    int32: 4,
+    uint32: 4,
+    float32: 4
+};
+
+const PACKET_SCHEMAS = [
+    // 3-axis sensors (BNO055)
+    {
+        id: 'GYRO', name: 'Gyroscope', framing: 'fixed',
+        fields: [
+            { name: 'x', type: 'float32', unit: '°/s' },
+            { name: 'y', type: 'float32', unit: '°/s' },
+            { name: 'z', type: 'float32', unit: '°/s' }
+        ]
+    },
+    {
+        id: 'ACCL', name: 'Accelerometer', framing: 'fixed',
+        fields: [
+            { name: 'x', type: 'float32', unit: 'm/s²' },
+            { name: 'y', type: 'float32', unit: 'm/s²' },
+            { name: 'z', type: 'float32', unit: 'm/s²' }
+        ]
+    },
+    {
+        id: 'MAGN', name: 'Magnetometer', framing: 'fixed',
+        fields: [
+            { name: 'x', type: 'float32', unit: 'µT' },
+            { name: 'y', type: 'float32', unit: 'µT' },
+            { name: 'z', type: 'float32', unit: 'µT' }
+        ]
+    },
+    {
+        id: 'GRAV', name: 'Gravity Vector', framing: 'fixed',
+        fields: [
+            { name: 'x', type: 'float32', unit: 'm/s²' },
+            { name: 'y', type: 'float32', unit: 'm/s²' },
+            { name: 'z', type: 'float32', unit: 'm/s²' }
+        ]
+    },
+    {
+        id: 'EULR', name: 'Euler Angles', framing: 'fixed',
+        fields: [
+            { name: 'x', type: 'float32', unit: '°' },
+            { name: 'y', type: 'float32', unit: '°' },
+            { name: 'z', type: 'float32', unit: '°' }
+        ]
+    },
+    {
+        id: 'QUAT', name: 'Quaternion', framing: 'fixed',
+        fields: [
+            { name: 'w', type: 'float32' },
+            { name: 'x', type: 'float32' },
+            { name: 'y', type: 'float32' },
+            { name: 'z', type: 'float32' }
+        ]
+    },
+    {
+        id: 'ADCS', name: 'Attitude Control', framing: 'fixed',
+        fields: [
+            { name: 'heading', type: 'float32', unit: '°' },
+            { name: 'roll', type: 'float32', unit: '°' },
+            { name: 'pitch', type: 'float32', unit: '°' },
+            { name: 'quatW', type: 'float32' },
+            { name: 'quatX', type: 'float32' },
+            { name: 'quatY', type: 'float32' },
+            { name: 'quatZ', type: 'float32' }
+        ]
+    },
+
+    // Environment
+    {
+        id: 'BME2', name: 'BME280 Environment', framing: 'fixed',
+        fields: [
+            { name: 'temperature', type: 'float32', unit: '°C' },
+            { name: 'pressure', type: 'float32', unit: 'hPa' },
+            { name: 'altitude', type: 'float32', unit: 'm' }
+        ]
+    },
+    {
+        id: 'TEMP', name: 'Temperature', framing: 'fixed',
+        fields: [
+            { name: 'temperature', type: 'int32', unit: '°C' }
+        ]
+    },
+    {
+        id: 'POLL', name: 'Environmental Poll', framing: 'length-prefixed',
+        fields: [
+            { name: 'payload', type: 'bytes' }
+        ]
+    },
+
+    // Onboard computer
+    {
+        id: 'OBCR', name: 'OBC RAM Usage', framing: 'fixed',
+        fields: [{ name: 'value', type: 'float32', unit: '%' }]
+    },
+    {
+        id: 'OBCD', name: 'OBC Disk Usage', framing: 'fixed',
+        fields: [{ name: 'value', type: 'float32', unit: '%' }]
+    },
+    {
+        id: 'OBCC', name: 'OBC CPU Usage', framing: 'fixed',
+        fields: [{ name: 'value', type: 'float32', unit: '%' }]
+    },
+    {
+        id: 'OBCL', name: 'OBC File Listing', framing: 'delimited',
+        fields: [{ name: 'text', type: 'text' }]
+    },
+    {
+        id: 'OBCP', name: 'OBC Process List', framing: 'delimited',
+        fields: [{ name: 'text', type: 'text' }]
+    },
+    {
+        id: 'HOST', name: 'Hostname', framing: 'fixed',
+        fields: [{ name: 'hostname', type: 'string', length: 11 }]
+    },
+
+    // Power
+    {
+        id: 'EPSS', name: 'Power System', framing: 'fixed',
+        fields: [
+            { name: 'errorCode', type: 'int32' },
+            { name: 'channels', type: 'int32', count: 4 },
+            { name: 'batteryVoltage', type: 'float32', unit: 'V' }
+        ]
+    },
+    {
+        // Panel order: X-, X+, Y+, Y-
+        id: 'SOLR', name: 'Solar Panels', framing: 'fixed',
+        fields: [
+            {
+                name: 'panels', count: 4,
+                fields: [
+                    { name: 'voltage', type: 'float32', unit: 'V' },
+                    { name: 'current', type: 'float32', unit: 'mA' }
+                ]
+            }
+        ]
+    },
+
+    // Imaging and transfers
+    {
+        id: 'SEND', name: 'Image Data', framing: 'delimited', image: true,
+        fields: [{ name: 'text', type: 'text' }]
+    },
+    {
+        id: 'RETX', name: 'Retransmission', framing: 'delimited', image: true,
+        fields: [{ name: 'text', type: 'text' }]
+    },
+    {
+        id: 'XFRC', name: 'Transfer Complete', framing: 'fixed',
+        fields: [{ name: 'totalPackets', type: 'uint32' }]
+    },
+    {
+        id: 'PHOT', name: 'Photo Capture', framing: 'length-prefixed',
+        fields: [{ name: 'filename', type: 'string' }]
+    },
+
+    // Health beacon
+    {
+        id: 'BECN', name: 'Health Beacon', framing: 'fixed',
+        fields: [
+            { name: 'uptime', type: 'uint32', unit: 's' },
+            { name: 'cpu', type: 'float32', unit: '%' },
+            { name: 'ram', type: 'float32', unit: '%' },
+            { name: 'disk', type: 'float32', unit: '%' },
+            { name: 'temp', type: 'float32', unit: '°C' }
+        ]
+    }
+];
+
+// ============================================================================
+// Registry Lookup
+// ============================================================================
+
+/**
+ * Byte size of a field (including repeats), or 0 for variable-length fields
+ * @param {Object} field - Field definition
+ * @returns {number} - Size in bytes
+ */
+function packetFieldSize(field) {
+    let size;
+    if (field.fields) {
+        size = field.fields.reduce((sum, f) => sum + packetFieldSize(f), 0);
+    } else if (field.type === 'string' && field.length) {
+        size = field.length;
+    } else {
+        size = PACKET_FIELD_SIZES[field.type] || 0;
+    }
+    return size * (field.count || 1);
+}
+
+// Registry keyed by identifier, with fixed sizes computed from the field layout
+const PACKET_REGISTRY = new Map(PACKET_SCHEMAS.map(schema => [schema.id, {
+    endian: 'little',
+    ...schema,
+    size: schema.framing === 'fixed'
+        ? PACKET_IDENTIFIER_SIZE + schema.fields.reduce((sum, f) => sum + packetFieldSize(f), 0)
+        : -1
+}]));
+
+/**
+ * Look up the schema for a packet identifier
+ * @param {string} identifier - 4-character packet identifier
+ * @returns {Object|undefined} - Schema entry with computed size
+ */
+function getPacketSchema(identifier) {
+    return PACKET_REGISTRY.get(identifier);
+}
+
+/**
+ * Get human-readable packet type name
+ * @param {string} identifier - 4-character packet identifier
+ * @returns {string} - Human readable name
+ */
+function getPacketTypeName(identifier) {
+    const schema = PACKET_REGISTRY.get(identifier);
+    return schema ? schema.name : identifier;
+}
+
+/**
+ * Get the unit declared for a top-level field
+ * @param {string} identifier - Packet identifier
+ * @param {string} fieldName - Field name
+ * @returns {string} - Unit, or '' if none
+ */
+function getPacketFieldUnit(identifier, fieldName) {
+    const schema = PACKET_REGISTRY.get(identifier);
+    const field = schema && schema.fields.find(f => f.name === fieldName);
+    return (field && field.unit) || '';
+}
+
+/**
+ * Identifiers whose packets use a given framing
+ * @param {string} framing - 'fixed', 'length-prefixed' or 'delimited'
+ * @returns {string[]} - Packet identifiers
+ */
+function getPacketIdentifiers(framing) {
+    return PACKET_SCHEMAS.filter(schema => schema.framing === framing).map(schema => schema.id);
+}
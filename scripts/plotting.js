@@ -0,0 +1,651 @@
+// Telemetry strip-chart plotting for TEMPEST Ground Station
+// Rolling time-series charts of any channel in the telemetry store (see telemetry-store.js).
+// Channels sharing a unit share a y-axis; axes alternate left and right of the chart.
+// Mouse wheel zooms the time axis, dragging pans, double-click returns to live view.
+
+// Global variables for plotting
+const plotSeries = new Map(); // channel -> { samples: [{t, value}], color, unit, name, loadedFrom }
+let plotWindowMs = 5 * 60 * 1000; // Visible time span
+let plotViewEnd = null; // Right edge of the view in ms, or null to follow live data
+let plotDrag = null; // { x, viewEnd } while panning
+let plotDirty = true;
+let plotCanvas = null;
+let plotColorIndex = 0;
+
+// Configuration
+const PLOT_MAX_SAMPLES = 20000; // Per channel, older samples are thinned out beyond this
+const PLOT_MIN_WINDOW = 10 * 1000; // Narrowest zoom
+const PLOT_MAX_WINDOW = 7 * 24 * 60 * 60 * 1000; // Widest zoom
+const PLOT_AXIS_WIDTH = 56; // Pixels per y-axis
+const PLOT_MARGIN = { top: 28, bottom: 24 };
+const PLOT_COLORS = [
+    'var(--color-data-vis-1)', 'var(--color-data-vis-2)', 'var(--color-data-vis-3)',
+    '#ffb302', '#56f000', '#ff3838', '#fce83a', '#2dccff', '#e879f9', '#f97316'
+];
+
+// ============================================================================
+// Channel Selection
+// ============================================================================
+
+/**
+ * Rebuild the channel picker from every channel in the telemetry store
+ */
+async function refreshPlotChannelList() {
+    const list = document.getElementById('plotChannelList');
+    if (!list) return;
+
+    let channels;
+    try {
+        channels = await listTelemetryChannels();
+    } catch (error) {
+        list.textContent = `Telemetry store unavailable: ${error.message}`;
+        return;
+    }
+
+    if (channels.length === 0) {
+        list.textContent = 'No telemetry recorded yet. Channels appear here as packets arrive.';
+        return;
+    }
+
+    // Group by packet type
+    const groups = new Map();
+    channels.forEach(info => {
+        if (!groups.has(info.name)) groups.set(info.name, []);
+        groups.get(info.name).push(info);
+    });
+
+    list.innerHTML = '';
+    for (const [name, infos] of groups.entries()) {
+        const group = document.createElement('div');
+        group.className = 'plot-channel-group';
+
+        const label = document.createElement('div');
+        label.className = 'telemetry-section-label';
+        label.textContent = name;
+        group.appendChild(label);
+
+        infos.forEach(info => {
+            const row = document.createElement('label');
+            row.className = 'plot-channel';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = plotSeries.has(info.channel);
+            checkbox.onchange = () => togglePlotChannel(info.channel, checkbox.checked, info);
+
+            const swatch = document.createElement('span');
+            swatch.className = 'plot-channel__swatch';
+            swatch.style.background = plotSeries.has(info.channel) ? plotSeries.get(info.channel).color : 'transparent';
+
+            const text = document.createElement('span');
+            text.textContent = info.channel.slice(info.identifier.length + 1) + (info.unit ? ` (${info.unit})` : '');
+
+            row.append(checkbox, swatch, text);
+            group.appendChild(row);
+        });
+        list.appendChild(group);
+    }
+}
+
+/**
+ * Add or remove a channel from the chart
+ * @param {string} channel - Channel name
+ * @param {boolean} enabled - True to plot the channel
+ * @param {Object} info - Channel metadata from the store
+ */
+async function togglePlotChannel(channel, enabled, info = {}) {
+    if (!enabled) {
+        plotSeries.delete(channel);
+        plotDirty = true;
+        refreshPlotChannelList();
+        return;
+    }
+    if (plotSeries.has(channel)) return;
+
+    const from = plotViewStart();
+    const series = {
+        samples: [],
+        color: PLOT_COLORS[plotColorIndex++ % PLOT_COLORS.length],
+        unit: info.unit || '',
+        name: channel,
+        loadedFrom: from
+    };
+    plotSeries.set(channel, series);
+    refreshPlotChannelList();
+
+    try {
+        const history = await queryTelemetry(channel, from);
+        // Live samples may have arrived while loading; keep them after the history
+        const live = series.samples.filter(s => history.length === 0 || s.t > history[history.length - 1].t);
+        series.samples = history.map(({ t, value }) => ({ t, value })).concat(live);
+        trimPlotSeries(series);
+    } catch (error) {
+        logToTerminal(`Unable to load history for ${channel}: ${error.message}`, 'warning');
+    }
+    plotDirty = true;
+}
+
+/**
+ * Load older samples when the view is panned or zoomed out past what is loaded
+ */
+async function loadPlotHistory() {
+    const from = plotViewStart();
+    for (const [channel, series] of plotSeries.entries()) {
+        if (from >= series.loadedFrom || series.loading) continue;
+
+        series.loading = true;
+        try {
+            const older = await queryTelemetry(channel, from, series.loadedFrom - 1);
+            series.samples = older.map(({ t, value }) => ({ t, value })).concat(series.samples);
+            series.loadedFrom = from;
+            trimPlotSeries(series);
+        } catch (error) {
+            logToTerminal(`Unable to load history for ${channel}: ${error.message}`, 'warning');
+        }
+        series.loading = false;
+        plotDirty = true;
+    }
+}
+
+/**
+ * Keep a series within the per-channel limit by dropping every other sample of its older half
+ * The loaded time range is kept, so zooming out doesn't load the same history again, and
+ * recent samples stay at full resolution while older ones get progressively sparser.
+ * @param {Object} series - Plot series
+ */
+function trimPlotSeries(series) {
+    while (series.samples.length > PLOT_MAX_SAMPLES) {
+        const half = Math.floor(series.samples.length / 2);
+        const older = series.samples.slice(0, half).filter((sample, i) => i % 2 === 0);
+        series.samples = older.concat(series.samples.slice(half));
+    }
+}
+
+/**
+ * Append a live sample to its series (subscribed to the telemetry store)
+ * @param {string} channel - Channel name
+ * @param {number} t - Sample time
+ * @param {number} value - Sample value
+ * @param {Object} info - Channel metadata
+ */
+function handlePlotSample(channel, t, value, info) {
+    const series = plotSeries.get(channel);
+    if (!series) {
+        // First sample of a brand new channel: offer it in the picker
+        if (info.first === t) schedulePlotChannelRefresh();
+        return;
+    }
+
+    series.samples.push({ t, value });
+    trimPlotSeries(series);
+    if (plotViewEnd === null) plotDirty = true;
+}
+
+let plotChannelRefreshTimer = null;
+
+/**
+ * Refresh the channel picker once a burst of new channels has settled
+ */
+function schedulePlotChannelRefresh() {
+    clearTimeout(plotChannelRefreshTimer);
+    plotChannelRefreshTimer = setTimeout(refreshPlotChannelList, TELEMETRY_FLUSH_INTERVAL + 200);
+}
+
+// ============================================================================
+// View Control (zoom, pan, pause)
+// ============================================================================
+
+/**
+ * Right edge of the visible time range
+ * @returns {number} - Time in ms
+ */
+function plotViewEndTime() {
+    return plotViewEnd === null ? Date.now() : plotViewEnd;
+}
+
+/**
+ * Left edge of the visible time range
+ * @returns {number} - Time in ms
+ */
+function plotViewStart() {
+    return plotViewEndTime() - plotWindowMs;
+}
+
+/**
+ * Set the visible time span from the window selector
+ * @param {string|number} ms - Window in milliseconds
+ */
+function setPlotWindow(ms) {
+    plotWindowMs = Math.min(Math.max(parseInt(ms), PLOT_MIN_WINDOW), PLOT_MAX_WINDOW);
+    plotDirty = true;
+    loadPlotHistory();
+}
+
+/**
+ * Pause (freeze the view) or return to live view
+ */
+function togglePlotPause() {
+    if (plotViewEnd === null) {
+        plotViewEnd = Date.now();
+    } else {
+        plotViewEnd = null;
+    }
+    updatePlotControls();
+    plotDirty = true;
+}
+
+/**
+ * Return to the live view at the selected window
+ */
+function resetPlotView() {
+    plotViewEnd = null;
+    const windowSelect = document.getElementById('plotWindow');
+    if (windowSelect) plotWindowMs = parseInt(windowSelect.value);
+    updatePlotControls();
+    plotDirty = true;
+}
+
+/**
+ * Update the Pause/Live button and status text
+ */
+function updatePlotControls() {
+    const pauseBtn = document.getElementById('plotPauseBtn');
+    if (pauseBtn) pauseBtn.textContent = plotViewEnd === null ? 'Pause' : 'Live';
+
+    const dot = document.getElementById('plotLiveDot');
+    if (dot) {
+        dot.className = plotViewEnd === null
+            ? 'status-symbol status-symbol--normal status-symbol--pulse'
+            : 'status-symbol status-symbol--standby';
+    }
+}
+
+/**
+ * Zoom the time axis around a point
+ * @param {number} factor - >1 zooms out, <1 zooms in
+ * @param {number} anchorFraction - Position of the anchor across the plot area (0-1)
+ */
+function zoomPlot(factor, anchorFraction) {
+    const end = plotViewEndTime();
+    const anchorT = end - plotWindowMs * (1 - anchorFraction);
+    const newWindow = Math.min(Math.max(plotWindowMs * factor, PLOT_MIN_WINDOW), PLOT_MAX_WINDOW);
+
+    plotViewEnd = anchorT + newWindow * (1 - anchorFraction);
+    plotWindowMs = newWindow;
+    updatePlotControls();
+    plotDirty = true;
+    loadPlotHistory();
+}
+
+/**
+ * Horizontal extent of the plot area for the current axes
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} axisCount - Number of y-axes
+ * @returns {Object} - { left, right }
+ */
+function plotArea(width, axisCount) {
+    const leftAxes = Math.ceil(axisCount / 2);
+    const rightAxes = Math.floor(axisCount / 2);
+    return {
+        left: Math.max(leftAxes, 1) * PLOT_AXIS_WIDTH,
+        right: width - Math.max(rightAxes * PLOT_AXIS_WIDTH, 12)
+    };
+}
+
+/**
+ * Attach zoom/pan handlers to the chart canvas
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ */
+function attachPlotInteraction(canvas) {
+    const areaFraction = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const { left, right } = plotArea(rect.width, plotAxes().length);
+        return Math.min(Math.max((event.clientX - rect.left - left) / (right - left), 0), 1);
+    };
+
+    canvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        zoomPlot(event.deltaY > 0 ? 1.25 : 0.8, areaFraction(event));
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (event) => {
+        canvas.setPointerCapture(event.pointerId);
+        plotDrag = { x: event.clientX, viewEnd: plotViewEndTime() };
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (!plotDrag) return;
+        const rect = canvas.getBoundingClientRect();
+        const { left, right } = plotArea(rect.width, plotAxes().length);
+        const msPerPixel = plotWindowMs / (right - left);
+        const dx = event.clientX - plotDrag.x;
+        if (Math.abs(dx) < 2 && plotViewEnd === null) return;
+
+        plotViewEnd = plotDrag.viewEnd - dx * msPerPixel;
+        updatePlotControls();
+        plotDirty = true;
+    });
+
+    canvas.addEventListener('pointerup', () => {
+        if (plotDrag) loadPlotHistory();
+        plotDrag = null;
+    });
+
+    canvas.addEventListener('dblclick', resetPlotView);
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Group plotted channels into y-axes by unit
+ * @returns {Array<Object>} - [{ unit, channels: [channel] }]
+ */
+function plotAxes() {
+    const axes = new Map();
+    for (const [channel, series] of plotSeries.entries()) {
+        const key = series.unit || '(no unit)';
+        if (!axes.has(key)) axes.set(key, { unit: series.unit, channels: [] });
+        axes.get(key).channels.push(channel);
+    }
+    return Array.from(axes.values());
+}
+
+/**
+ * Index of the first sample at or after a time (samples are in time order)
+ * @param {Array<Object>} samples - Samples
+ * @param {number} t - Time
+ * @returns {number} - Index
+ */
+function plotLowerBound(samples, t) {
+    let lo = 0;
+    let hi = samples.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (samples[mid].t < t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Pick "nice" tick values for a range
+ * @param {number} min - Range minimum
+ * @param {number} max - Range maximum
+ * @param {number} count - Approximate number of ticks
+ * @returns {number[]} - Tick values
+ */
+function plotTicks(min, max, count) {
+    const span = max - min;
+    if (!(span > 0)) return [min];
+    const rough = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+        ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+    }
+    return ticks;
+}
+
+/**
+ * Resolve a CSS colour (including var(--x)) for canvas drawing
+ * @param {string} color - CSS colour
+ * @returns {string} - Canvas colour
+ */
+function plotColor(color) {
+    const match = /^var\((--[^)]+)\)$/.exec(color);
+    return match ? plotCssVariable(match[1]) : color;
+}
+
+/**
+ * Value of a CSS custom property on the document root
+ * @param {string} name - Property name, e.g. '--font-mono'
+ * @returns {string} - Value, or '' if undefined
+ */
+function plotCssVariable(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Draw the chart
+ */
+function drawPlots() {
+    plotDirty = false;
+    const canvas = plotCanvas;
+    if (!canvas || canvas.clientWidth === 0) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = `10px ${plotCssVariable('--font-mono') || 'monospace'}`;
+
+    const gridColor = plotColor('var(--color-border-interactive-muted)');
+    const textColor = plotColor('var(--color-text-placeholder)');
+    const axes = plotAxes();
+    const { left, right } = plotArea(width, axes.length);
+    const top = PLOT_MARGIN.top;
+    const bottom = height - PLOT_MARGIN.bottom;
+    const end = plotViewEndTime();
+    const start = end - plotWindowMs;
+    const xOf = t => left + (t - start) / plotWindowMs * (right - left);
+
+    // Plot frame
+    ctx.strokeStyle = gridColor;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left + 0.5, top + 0.5, right - left, bottom - top);
+
+    // Time axis (UTC)
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const timeTicks = plotTicks(start / 1000, end / 1000, Math.max(2, Math.floor((right - left) / 90)));
+    timeTicks.forEach(seconds => {
+        const x = Math.round(xOf(seconds * 1000)) + 0.5;
+        ctx.globalAlpha = 0.35;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        const iso = new Date(seconds * 1000).toISOString();
+        ctx.fillText(plotWindowMs > 2 * 24 * 3600 * 1000 ? iso.slice(5, 16).replace('T', ' ') : iso.slice(11, 19), x, bottom + 6);
+    });
+
+    if (axes.length === 0) {
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Select channels to plot', (left + right) / 2, (top + bottom) / 2);
+        return;
+    }
+
+    // One y-axis per unit
+    axes.forEach((axis, axisIndex) => {
+        let min = Infinity;
+        let max = -Infinity;
+        axis.channels.forEach(channel => {
+            const samples = plotSeries.get(channel).samples;
+            for (let i = plotLowerBound(samples, start); i < samples.length && samples[i].t <= end; i++) {
+                if (samples[i].value < min) min = samples[i].value;
+                if (samples[i].value > max) max = samples[i].value;
+            }
+        });
+        if (min === Infinity) {
+            min = 0;
+            max = 1;
+        } else if (min === max) {
+            min -= Math.abs(min) * 0.1 || 1;
+            max += Math.abs(max) * 0.1 || 1;
+        } else {
+            const pad = (max - min) * 0.08;
+            min -= pad;
+            max += pad;
+        }
+        const yOf = value => bottom - (value - min) / (max - min) * (bottom - top);
+
+        // Axis position: alternate left and right of the plot area
+        const onLeft = axisIndex % 2 === 0;
+        const slot = Math.floor(axisIndex / 2);
+        const axisX = onLeft ? left - slot * PLOT_AXIS_WIDTH : right + slot * PLOT_AXIS_WIDTH;
+        const axisColor = plotColor(plotSeries.get(axis.channels[0]).color);
+
+        ctx.strokeStyle = axisColor;
+        ctx.beginPath();
+        ctx.moveTo(axisX + 0.5, top);
+        ctx.lineTo(axisX + 0.5, bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = axisColor;
+        ctx.textAlign = onLeft ? 'right' : 'left';
+        ctx.textBaseline = 'middle';
+        plotTicks(min, max, Math.max(2, Math.floor((bottom - top) / 40))).forEach(value => {
+            const y = Math.round(yOf(value)) + 0.5;
+            ctx.fillText(Number(value.toPrecision(4)).toString(), axisX + (onLeft ? -4 : 4), y);
+            if (axisIndex === 0) {
+                ctx.strokeStyle = gridColor;
+                ctx.globalAlpha = 0.35;
+                ctx.beginPath();
+                ctx.moveTo(left, y);
+                ctx.lineTo(right, y);
+                ctx.stroke();
+                ctx.globalAlpha = 1;
+            }
+        });
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'center';
+        ctx.fillText(axis.unit || '—', axisX + (onLeft ? -PLOT_AXIS_WIDTH / 2 : PLOT_AXIS_WIDTH / 2), top - 4);
+
+        // Series: lines with point markers, decimated to min/max per pixel column when dense
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+        axis.channels.forEach(channel => {
+            const series = plotSeries.get(channel);
+            const samples = series.samples;
+            const color = plotColor(series.color);
+            const first = Math.max(plotLowerBound(samples, start) - 1, 0);
+            const last = Math.min(plotLowerBound(samples, end) + 1, samples.length);
+            const dense = last - first > (right - left) * 2;
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let column = null;
+            let colMin = 0;
+            let colMax = 0;
+            for (let i = first; i < last; i++) {
+                const x = xOf(samples[i].t);
+                const y = yOf(samples[i].value);
+                if (dense) {
+                    const col = Math.floor(x);
+                    if (col !== column) {
+                        if (column !== null) {
+                            ctx.lineTo(column, colMin);
+                            ctx.lineTo(column, colMax);
+                        }
+                        column = col;
+                        colMin = colMax = y;
+                    } else {
+                        colMin = Math.min(colMin, y);
+                        colMax = Math.max(colMax, y);
+                    }
+                } else if (i === first) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            if (dense && column !== null) {
+                ctx.lineTo(column, colMin);
+                ctx.lineTo(column, colMax);
+            }
+            ctx.stroke();
+
+            if (!dense) {
+                for (let i = first; i < last; i++) {
+                    ctx.fillRect(xOf(samples[i].t) - 1.5, yOf(samples[i].value) - 1.5, 3, 3);
+                }
+            }
+        });
+        ctx.restore();
+    });
+
+    // Legend with latest visible value
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let legendX = left + 4;
+    for (const [channel, series] of plotSeries.entries()) {
+        const samples = series.samples;
+        const i = plotLowerBound(samples, end + 1) - 1;
+        const latest = i >= 0 && samples[i].t >= start ? ` ${Number(samples[i].value.toPrecision(5))}${series.unit}` : '';
+        const label = `${channel}${latest}`;
+        ctx.fillStyle = plotColor(series.color);
+        ctx.fillRect(legendX, top / 2 - 4, 8, 8);
+        ctx.fillStyle = plotColor('var(--color-text-secondary)');
+        ctx.fillText(label, legendX + 12, top / 2);
+        legendX += ctx.measureText(label).width + 28;
+    }
+}
+
+/**
+ * Animation loop: redraw when data or view changed, and scroll once a second when live
+ */
+function plotFrame() {
+    const tab = document.getElementById('tab-plots');
+    if (plotDirty && tab && tab.classList.contains('tab-content--active')) {
+        drawPlots();
+    }
+    requestAnimationFrame(plotFrame);
+}
+
+/**
+ * Called when the Plots tab is shown
+ */
+function onPlotTabShown() {
+    refreshPlotChannelList();
+    plotDirty = true;
+}
+
+/**
+ * Set up the chart canvas, live subscription and redraw loop
+ */
+function initPlotting() {
+    plotCanvas = document.getElementById('plotCanvas');
+    if (!plotCanvas) return;
+
+    attachPlotInteraction(plotCanvas);
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(() => { plotDirty = true; }).observe(plotCanvas);
+    }
+
+    if (typeof onTelemetrySample === 'function') {
+        onTelemetrySample(handlePlotSample);
+    }
+
+    // Keep the live view scrolling even when no new samples arrive
+    setInterval(() => {
+        if (plotViewEnd === null) plotDirty = true;
+    }, 1000);
+
+    updatePlotControls();
+    requestAnimationFrame(plotFrame);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.plotDebug = {
+    getSeries: () => plotSeries,
+    add: (channel) => togglePlotChannel(channel, true),
+    redraw: drawPlots
+};
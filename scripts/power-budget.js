@@ -0,0 +1,357 @@
+// Power budget for TEMPEST Ground Station
+// Combines EPSS battery voltage and channel states with SOLR panel power over time:
+// - state of charge from a configurable voltage → SoC curve, carried forward between voltage
+//   readings by integrating solar input minus estimated load
+// - estimated load from a base load plus a configured load per switched-on EPS channel
+// - projected time until SoC falls to the planning threshold (or reaches full)
+// - orbit-averaged solar generation
+// Estimates are published as 'PWR' telemetry events ({ type: 'PWR', t, soc, solar, load, net })
+// so they are stored, plotted and limit-checked like downlink telemetry.
+// The model parameters are edited in the Configure tab and kept in localStorage.
+
+// Global variables for the power budget
+let powerConfig = null;
+const powerState = {
+    voltage: null, // Latest battery voltage
+    voltageSoc: null, // SoC from that voltage
+    voltageT: 0,
+    energySinceVoltage: 0, // Wh integrated since the voltage reading
+    solar: null, // Latest total solar power (W)
+    channels: null, // Latest EPS channel states
+    lastT: 0 // Time integration has reached
+};
+const solarHistory = []; // [{ t, watts }] for orbit averaging
+
+// Configuration
+const POWER_CONFIG_KEY = 'tempest.powerBudget';
+const POWER_MAX_HOLD = 10 * 60 * 1000; // ms a reading is held for integration before it's considered stale
+
+// Placeholder model for a 1S Li-ion pack; set capacity, curve and loads for the flight hardware
+const DEFAULT_POWER_CONFIG = {
+    capacityWh: 20,
+    baseLoadW: 0.6,
+    channelLoadsW: [0.4, 0.3, 0.8, 1.2],
+    orbitMinutes: 92,
+    thresholdSoc: 30,
+    curve: [[3.0, 0], [3.3, 5], [3.5, 15], [3.6, 30], [3.7, 50], [3.8, 65], [3.9, 78], [4.0, 88], [4.1, 95], [4.2, 100]]
+};
+
+// ============================================================================
+// Model Configuration
+// ============================================================================
+
+/**
+ * Load the power model from localStorage, falling back to the defaults
+ */
+function loadPowerConfig() {
+    powerConfig = {
+        ...JSON.parse(JSON.stringify(DEFAULT_POWER_CONFIG)),
+        ...loadSavedSettings(POWER_CONFIG_KEY, {}, saved => typeof saved === 'object' && !Array.isArray(saved))
+    };
+}
+
+/**
+ * Update power model parameters
+ * @param {Object} changes - Any of the DEFAULT_POWER_CONFIG fields
+ * @returns {string|null} - Validation error message, or null on success
+ */
+function setPowerConfig(changes) {
+    const config = { ...powerConfig, ...changes };
+
+    if (!(config.capacityWh > 0)) return 'Capacity must be greater than 0 Wh';
+    if (!(config.orbitMinutes > 0)) return 'Orbit period must be greater than 0 minutes';
+    if (!(config.thresholdSoc >= 0 && config.thresholdSoc < 100)) return 'Threshold must be between 0 and 100%';
+    if (![config.baseLoadW, ...config.channelLoadsW].every(w => Number.isFinite(w) && w >= 0)) {
+        return 'Loads must be 0 W or more';
+    }
+    if (config.curve.length < 2 || config.curve.some(point => point.length !== 2 || !point.every(Number.isFinite)) ||
+        config.curve.some((point, i) => i > 0 && point[0] <= config.curve[i - 1][0])) {
+        return 'Voltage curve needs at least two points with increasing voltages, e.g. 3.0:0, 4.2:100';
+    }
+
+    powerConfig = config;
+    try {
+        localStorage.setItem(POWER_CONFIG_KEY, JSON.stringify(powerConfig));
+    } catch (error) {
+        logToTerminal(`Unable to save power budget config: ${error.message}`, 'warning');
+    }
+    updatePowerDisplay();
+    return null;
+}
+
+/**
+ * Restore the default power model
+ */
+function resetPowerConfig() {
+    if (!confirm('Replace the power budget model with the defaults?')) return;
+
+    setPowerConfig(JSON.parse(JSON.stringify(DEFAULT_POWER_CONFIG)));
+    renderPowerConfig();
+}
+
+/**
+ * Parse a voltage curve written as "3.0:0, 3.3:5, ..."
+ * @param {string} text - Curve text
+ * @returns {Array<number[]>} - [[voltage, soc], ...]
+ */
+function parsePowerCurve(text) {
+    return text.split(',').map(point => point.split(':').map(n => parseFloat(n.trim())));
+}
+
+// ============================================================================
+// Estimation
+// ============================================================================
+
+/**
+ * State of charge for a battery voltage, interpolated from the curve
+ * @param {number} voltage - Battery voltage
+ * @returns {number} - SoC in percent
+ */
+function voltageToSoc(voltage) {
+    const curve = powerConfig.curve;
+    if (voltage <= curve[0][0]) return curve[0][1];
+    if (voltage >= curve[curve.length - 1][0]) return curve[curve.length - 1][1];
+
+    const i = curve.findIndex(point => point[0] >= voltage);
+    const [v0, s0] = curve[i - 1];
+    const [v1, s1] = curve[i];
+    return s0 + (s1 - s0) * (voltage - v0) / (v1 - v0);
+}
+
+/**
+ * Estimated load from the base load and switched-on channels
+ * @returns {number} - Load in watts
+ */
+function estimatePowerLoad() {
+    const channels = powerState.channels || [];
+    return channels.reduce((sum, on, i) => sum + (on ? powerConfig.channelLoadsW[i] || 0 : 0), powerConfig.baseLoadW);
+}
+
+/**
+ * Integrate net power up to time t using the held solar reading
+ * @param {number} t - Time in ms
+ */
+function integratePower(t) {
+    if (powerState.lastT && powerState.solar !== null && t > powerState.lastT) {
+        const dt = Math.min(t - powerState.lastT, POWER_MAX_HOLD);
+        powerState.energySinceVoltage += (powerState.solar - estimatePowerLoad()) * dt / 3600000;
+    }
+    powerState.lastT = t;
+}
+
+/**
+ * Current SoC estimate: last voltage-derived SoC plus energy integrated since
+ * @returns {number|null} - SoC in percent
+ */
+function estimateSoc() {
+    if (powerState.voltageSoc === null) return null;
+    const soc = powerState.voltageSoc + powerState.energySinceVoltage / powerConfig.capacityWh * 100;
+    return Math.min(100, Math.max(0, soc));
+}
+
+/**
+ * Time-weighted solar generation over the last orbit
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - { watts, coverage } with coverage the fraction of the orbit with data
+ */
+function getOrbitAverageSolar(now = Date.now()) {
+    const orbitMs = powerConfig.orbitMinutes * 60000;
+    const start = now - orbitMs;
+    let energy = 0;
+    let covered = 0;
+
+    solarHistory.forEach((sample, i) => {
+        const next = i + 1 < solarHistory.length ? solarHistory[i + 1].t : now;
+        const from = Math.max(sample.t, start);
+        const to = Math.min(next, sample.t + POWER_MAX_HOLD);
+        if (to > from) {
+            energy += sample.watts * (to - from);
+            covered += to - from;
+        }
+    });
+
+    return covered > 0 ? { watts: energy / covered, coverage: Math.min(1, covered / orbitMs) } : null;
+}
+
+/**
+ * Time until SoC reaches the planning threshold (discharging) or full (charging)
+ * @param {number} soc - Current SoC in percent
+ * @param {number} net - Net power in watts
+ * @returns {Object|null} - { hours, target } or null when steady or already past it
+ */
+function projectPowerThreshold(soc, net) {
+    if (soc === null || Math.abs(net) < 0.001) return null;
+
+    if (net < 0) {
+        if (soc <= powerConfig.thresholdSoc) return null;
+        return { hours: (soc - powerConfig.thresholdSoc) / 100 * powerConfig.capacityWh / -net, target: `${powerConfig.thresholdSoc}%` };
+    }
+    if (soc >= 100) return null;
+    return { hours: (100 - soc) / 100 * powerConfig.capacityWh / net, target: 'full' };
+}
+
+// ============================================================================
+// Event Handling (telemetry bus subscribers)
+// ============================================================================
+
+/**
+ * Take battery voltage and channel states from an EPS status
+ * @param {Object} event - EPSS event { t, channels, batteryVoltage }
+ */
+function handlePowerStatus(event) {
+    integratePower(event.t);
+    powerState.voltage = event.batteryVoltage;
+    powerState.voltageSoc = voltageToSoc(event.batteryVoltage);
+    powerState.voltageT = event.t;
+    powerState.energySinceVoltage = 0;
+    powerState.channels = event.channels;
+    publishPowerEstimate(event.t);
+}
+
+/**
+ * Take total solar power from a solar reading
+ * @param {Object} event - SOLR event { t, panels: [{ voltage, current }] }
+ */
+function handlePowerSolar(event) {
+    integratePower(event.t);
+    powerState.solar = event.panels.reduce((sum, { voltage, current }) => sum + voltage * current / 1000, 0);
+
+    solarHistory.push({ t: event.t, watts: powerState.solar });
+    const keepFrom = event.t - 2 * powerConfig.orbitMinutes * 60000;
+    while (solarHistory.length > 0 && solarHistory[0].t < keepFrom) solarHistory.shift();
+
+    publishPowerEstimate(event.t);
+}
+
+/**
+ * Publish the current estimate as a PWR event and refresh the panel
+ * @param {number} t - Time of the reading that triggered it
+ */
+function publishPowerEstimate(t) {
+    const load = estimatePowerLoad();
+    const event = { type: 'PWR', t, load };
+    const soc = estimateSoc();
+    if (soc !== null) event.soc = soc;
+    if (powerState.solar !== null) {
+        event.solar = powerState.solar;
+        event.net = powerState.solar - load;
+    }
+
+    publishTelemetry(event);
+    updatePowerDisplay();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Format a duration in hours as "Xh YYm"
+ * @param {number} hours - Duration
+ * @returns {string} - Formatted duration
+ */
+function formatPowerDuration(hours) {
+    if (hours > 99) return '>99h';
+    const minutes = Math.round(hours * 60);
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Update the Power Budget panel
+ */
+function updatePowerDisplay() {
+    const soc = estimateSoc();
+    const load = estimatePowerLoad();
+    const net = powerState.solar !== null ? powerState.solar - load : null;
+    const orbit = getOrbitAverageSolar();
+    const projection = net !== null ? projectPowerThreshold(soc, net) : null;
+
+    setElementText('powerSoc', soc === null ? '--%' : `${soc.toFixed(0)}%`);
+    setElementText('powerSolar', powerState.solar === null ? '--W' : `${powerState.solar.toFixed(2)}W`);
+    setElementText('powerLoad', `${load.toFixed(2)}W${powerState.channels ? '' : '*'}`);
+    setElementText('powerNet', net === null ? '--W' : `${net >= 0 ? '+' : ''}${net.toFixed(2)}W`);
+    setElementText('powerOrbitAvg', orbit ? `${orbit.watts.toFixed(2)}W` : '--W');
+    setElementText('powerOrbitCoverage', orbit ? `${(orbit.coverage * 100).toFixed(0)}% of orbit sampled` : 'No solar data');
+
+    let projectionText = '--';
+    if (soc !== null && soc <= powerConfig.thresholdSoc && (net === null || net <= 0)) {
+        projectionText = `Below ${powerConfig.thresholdSoc}%`;
+    } else if (projection) {
+        projectionText = `${projection.target} in ${formatPowerDuration(projection.hours)}`;
+    }
+    setElementText('powerProjection', projectionText);
+
+    const margin = soc === null ? null : (soc - powerConfig.thresholdSoc) / 100 * powerConfig.capacityWh;
+    setElementText('powerMargin', margin === null ? '--Wh' : `${margin.toFixed(1)}Wh`);
+
+    const dot = document.getElementById('powerStatusDot');
+    if (dot) {
+        let status = 'off';
+        if (soc !== null) status = soc <= powerConfig.thresholdSoc ? 'serious' : (net !== null && net < 0 ? 'caution' : 'normal');
+        dot.className = `status-symbol status-symbol--${status}`;
+    }
+}
+
+/**
+ * Fill the Configure tab power model inputs
+ */
+function renderPowerConfig() {
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    };
+
+    setValue('powerCapacity', powerConfig.capacityWh);
+    setValue('powerBaseLoad', powerConfig.baseLoadW);
+    setValue('powerChannelLoads', powerConfig.channelLoadsW.join(', '));
+    setValue('powerOrbitMinutes', powerConfig.orbitMinutes);
+    setValue('powerThreshold', powerConfig.thresholdSoc);
+    setValue('powerCurve', powerConfig.curve.map(([v, soc]) => `${v}:${soc}`).join(', '));
+}
+
+/**
+ * Apply the Configure tab power model inputs
+ */
+function applyPowerConfigInputs() {
+    const value = id => document.getElementById(id).value;
+    const error = setPowerConfig({
+        capacityWh: parseFloat(value('powerCapacity')),
+        baseLoadW: parseFloat(value('powerBaseLoad')),
+        channelLoadsW: value('powerChannelLoads').split(',').map(w => parseFloat(w.trim())),
+        orbitMinutes: parseFloat(value('powerOrbitMinutes')),
+        thresholdSoc: parseFloat(value('powerThreshold')),
+        curve: parsePowerCurve(value('powerCurve'))
+    });
+
+    if (error) {
+        logToTerminal(`Power budget: ${error}`, 'warning');
+        renderPowerConfig();
+    }
+}
+
+/**
+ * Load the power model and subscribe to EPS and solar telemetry
+ */
+function initPowerBudget() {
+    loadPowerConfig();
+    if (typeof registerTelemetryEventType === 'function') {
+        registerTelemetryEventType('PWR', 'Power Budget', { soc: '%', solar: 'W', load: 'W', net: 'W' });
+    }
+
+    subscribeTelemetry('EPSS', handlePowerStatus);
+    subscribeTelemetry('SOLR', handlePowerSolar);
+
+    renderPowerConfig();
+    updatePowerDisplay();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.powerBudgetDebug = {
+    getState: () => powerState,
+    getConfig: () => powerConfig,
+    getSolarHistory: () => solarHistory,
+    voltageToSoc
+};
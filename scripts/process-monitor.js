@@ -0,0 +1,237 @@
+// OBC process monitor for TEMPEST Ground Station
+// Shows OBC_PROCESSES replies (PROCS events from obc-listing.js) as a table, highlighting
+// processes that appeared or disappeared since the previous poll. Operators pin the processes
+// that must always be running (e.g. camera_daemon, radio_service); a pinned process missing
+// from a poll raises an error, so a crashed payload service is caught on the next poll.
+// Polling can repeat automatically; replies to automatic polls only log what changed, not the
+// whole list. Pinned names are kept in localStorage.
+
+// Global variables for process monitoring
+let currentProcesses = null; // Set of names from the latest poll, null before the first
+let previousProcesses = null; // Set of names from the poll before that
+let processPollTime = 0;
+let processPollTimer = null;
+let processAutoPollTime = 0; // Time of the unanswered automatic poll, 0 when none
+let pinnedProcesses = new Set();
+const missingPinnedProcesses = new Set(); // Pinned names already reported missing
+
+// Configuration
+const PINNED_PROCESSES_KEY = 'tempest.pinnedProcesses';
+const PROCESS_POLL_REPLY_TIMEOUT = 45000; // ms after which an automatic poll is considered lost
+
+// ============================================================================
+// Polling
+// ============================================================================
+
+/**
+ * Request the OBC process list
+ * @param {boolean} [automatic] - True for polls from the poll timer
+ */
+function pollOBCProcesses(automatic = false) {
+    if (typeof isSerialConnected === 'function' && !isSerialConnected()) return;
+    if (automatic) processAutoPollTime = Date.now();
+    sendCommand('OBC_PROCESSES');
+}
+
+/**
+ * Whether an automatic poll is awaiting its reply
+ * @returns {boolean} - True within PROCESS_POLL_REPLY_TIMEOUT of an unanswered automatic poll
+ */
+function isAutomaticProcessPoll() {
+    return processAutoPollTime > 0 && Date.now() - processAutoPollTime < PROCESS_POLL_REPLY_TIMEOUT;
+}
+
+/**
+ * Set the automatic poll interval
+ * @param {number|string} seconds - Interval in seconds, 0 to stop
+ */
+function setProcessPollInterval(seconds) {
+    clearInterval(processPollTimer);
+    processPollTimer = null;
+
+    const interval = parseInt(seconds, 10);
+    if (interval > 0) {
+        processPollTimer = setInterval(() => pollOBCProcesses(true), interval * 1000);
+        pollOBCProcesses(true);
+    }
+}
+
+/**
+ * Record a process list, compare it with the last one and check pinned processes
+ * (telemetry bus subscriber)
+ * @param {Object} event - PROCS event { t, entries, complete }
+ */
+function handleProcessList(event) {
+    const automatic = event.t > processPollTime && isAutomaticProcessPoll();
+    processAutoPollTime = 0;
+
+    previousProcesses = currentProcesses;
+    currentProcesses = new Set(event.entries);
+    processPollTime = event.t;
+
+    // Automatic polls log only what changed; manual polls log the whole list
+    if (automatic) {
+        logProcessChanges(event.complete);
+    } else {
+        logProcessList(event);
+    }
+
+    // A truncated list can't show that a process has stopped
+    if (event.complete) checkPinnedProcesses();
+    renderProcessTable();
+}
+
+/**
+ * Log a whole process list
+ * @param {Object} event - PROCS event { entries, complete }
+ */
+function logProcessList(event) {
+    const { entries, complete } = event;
+
+    logToTerminal(`OBC Process List (${entries.length} processes${complete ? '' : ', incomplete'}):`, 'response');
+    entries.forEach((process, i) => {
+        logToTerminal(`  ${i + 1}: ${process}`, 'response');
+    });
+}
+
+/**
+ * Log processes that started or stopped since the previous poll
+ * @param {boolean} complete - False when the list was truncated, so stopped processes aren't known
+ */
+function logProcessChanges(complete) {
+    if (!previousProcesses) {
+        logToTerminal(`OBC processes: ${currentProcesses.size} running`, 'response');
+        return;
+    }
+
+    const started = Array.from(currentProcesses).filter(name => !previousProcesses.has(name));
+    const stopped = complete ? Array.from(previousProcesses).filter(name => !currentProcesses.has(name)) : [];
+    if (started.length > 0) logToTerminal(`OBC processes started: ${started.join(', ')}`, 'response');
+    if (stopped.length > 0) logToTerminal(`OBC processes stopped: ${stopped.join(', ')}`, 'warning');
+}
+
+/**
+ * Report pinned processes that have gone missing or come back
+ */
+function checkPinnedProcesses() {
+    pinnedProcesses.forEach(name => {
+        const running = currentProcesses.has(name);
+        if (!running && !missingPinnedProcesses.has(name)) {
+            missingPinnedProcesses.add(name);
+            logToTerminal(`PROCESS MISSING: pinned process ${name} is not running on the OBC`, 'error');
+        } else if (running && missingPinnedProcesses.has(name)) {
+            missingPinnedProcesses.delete(name);
+            logToTerminal(`Pinned process ${name} is running again`, 'response');
+        }
+    });
+}
+
+// ============================================================================
+// Pinned Processes
+// ============================================================================
+
+/**
+ * Load pinned process names from localStorage
+ */
+function loadPinnedProcesses() {
+    pinnedProcesses = new Set(loadSavedSettings(PINNED_PROCESSES_KEY, [], Array.isArray));
+}
+
+/**
+ * Pin or unpin a process
+ * @param {string} name - Process name as listed by the OBC
+ */
+function togglePinnedProcess(name) {
+    if (pinnedProcesses.has(name)) {
+        pinnedProcesses.delete(name);
+        missingPinnedProcesses.delete(name);
+    } else {
+        pinnedProcesses.add(name);
+        if (currentProcesses) checkPinnedProcesses();
+    }
+
+    try {
+        localStorage.setItem(PINNED_PROCESSES_KEY, JSON.stringify(Array.from(pinnedProcesses)));
+    } catch (error) {
+        logToTerminal(`Unable to save pinned processes: ${error.message}`, 'warning');
+    }
+    renderProcessTable();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Render the process table: missing pinned processes, then running ones, then ones that stopped
+ */
+function renderProcessTable() {
+    const body = document.getElementById('processTableBody');
+    if (!body) return;
+
+    const running = currentProcesses ? Array.from(currentProcesses).sort() : [];
+    const gone = previousProcesses ? Array.from(previousProcesses).filter(name => !currentProcesses.has(name)).sort() : [];
+    const missing = Array.from(pinnedProcesses).filter(name => !running.includes(name) && !gone.includes(name)).sort();
+
+    // Before the first poll pinned processes are listed without a state
+    const rows = [
+        ...missing.map(name => ({ name, state: currentProcesses ? 'missing' : 'unknown' })),
+        ...running.map(name => ({ name, state: previousProcesses && !previousProcesses.has(name) ? 'new' : 'running' })),
+        ...gone.map(name => ({ name, state: 'gone' }))
+    ];
+
+    body.innerHTML = '';
+    rows.forEach(({ name, state }) => {
+        const pinned = pinnedProcesses.has(name);
+        const row = document.createElement('tr');
+        row.className = `process-row--${state}`;
+        if (pinned && (state === 'missing' || state === 'gone')) row.className += ' process-row--alert';
+
+        const pin = document.createElement('td');
+        const pinButton = document.createElement('span');
+        pinButton.className = 'process-pin';
+        pinButton.textContent = pinned ? '★' : '☆';
+        pinButton.title = pinned ? 'Unpin' : 'Pin: alert if this process stops';
+        pinButton.onclick = () => togglePinnedProcess(name);
+        pin.appendChild(pinButton);
+
+        const label = document.createElement('td');
+        label.textContent = name;
+
+        const status = document.createElement('td');
+        status.textContent = { missing: 'NOT RUNNING', unknown: '', running: '', new: 'NEW', gone: 'STOPPED' }[state];
+
+        row.append(pin, label, status);
+        body.appendChild(row);
+    });
+
+    const pinnedMissing = missingPinnedProcesses.size > 0;
+    const dot = document.getElementById('processStatusDot');
+    if (dot) dot.className = `status-symbol status-symbol--${currentProcesses ? (pinnedMissing ? 'critical' : 'normal') : 'off'}`;
+
+    const info = document.getElementById('processPollInfo');
+    if (info) {
+        info.textContent = currentProcesses
+            ? `${running.length} running, ${new Date(processPollTime).toISOString().substring(11, 19)} UTC`
+            : 'No poll yet';
+    }
+}
+
+/**
+ * Load pinned processes and subscribe to process lists
+ */
+function initProcessMonitor() {
+    loadPinnedProcesses();
+    subscribeTelemetry('PROCS', handleProcessList);
+    renderProcessTable();
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.processMonitorDebug = {
+    getCurrent: () => currentProcesses,
+    getPrevious: () => previousProcesses,
+    getPinned: () => pinnedProcesses
+};
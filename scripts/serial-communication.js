@@ -1,18 +1,14 @@
 // Serial communication and data processing for TEMPEST Ground Station
-// Handles WebSerial connection, data parsing, and radio configuration messages
+// Handles the ground station link, data parsing, and radio configuration messages
 
-// Global variables for serial communication
-let port = null;
-let reader = null;
-let writer = null;
+// Global variables for the ground station link
+let transport = null; // Active transport (see transports.js)
 let isConnected = false;
-let readLoop = null;
-let dataBuffer = new Uint8Array();
 let configBuffer = [];
 let collectingConfig = false;
 
 // ============================================================================
-// WebSerial Connection Management
+// Link Connection Management
 // ============================================================================
 
 /**
@@ -27,53 +23,28 @@ async function toggleConnection() {
 }
 
 /**
- * Establish WebSerial connection to ground station
+ * Establish connection to ground station over the selected transport
  */
 async function connect() {
     try {
-        // Check for WebSerial support
-        if (!('serial' in navigator)) {
-            logToTerminal('WebSerial is not supported in this browser. Please use Chrome or Edge.', 'error');
-            return;
+        transport = createTransportFromSettings();
+        await transport.open(processReceivedData, handleTransportClosed);
+
+        // Tag stored telemetry with this pass
+        if (typeof startTelemetrySession === 'function') {
+            startTelemetrySession();
         }
 
-        // Get serial port options from settings
-        const baudRate = parseInt(document.getElementById('baudRate').value);
-        const dataBits = parseInt(document.getElementById('dataBits').value);
-        const stopBits = parseInt(document.getElementById('stopBits').value);
-        const parity = document.getElementById('parity').value;
-        const flowControl = document.getElementById('flowControl').value;
-
-        const options = {
-            baudRate,
-            dataBits,
-            stopBits,
-            parity,
-            flowControl
-        };
-
-        // Request port access from user
-        logToTerminal('Requesting serial port...', 'info');
-        port = await navigator.serial.requestPort();
-        await port.open(options);
-        
-        // Display port information
-        const info = port.getInfo();
-        document.getElementById('portInfo').textContent = 
-            `VID: ${info.usbVendorId || 'N/A'}, PID: ${info.usbProductId || 'N/A'}`;
-        logToTerminal(`Connected to Ground Station Port`, 'response');
-
-        // Set up writer and reader
-        writer = port.writable.getWriter();
-        
-        // Start reading loop
-        readLoop = readFromPort();
+        // Display link information
+        document.getElementById('portInfo').textContent = transport.describe();
+        logToTerminal(`Connected to Ground Station (${transport.name})`, 'response');
 
         updateConnectionStatus(true);
         logToTerminal('Ground Station connected successfully!', 'response');
 
     } catch (error) {
         logToTerminal(`Connection error: ${error.message}`, 'error');
+        transport = null;
         updateConnectionStatus(false);
     }
 }
@@ -83,55 +54,43 @@ async function connect() {
  */
 async function disconnect() {
     try {
-        // Cancel reading loop
-        if (readLoop) {
-            reader.cancel();
-            await readLoop;
-        }
-        
-        // Close writer
-        if (writer) {
-            await writer.close();
-            writer = null;
+        if (transport) {
+            await transport.close();
+            transport = null;
         }
-        
-        // Close port
-        if (port) {
-            await port.close();
-            port = null;
-        }
-        
+
+        document.getElementById('portInfo').textContent = '';
         updateConnectionStatus(false);
         logToTerminal('Disconnected from Ground Station', 'info');
-        
+
     } catch (error) {
         logToTerminal(`Disconnect error: ${error.message}`, 'error');
     }
 }
 
 /**
- * Main reading loop for incoming serial data
+ * Handle a link that dropped without the user disconnecting
+ * @param {Error} error - Reason reported by the transport
  */
-async function readFromPort() {
-    reader = port.readable.getReader();
+function handleTransportClosed(error) {
+    if (!transport) return;
+
+    logToTerminal(`Link lost: ${error.message}`, 'error');
+    transport.close().catch(() => {});
+    transport = null;
+    document.getElementById('portInfo').textContent = '';
+    updateConnectionStatus(false);
+}
 
-    try {
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-            
-            if (value && value.length > 0) {
-                // Process received data
-                processReceivedData(value);
-            }
-        }
-    } catch (error) {
-        if (error.name !== 'AbortError') {
-            logToTerminal(`Read error: ${error.message}`, 'error');
-        }
-    } finally {
-        reader.releaseLock();
+/**
+ * Write raw bytes to the ground station over the active transport
+ * @param {Uint8Array} bytes - Bytes to send
+ */
+async function writeToLink(bytes) {
+    if (!transport) {
+        throw new Error('Not connected to Ground Station');
     }
+    await transport.write(bytes);
 }
 
 // ============================================================================
@@ -139,135 +98,271 @@ async function readFromPort() {
 // ============================================================================
 
 /**
- * Process incoming data from serial port
+ * Process incoming data from the ground station link
  * Handles both binary packets and text messages
- * @param {Uint8Array} data - Raw data from serial port
+ * @param {Uint8Array} data - Raw data from the active transport
  */
 function processReceivedData(data) {
-    // Append to buffer
-    const newBuffer = new Uint8Array(dataBuffer.length + data.length);
-    newBuffer.set(dataBuffer);
-    newBuffer.set(data, dataBuffer.length);
-    dataBuffer = newBuffer;
-
-    // Process data
-    while (dataBuffer.length > 0) {
-        // Check for SEND packet (image data) - newline-delimited
-        if (dataBuffer.length >= 5) { // Minimum: SEND(4) + 1 char
-            const identifier = new TextDecoder().decode(dataBuffer.slice(0, 4)).replace(/\0/g, '').trim();
-
-            // Handle both SEND and RETX packets (RETX are retransmitted chunks)
-            if (identifier === 'SEND' || identifier === 'RETX' || identifier === 'OBCP' || identifier === 'OBCL') {
-                // Find newline delimiter (all packets end with \n from radio.py)
-                let newlinePos = -1;
-                for (let i = 4; i < dataBuffer.length; i++) {
-                    if (dataBuffer[i] === 0x0A || dataBuffer[i] === 0x0D) {
-                        newlinePos = i;
-                        break;
-                    }
-                }
+    // Capture raw bytes for session recording before any parsing
+    if (typeof recordDownlinkChunk === 'function') {
+        recordDownlinkChunk(data);
+    }
+    if (typeof recordLinkBytes === 'function') {
+        recordLinkBytes(data.length);
+    }
 
-                if (newlinePos > 4) {
-                    // Complete packet found — process it
-                    const packet = dataBuffer.slice(0, newlinePos);
-                    if (identifier === 'OBCP' || identifier === 'OBCL') {
-                        if (typeof unpackCommand === 'function') {
-                            unpackCommand(packet);
-                        }
-                    } else if (typeof processImagePacket === 'function') {
-                        processImagePacket(packet);
-                    }
+    downlinkParser.push(data);
+}
 
-                    // Skip past newline(s)
-                    dataBuffer = dataBuffer.slice(newlinePos + 1);
-                    while (dataBuffer.length > 0 && (dataBuffer[0] === 0x0A || dataBuffer[0] === 0x0D)) {
-                        dataBuffer = dataBuffer.slice(1);
-                    }
-                    blinkLED('rfm95RxLed');
-                    continue;
-                } else {
-                    // No newline yet — wait for more data
-                    break;
+/**
+ * Handle frames produced by the downlink pipeline (worker or local)
+ * @param {Array<Object>} frames - Frames (see downlink-pipeline.js)
+ */
+function handleDownlinkFrames(frames) {
+    for (const frame of frames) {
+        switch (frame.kind) {
+            case 'line':
+                processTextLine(frame.text);
+                break;
+            case 'packet':
+                if (typeof recordLinkTelemetryPacket === 'function') {
+                    recordLinkTelemetryPacket(frame.packet);
                 }
-            }
+                if (typeof publishTelemetryPacket === 'function') {
+                    publishTelemetryPacket(frame.packet);
+                }
+                blinkLED('rfm95RxLed');
+                break;
+            case 'image':
+                if (typeof recordLinkPacket === 'function') {
+                    recordLinkPacket(frame.image.identifier || 'SEND', { malformed: frame.image.kind === 'invalid' });
+                }
+                if (typeof handleImageFrame === 'function') {
+                    handleImageFrame(frame.image);
+                }
+                blinkLED('rfm95RxLed');
+                break;
+            case 'reject':
+                // Counted in the link integrity and link quality panels rather than logged per frame
+                if (typeof recordLinkReject === 'function') {
+                    recordLinkReject(frame.reason, frame.identifier, frame.bytes);
+                }
+                break;
         }
+    }
 
-        // Check for known binary packet identifiers
-        if (dataBuffer.length >= 4) {
-            const identifier = new TextDecoder().decode(dataBuffer.slice(0, 4)).replace(/\0/g, '').trim();
-            
-            // List of known binary packet identifiers
-            const binaryIdentifiers = ['GYRO', 'ACCL', 'MAGN', 'GRAV', 'EULR', 'BME2', 'TEMP', 'POLL',
-                                     'OBCR', 'OBCD', 'OBCC', 'ADCS', 'EPSS',
-                                     'HOST', 'SOLR', 'XFRC', 'BECN', 'QUAT', 'PHOT'];
-            
-            if (binaryIdentifiers.includes(identifier)) {
-                const packetSize = getPacketSize(identifier);
-                
-                if (packetSize > 0 && dataBuffer.length >= packetSize) {
-                    // Process binary packet
-                    const packet = dataBuffer.slice(0, packetSize);
-                    if (typeof unpackCommand === 'function') {
-                        unpackCommand(packet);
+    updateLinkIntegrityDisplay(frames.some(frame => frame.kind === 'reject'));
+}
+
+/**
+ * Create the downlink parser
+ * Framing, decoding and image reassembly run in downlink-worker.js. If the worker cannot be
+ * started (e.g. the page was opened from file://), the same pipeline runs on the UI thread.
+ * @param {string} integrity - Initial binary packet integrity mode ('none', 'crc16', 'crc32')
+ * @returns {Object} - Parser with push(), clear(), setIntegrity(), assemble(), length and stats
+ */
+function createDownlinkParser(integrity = 'none') {
+    let worker = null;
+    let workerReady = false;
+    let local = null;
+    let pending = []; // Chunks received before the worker reported ready
+    let workerStats = {};
+    let workerLength = 0;
+    let bytesIn = 0;
+    let nextAssemblyId = 1;
+    const assemblies = new Map(); // id -> { chunks, resolve }
+
+    /**
+     * Switch to parsing on the UI thread
+     * @param {string} reason - Why the worker is unavailable
+     */
+    function useLocalPipeline(reason) {
+        console.warn(`Downlink worker unavailable (${reason}), parsing on the main thread`);
+        if (worker) worker.terminate();
+        worker = null;
+        local = createDownlinkPipeline(handleDownlinkFrames, { integrity });
+
+        pending.forEach(chunk => local.push(chunk));
+        pending = [];
+        for (const [id, request] of assemblies.entries()) {
+            assemblies.delete(id);
+            assembleImage(request.chunks).then(request.resolve);
+        }
+    }
+
+    try {
+        worker = new Worker('scripts/downlink-worker.js');
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            switch (message.type) {
+                case 'ready':
+                    workerReady = true;
+                    worker.postMessage({ type: 'integrity', mode: integrity });
+                    pending.forEach(chunk => worker.postMessage({ type: 'data', bytes: chunk }, [chunk.buffer]));
+                    pending = [];
+                    break;
+                case 'frames':
+                    workerStats = message.stats;
+                    workerLength = message.length;
+                    handleDownlinkFrames(message.frames);
+                    break;
+                case 'assembled': {
+                    const request = assemblies.get(message.id);
+                    if (request) {
+                        assemblies.delete(message.id);
+                        request.resolve(message.result);
                     }
-                    dataBuffer = dataBuffer.slice(packetSize);
-                    blinkLED('rfm95RxLed');
-                    continue;
-                } else if (packetSize > 0) {
-                    // Not enough data yet, wait for more
                     break;
                 }
             }
-        }
+        };
 
-        // Process as text line
-        let foundNewline = false;
-        let newlineIndex = -1;
-        
-        // Look for newline characters
-        for (let i = 0; i < dataBuffer.length; i++) {
-            if (dataBuffer[i] === 0x0A || dataBuffer[i] === 0x0D) {
-                foundNewline = true;
-                newlineIndex = i;
-                break;
+        worker.onerror = (event) => {
+            if (!workerReady) {
+                event.preventDefault();
+                useLocalPipeline(event.message || 'failed to load');
+            } else {
+                logToTerminal(`Downlink worker error: ${event.message}`, 'error');
+            }
+        };
+    } catch (error) {
+        useLocalPipeline(error.message);
+    }
+
+    return {
+        get length() {
+            return local ? local.length : workerLength;
+        },
+
+        get capacity() {
+            return local ? local.capacity : (workerStats.capacity || 0);
+        },
+
+        get stats() {
+            return { ...(local ? local.stats : workerStats), bytesIn, worker: local === null };
+        },
+
+        /**
+         * Queue a received chunk for framing and decoding
+         * @param {Uint8Array} data - Raw chunk
+         */
+        push(data) {
+            bytesIn += data.length;
+            if (local) {
+                local.push(data);
+                return;
             }
-        }
 
-        if (foundNewline) {
-            // Extract line
-            const lineBytes = dataBuffer.slice(0, newlineIndex);
-            let line = '';
-            
-            try {
-                line = new TextDecoder().decode(lineBytes).trim();
-            } catch (e) {
-                // Failed to decode as text, skip this line
-                dataBuffer = dataBuffer.slice(newlineIndex + 1);
-                continue;
+            // Copy so the buffer can be transferred to the worker
+            const chunk = data.slice();
+            if (workerReady) {
+                worker.postMessage({ type: 'data', bytes: chunk }, [chunk.buffer]);
+            } else {
+                pending.push(chunk);
             }
-            
-            // Process the line if not empty
-            if (line) {
-                processTextLine(line);
+        },
+
+        /**
+         * Discard buffered, unframed bytes
+         */
+        clear() {
+            pending = [];
+            workerLength = 0;
+            if (local) {
+                local.clear();
+            } else {
+                worker.postMessage({ type: 'clear' });
             }
-            
-            // Remove processed line and newline
-            dataBuffer = dataBuffer.slice(newlineIndex + 1);
-            
-            // Skip any additional newlines
-            while (dataBuffer.length > 0 && (dataBuffer[0] === 0x0A || dataBuffer[0] === 0x0D)) {
-                dataBuffer = dataBuffer.slice(1);
+        },
+
+        /**
+         * Change the binary packet integrity mode
+         * @param {string} mode - 'none', 'crc16' or 'crc32'
+         */
+        setIntegrity(mode) {
+            integrity = mode;
+            if (local) {
+                local.setIntegrity(mode);
+            } else if (workerReady) {
+                worker.postMessage({ type: 'integrity', mode });
             }
-        } else {
-            // No newline found
-            // If buffer is getting large with no newlines or binary packets, there might be an issue
-            if (dataBuffer.length > 1024) {
-                // Clear buffer to prevent memory issues
-                console.warn('Data buffer overflow, clearing buffer');
-                dataBuffer = new Uint8Array();
+        },
+
+        /**
+         * Reassemble a complete image off the UI thread
+         * @param {string[]} chunks - Base64 chunks in order
+         * @returns {Promise<Object>} - Result of assembleImage()
+         */
+        assemble(chunks) {
+            if (local) {
+                return assembleImage(chunks);
             }
-            break;
+            return new Promise(resolve => {
+                const id = nextAssemblyId++;
+                assemblies.set(id, { chunks, resolve });
+                worker.postMessage({ type: 'assemble', id, chunks });
+            });
         }
+    };
+}
+
+// Downlink parser shared by all transports and session replay
+const downlinkParser = createDownlinkParser(document.getElementById('packetIntegrity')?.value || 'none');
+
+// ============================================================================
+// Link Integrity
+// ============================================================================
+
+let lastIntegrityDisplayUpdate = 0;
+let integrityDisplayTimer = null;
+
+/**
+ * Select the binary packet integrity mode (must match the satellite firmware)
+ * @param {string} mode - 'none', 'crc16' or 'crc32'
+ */
+function setPacketIntegrity(mode) {
+    downlinkParser.setIntegrity(mode);
+    logToTerminal(`Packet integrity: ${mode === 'none' ? 'identifier framing only' : mode.toUpperCase() + ' trailer'}`, 'info');
+}
+
+/**
+ * Update the Link Integrity counters in the Connection panel
+ * @param {boolean} force - Update now even if the display was refreshed recently
+ */
+function updateLinkIntegrityDisplay(force = false) {
+    const now = Date.now();
+    if (!force && now - lastIntegrityDisplayUpdate < 500) {
+        // Make sure the final counts of a burst are shown
+        if (!integrityDisplayTimer) {
+            integrityDisplayTimer = setTimeout(() => {
+                integrityDisplayTimer = null;
+                updateLinkIntegrityDisplay(true);
+            }, 500);
+        }
+        return;
+    }
+    lastIntegrityDisplayUpdate = now;
+
+    const stats = downlinkParser.stats;
+    const frames = (stats.packets || 0) + (stats.delimited || 0) + (stats.lines || 0);
+    const rejected = stats.resyncs || 0;
+
+    setElementText('linkFrames', frames);
+    setElementText('linkRejected', rejected);
+    setElementText('linkCrcErrors', stats.crcErrors || 0);
+    const discarded = stats.discardedBytes || 0;
+    setElementText('linkDiscarded', discarded >= 1024 ? `${(discarded / 1024).toFixed(1)} KB` : `${discarded} B`);
+
+    // Caution above 1% rejected frames, serious above 10%
+    const dot = document.getElementById('integrityStatusDot');
+    if (dot) {
+        const ratio = frames + rejected > 0 ? rejected / (frames + rejected) : 0;
+        let level = 'off';
+        if (frames + rejected > 0) {
+            level = ratio > 0.1 ? 'serious' : ratio > 0.01 ? 'caution' : 'normal';
+        }
+        dot.className = `status-symbol status-symbol--${level}`;
     }
 }
 
@@ -298,6 +393,9 @@ function processTextLine(line) {
         logToTerminal(line, 'response');
         if (line.includes('Received packet:')) {
             blinkLED('rfm95RxLed');
+            if (typeof parseLinkQualityLine === 'function') {
+                parseLinkQualityLine(line);
+            }
         }
     } else {
         // Unknown line, could be debug output
@@ -365,46 +463,6 @@ function parseRadioConfigFromBuffer(buffer) {
     }
 }
 
-/**
- * Get expected packet size for binary packet identifier
- * @param {string} identifier - Packet identifier
- * @returns {number} - Packet size in bytes, -1 for variable size
- */
-function getPacketSize(identifier) {
-    const packetSizes = {
-        'GYRO': 16, 'ACCL': 16, 'MAGN': 16, 'GRAV': 16, 'EULR': 16,
-        'BME2': 16, 'TEMP': 8, 'QUAT': 20, 'POLL': -1, // Variable size
-        'OBCR': 8, 'OBCD': 8, 'OBCC': 8,
-        'OBCL': 234, 'OBCP': 234,
-        'ADCS': 32, 'EPSS': 28, 'HOST': 15, 'SOLR': 36,
-        'RETX': -1, // Variable size
-        'XFRC': 8,  // 4 + uint32 total_packets
-        'BECN': 24  // 4 + uint32 uptime + 4*float (cpu, ram, disk, temp)
-    };
-
-    if (identifier === 'PHOT') {
-        // Variable: 4-byte ID + 4-byte length + filename
-        if (dataBuffer.length >= 8) {
-            const view = new DataView(dataBuffer.buffer, dataBuffer.byteOffset, 8);
-            const payloadLength = view.getUint32(4, true);
-            return 8 + payloadLength;
-        }
-        return -1;
-    } else if (identifier === 'POLL') {
-        if (dataBuffer.length >= 8) {
-            const view = new DataView(dataBuffer.buffer, dataBuffer.byteOffset, 8);
-            const payloadLength = view.getUint32(4, true);
-            return 8 + payloadLength;
-        }
-        return -1;
-    } else if (identifier === 'RETX') {
-        // For RETX, consume whatever is available up to max size
-        return Math.min(dataBuffer.length, 256);
-    }
-
-    return packetSizes[identifier] || 0;
-}
-
 // ============================================================================
 // Command Transmission
 // ============================================================================
@@ -413,15 +471,15 @@ function getPacketSize(identifier) {
  * Perform soft reset of ground station device
  */
 async function softReset() {
-    if (!writer) return;
+    if (!transport) return;
 
     try {
         logToTerminal('Performing soft reset...', 'info');
         
         // Send CTRL-C then CTRL-D
-        await writer.write(new Uint8Array([0x03])); // CTRL-C
+        await writeToLink(new Uint8Array([0x03])); // CTRL-C
         await new Promise(resolve => setTimeout(resolve, 100));
-        await writer.write(new Uint8Array([0x04])); // CTRL-D
+        await writeToLink(new Uint8Array([0x04])); // CTRL-D
         await new Promise(resolve => setTimeout(resolve, 1000));
         
         logToTerminal('Ground Station device reset complete', 'response');
@@ -435,7 +493,7 @@ async function softReset() {
  * @param {string|null} command - Command to send, or null to use input field
  */
 async function sendCommand(command = null) {
-    if (!writer) return;
+    if (!transport) return;
 
     const cmd = command || document.getElementById('commandInput')?.value?.trim();
     if (!cmd) return;
@@ -444,18 +502,15 @@ async function sendCommand(command = null) {
         logToTerminal(`Sending command: ${cmd}`, 'command');
         blinkLED('rfm95TxLed');
         
-        // Check if this is a SEND_IMAGE command and extract filename
-        if (cmd.toUpperCase().startsWith('SEND_IMAGE')) {
-            const parts = cmd.split(/\s+/);
-            if (parts.length >= 2 && typeof setCurrentImageFilename === 'function') {
-                const filename = parts[1];
-                setCurrentImageFilename(filename);
-            }
-        }
-        
         const encoder = new TextEncoder();
-        await writer.write(encoder.encode(cmd + '\n'));
-        
+        await writeToLink(encoder.encode(cmd + '\n'));
+
+        // Let panels follow commanded state (e.g. the beacon monitor's BEACON_ON interval,
+        // image transfers started by SEND_IMAGE)
+        if (typeof publishTelemetry === 'function') {
+            publishTelemetry({ type: 'uplink', t: Date.now(), command: cmd });
+        }
+
         // Clear input field if using UI input
         if (!command) {
             const commandInput = document.getElementById('commandInput');
@@ -485,11 +540,11 @@ function sendPresetCommand(command) {
 // ============================================================================
 
 /**
- * Check if serial connection is active
+ * Check if the ground station link is active
  * @returns {boolean} - Connection status
  */
 function isSerialConnected() {
-    return isConnected && writer !== null && port !== null;
+    return isConnected && transport !== null;
 }
 
 /**
@@ -499,10 +554,9 @@ function isSerialConnected() {
 function getConnectionInfo() {
     return {
         connected: isConnected,
-        hasPort: port !== null,
-        hasWriter: writer !== null,
-        hasReader: reader !== null,
-        bufferSize: dataBuffer.length
+        transport: transport ? transport.name : null,
+        link: transport ? transport.describe() : '',
+        bufferSize: downlinkParser.length
     };
 }
 
@@ -514,7 +568,7 @@ function getConnectionInfo() {
  * Clear the data buffer (useful for debugging)
  */
 function clearDataBuffer() {
-    dataBuffer = new Uint8Array();
+    downlinkParser.clear();
     logToTerminal('Serial data buffer cleared', 'info');
 }
 
@@ -523,13 +577,36 @@ function clearDataBuffer() {
  * @returns {Object} - Buffer statistics
  */
 function getBufferStats() {
+    const { bytesIn, busyMs } = downlinkParser.stats;
     return {
-        dataBufferSize: dataBuffer.length,
+        dataBufferSize: downlinkParser.length,
+        dataBufferCapacity: downlinkParser.capacity,
+        ...downlinkParser.stats,
+        parseBytesPerSec: busyMs > 0 ? Math.round(bytesIn / (busyMs / 1000)) : 0,
         configBufferSize: configBuffer.length,
         collectingConfig: collectingConfig
     };
 }
 
+/**
+ * Run the framing benchmark and report throughput against the configured baud rate
+ */
+function benchmarkFraming() {
+    logToTerminal('Running framing benchmark...', 'info');
+
+    // Let the message render before the benchmark blocks the thread
+    setTimeout(() => {
+        const result = runFramingBenchmark();
+        const baudRate = parseInt(document.getElementById('baudRate')?.value) || 115200;
+        const linkBytesPerSec = baudRate / 10; // 8N1: 10 bits per byte
+        const headroom = result.bytesPerSec / linkBytesPerSec;
+
+        logToTerminal(`Framing benchmark: ${(result.bytes / 1024 / 1024).toFixed(1)} MB, ${result.frames} frames in ${result.elapsedMs.toFixed(0)} ms`, 'response');
+        logToTerminal(`  Throughput: ${(result.bytesPerSec / 1024 / 1024).toFixed(2)} MB/s (${Math.round(result.framesPerSec)} frames/s)`, 'response');
+        logToTerminal(`  Headroom at ${baudRate} baud: ${headroom.toFixed(0)}x`, headroom >= 10 ? 'response' : 'warning');
+    }, 50);
+}
+
 // ============================================================================
 // Export functions for debugging (development only)
 // ============================================================================
@@ -539,5 +616,6 @@ window.serialDebug = {
     getConnectionInfo,
     getBufferStats,
     clearDataBuffer,
+    benchmark: benchmarkFraming,
     isSerialConnected: () => isSerialConnected()
 };
\ No newline at end of file
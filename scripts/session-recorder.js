@@ -0,0 +1,354 @@
+// Downlink session recording and replay for TEMPEST Ground Station
+// Captures every raw byte chunk that reaches processReceivedData() with its arrival time,
+// and replays saved sessions back through the same parser at 1x, fast-forward or step-by-step
+
+// Global variables for recording and replay
+let sessionRecording = null; // { startedAt, startMs, transport, chunks: [[offsetMs, Uint8Array]] }
+let sessionReplay = null; // { session, index, speed, timer, playing }
+let sessionReplayDelivering = false; // True while a replayed chunk is being parsed
+
+// Configuration
+const SESSION_FORMAT = 'tempest-downlink-session';
+const SESSION_VERSION = 1;
+const REPLAY_MAX_BATCH = 200; // Chunks delivered per tick at maximum replay speed
+
+// ============================================================================
+// Encoding Helpers
+// ============================================================================
+
+/**
+ * Encode bytes as base64 for the session file
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Base64 string
+ */
+function sessionBytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a base64 chunk from a session file
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Raw bytes
+ */
+function sessionBase64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Start or stop recording of the raw downlink
+ */
+function toggleSessionRecording() {
+    if (sessionRecording && sessionRecording.active) {
+        stopSessionRecording();
+    } else {
+        startSessionRecording();
+    }
+}
+
+/**
+ * Start a new recording, discarding any previous unsaved recording
+ */
+function startSessionRecording() {
+    sessionRecording = {
+        active: true,
+        startedAt: new Date().toISOString(),
+        startMs: Date.now(),
+        transport: (typeof transport !== 'undefined' && transport) ? transport.name : null,
+        chunks: [],
+        bytes: 0
+    };
+    logToTerminal('Downlink recording started', 'info');
+    updateSessionRecorderDisplay();
+}
+
+/**
+ * Stop the active recording (data is kept for download)
+ */
+function stopSessionRecording() {
+    if (!sessionRecording) return;
+    sessionRecording.active = false;
+    logToTerminal(`Downlink recording stopped: ${sessionRecording.chunks.length} chunks, ${sessionRecording.bytes} bytes`, 'info');
+    updateSessionRecorderDisplay();
+}
+
+/**
+ * Capture a raw chunk as it arrives from the transport
+ * Called from processReceivedData() before any parsing
+ * @param {Uint8Array} data - Raw chunk
+ */
+function recordDownlinkChunk(data) {
+    // Replayed chunks aren't live data; a loaded (even paused) replay doesn't stop recording
+    if (!sessionRecording || !sessionRecording.active || sessionReplayDelivering) return;
+
+    // Copy: transports may reuse their buffers
+    sessionRecording.chunks.push([Date.now() - sessionRecording.startMs, data.slice()]);
+    sessionRecording.bytes += data.length;
+
+    if (sessionRecording.chunks.length % 50 === 0) {
+        updateSessionRecorderDisplay();
+    }
+}
+
+/**
+ * Download the current recording as a session file
+ */
+function downloadSessionRecording() {
+    if (!sessionRecording || sessionRecording.chunks.length === 0) {
+        logToTerminal('No recorded downlink data to download', 'warning');
+        return;
+    }
+
+    const session = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        startedAt: sessionRecording.startedAt,
+        transport: sessionRecording.transport,
+        chunks: sessionRecording.chunks.map(([t, bytes]) => [t, sessionBytesToBase64(bytes)])
+    };
+
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tempest_session_${sessionRecording.startedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    logToTerminal(`Session file saved (${session.chunks.length} chunks)`, 'response');
+}
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+/**
+ * Load a session file selected in the replay file input
+ * @param {HTMLInputElement} input - File input element
+ */
+async function loadSessionFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const session = JSON.parse(await file.text());
+        if (session.format !== SESSION_FORMAT || !Array.isArray(session.chunks)) {
+            throw new Error('Not a TEMPEST downlink session file');
+        }
+        if (session.version > SESSION_VERSION) {
+            throw new Error(`Unsupported session version ${session.version}`);
+        }
+
+        stopSessionReplay();
+        sessionReplay = {
+            name: file.name,
+            session: {
+                startedAt: session.startedAt,
+                chunks: session.chunks.map(([t, base64]) => [t, sessionBase64ToBytes(base64)])
+            },
+            index: 0,
+            speed: 1,
+            timer: null,
+            playing: false
+        };
+
+        logToTerminal(`Loaded session ${file.name}: ${session.chunks.length} chunks recorded ${session.startedAt}`, 'response');
+        updateSessionRecorderDisplay();
+
+    } catch (error) {
+        logToTerminal(`Session load error: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+/**
+ * Check that replay will not be mixed with live downlink data
+ * @returns {boolean} - True if replay may proceed
+ */
+function canReplaySession() {
+    if (!sessionReplay) {
+        logToTerminal('Load a session file first', 'warning');
+        return false;
+    }
+    if (isConnected) {
+        logToTerminal('Disconnect from the Ground Station before replaying a session', 'warning');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Deliver the next recorded chunk to the parser
+ * @returns {boolean} - True if a chunk was delivered
+ */
+function replayNextChunk() {
+    const { session } = sessionReplay;
+    if (sessionReplay.index >= session.chunks.length) return false;
+
+    if (sessionReplay.index === 0) {
+        // Start from a clean parser state, exactly like a fresh connection
+        clearDataBuffer();
+        if (typeof startTelemetrySession === 'function') {
+            startTelemetrySession(`replay:${sessionReplay.name}`);
+        }
+    }
+
+    const [, bytes] = session.chunks[sessionReplay.index++];
+    sessionReplayDelivering = true;
+    try {
+        processReceivedData(bytes);
+    } finally {
+        sessionReplayDelivering = false;
+    }
+    return true;
+}
+
+/**
+ * Schedule the next replay tick according to the recorded inter-arrival time
+ */
+function scheduleReplayTick() {
+    const { session, index, speed } = sessionReplay;
+
+    if (index >= session.chunks.length) {
+        sessionReplay.playing = false;
+        logToTerminal(`Session replay finished (${session.chunks.length} chunks)`, 'info');
+        updateSessionRecorderDisplay();
+        return;
+    }
+
+    let delay = 0;
+    if (speed > 0 && index > 0) {
+        delay = (session.chunks[index][0] - session.chunks[index - 1][0]) / speed;
+    }
+
+    sessionReplay.timer = setTimeout(() => {
+        if (!sessionReplay || !sessionReplay.playing) return;
+
+        // At maximum speed deliver a batch per tick to keep the UI responsive
+        const batch = sessionReplay.speed > 0 ? 1 : REPLAY_MAX_BATCH;
+        for (let i = 0; i < batch && replayNextChunk(); i++);
+
+        updateSessionRecorderDisplay();
+        scheduleReplayTick();
+    }, delay);
+}
+
+/**
+ * Start or pause replay at the selected speed
+ */
+function toggleSessionReplay() {
+    if (sessionReplay && sessionReplay.playing) {
+        pauseSessionReplay();
+        return;
+    }
+    if (!canReplaySession()) return;
+
+    if (sessionReplay.index >= sessionReplay.session.chunks.length) {
+        sessionReplay.index = 0; // Restart a finished replay
+    }
+
+    const speedSelect = document.getElementById('replaySpeed');
+    sessionReplay.speed = speedSelect ? parseFloat(speedSelect.value) : 1;
+    sessionReplay.playing = true;
+    logToTerminal(`Replaying ${sessionReplay.name} at ${sessionReplay.speed > 0 ? sessionReplay.speed + 'x' : 'maximum speed'}`, 'info');
+    updateSessionRecorderDisplay();
+    scheduleReplayTick();
+}
+
+/**
+ * Pause replay, keeping the current position
+ */
+function pauseSessionReplay() {
+    if (!sessionReplay) return;
+    clearTimeout(sessionReplay.timer);
+    sessionReplay.playing = false;
+    updateSessionRecorderDisplay();
+}
+
+/**
+ * Deliver exactly one recorded chunk, pausing any running replay
+ */
+function stepSessionReplay() {
+    if (!canReplaySession()) return;
+    pauseSessionReplay();
+
+    if (!replayNextChunk()) {
+        logToTerminal('End of session reached', 'info');
+    }
+    updateSessionRecorderDisplay();
+}
+
+/**
+ * Stop replay and rewind to the beginning
+ */
+function stopSessionReplay() {
+    if (!sessionReplay) return;
+    pauseSessionReplay();
+    sessionReplay.index = 0;
+    updateSessionRecorderDisplay();
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Update the Session Recorder panel
+ */
+function updateSessionRecorderDisplay() {
+    const recording = sessionRecording && sessionRecording.active;
+
+    const recordBtn = document.getElementById('recordBtn');
+    if (recordBtn) recordBtn.textContent = recording ? 'Stop Recording' : 'Record Downlink';
+
+    const recDot = document.getElementById('recStatusDot');
+    if (recDot) {
+        recDot.className = recording
+            ? 'status-symbol status-symbol--critical status-symbol--pulse'
+            : 'status-symbol status-symbol--off';
+    }
+
+    const recInfo = document.getElementById('recordInfo');
+    if (recInfo) {
+        recInfo.textContent = sessionRecording
+            ? `${recording ? 'Recording' : 'Recorded'}: ${sessionRecording.chunks.length} chunks, ${(sessionRecording.bytes / 1024).toFixed(1)} KB`
+            : 'Not recording';
+    }
+
+    const playBtn = document.getElementById('replayPlayBtn');
+    if (playBtn) playBtn.textContent = sessionReplay && sessionReplay.playing ? 'Pause' : 'Play';
+
+    const replayInfo = document.getElementById('replayInfo');
+    if (replayInfo) {
+        if (sessionReplay) {
+            const { session, index } = sessionReplay;
+            const t = index > 0 ? (session.chunks[index - 1][0] / 1000).toFixed(1) : '0.0';
+            replayInfo.textContent = `${sessionReplay.name}: ${index}/${session.chunks.length} chunks, T+${t}s`;
+        } else {
+            replayInfo.textContent = 'No session loaded';
+        }
+    }
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.sessionDebug = {
+    getRecording: () => sessionRecording,
+    getReplay: () => sessionReplay,
+    step: stepSessionReplay
+};
@@ -0,0 +1,687 @@
+// Simulated satellite for TEMPEST Ground Station
+// Implements the transport interface (see transports.js) with an in-browser ground station
+// and satellite that answer every command from showHelp() with byte-exact downlink frames
+
+// Configuration
+const SIM_LINK_BPS = 19200; // Simulated downlink rate, paces frames like a real radio
+const SIM_ORBIT_PERIOD = 1200; // Compressed orbit period in seconds (20 min) so demos see eclipses
+const SIM_ECLIPSE_FRACTION = 0.35; // Fraction of each orbit spent in Earth's shadow
+const SIM_IMAGE_CHUNK_CHARS = 200; // Base64 characters per SEND packet
+const SIM_LISTING_CHUNK_BYTES = 230; // Payload bytes per OBCL/OBCP packet
+const SIM_REBOOT_DELAY = 5000; // Milliseconds the OBC stays silent after OBC_RESTART
+
+// ============================================================================
+// Frame Builders
+// ============================================================================
+
+/**
+ * Build a fixed-size binary frame with a 4-byte ASCII identifier
+ * @param {string} identifier - 4-character packet identifier
+ * @param {number} size - Total frame size in bytes
+ * @param {Function} fill - Callback receiving a DataView to write the payload
+ * @returns {Uint8Array} - Frame bytes
+ */
+function buildSimFrame(identifier, size, fill) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < 4; i++) {
+        bytes[i] = identifier.charCodeAt(i);
+    }
+    if (fill) {
+        fill(new DataView(bytes.buffer));
+    }
+    return bytes;
+}
+
+/**
+ * Build a frame of little-endian float32 values after the identifier
+ * @param {string} identifier - 4-character packet identifier
+ * @param {number[]} values - Float values to pack
+ * @returns {Uint8Array} - Frame bytes
+ */
+function buildSimFloatFrame(identifier, values) {
+    return buildSimFrame(identifier, 4 + values.length * 4, view => {
+        values.forEach((value, i) => view.setFloat32(4 + i * 4, value, true));
+    });
+}
+
+/**
+ * Build a length-prefixed frame: [4-byte ID][uint32 length][payload]
+ * @param {string} identifier - 4-character packet identifier
+ * @param {Uint8Array} payload - Payload bytes
+ * @returns {Uint8Array} - Frame bytes
+ */
+function buildSimLengthPrefixedFrame(identifier, payload) {
+    const frame = buildSimFrame(identifier, 8 + payload.length, view => {
+        view.setUint32(4, payload.length, true);
+    });
+    frame.set(payload, 8);
+    return frame;
+}
+
+/**
+ * Build a newline-delimited text frame (SEND, RETX, OBCL, OBCP)
+ * @param {string} identifier - 4-character packet identifier
+ * @param {string} text - Frame body
+ * @returns {Uint8Array} - Frame bytes
+ */
+function buildSimTextFrame(identifier, text) {
+    return new TextEncoder().encode(`${identifier}${text}\n`);
+}
+
+// ============================================================================
+// Simulator Transport
+// ============================================================================
+
+/**
+ * Create a simulated satellite transport
+ * @param {Object} options - Simulation options
+ * @param {number} options.loss - Probability (0-1) that a radio frame is dropped
+ * @param {number} options.latency - One-way radio latency in milliseconds
+ * @param {number} options.noise - Sensor noise scale (0 = perfect readings)
+ * @param {number} options.corruption - Probability (0-1) that a radio frame has one byte corrupted
+ * @param {string} options.integrity - CRC trailer added to binary frames ('none', 'crc16', 'crc32')
+ * @returns {Object} - Transport object
+ */
+function createSimulatorTransport(options = {}) {
+    const loss = Math.min(Math.max(options.loss || 0, 0), 1);
+    const latency = Math.max(options.latency || 0, 0);
+    const noise = Math.max(options.noise || 0, 0);
+    const corruption = Math.min(Math.max(options.corruption || 0, 0), 1);
+    const integrity = options.integrity || 'none';
+
+    const encoder = new TextEncoder();
+    let onDataCallback = null;
+    let open = false;
+    let commandText = '';
+    let lastDeliveryAt = 0;
+    let pendingTimers = new Set();
+
+    // Spacecraft state
+    const state = {
+        bootTime: Date.now(),
+        offlineUntil: 0,
+        epsChannels: [1, 1, 0, 0],
+        batteryVoltage: 3.95,
+        lastPowerUpdate: Date.now(),
+        beaconInterval: 0,
+        beaconTimer: null,
+        photoCount: 2,
+        uplinkFreq: '915.0',
+        downlinkFreq: '915.0',
+        uplinkRadio: 'RFM95',
+        downlinkRadio: 'RFM95',
+        files: {
+            '/home/pi': ['images', 'logs', 'tempest.py', 'config.json'],
+            '/home/pi/images': ['1.jpg.gz', '2.jpg.gz'],
+            '/home/pi/logs': ['boot.log', 'radio.log']
+        },
+        images: new Map() // filename -> Promise<string[]> of base64 chunks
+    };
+
+    // ------------------------------------------------------------------------
+    // Downlink scheduling
+    // ------------------------------------------------------------------------
+
+    /**
+     * Schedule bytes for delivery to the parser, paced by link rate and latency
+     * @param {Uint8Array} bytes - Frame bytes
+     * @param {boolean} radio - True for frames that travel over the radio (subject to loss)
+     */
+    function deliver(bytes, radio = true) {
+        if (!open) return;
+        if (radio && Math.random() < loss) return;
+
+        if (radio) {
+            // Binary frames carry the firmware's CRC trailer
+            const identifier = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+            if (BINARY_PACKET_SIZES[identifier] !== undefined) {
+                bytes = appendPacketTrailer(bytes, integrity);
+            }
+            if (Math.random() < corruption) {
+                bytes = bytes.slice();
+                bytes[Math.floor(Math.random() * bytes.length)] ^= 1 << Math.floor(Math.random() * 8);
+            }
+        }
+
+        const airtime = radio ? (bytes.length * 8 / SIM_LINK_BPS) * 1000 : 0;
+        const now = Date.now();
+        const deliverAt = Math.max(now + (radio ? latency : 0), lastDeliveryAt) + airtime;
+        lastDeliveryAt = deliverAt;
+
+        const timer = setTimeout(() => {
+            pendingTimers.delete(timer);
+            if (open && onDataCallback) {
+                onDataCallback(bytes);
+            }
+        }, deliverAt - now);
+        pendingTimers.add(timer);
+    }
+
+    /**
+     * Deliver a ground station console line (not sent over the radio)
+     * @param {string} line - Text line
+     */
+    function groundStationLine(line) {
+        deliver(encoder.encode(line + '\n'), false);
+    }
+
+    /**
+     * Deliver a text response from the satellite (SEND frame without chunk metadata)
+     * @param {string} text - Response text
+     */
+    function satelliteReply(text) {
+        deliver(buildSimTextFrame('SEND', text));
+    }
+
+    // ------------------------------------------------------------------------
+    // Physical model
+    // ------------------------------------------------------------------------
+
+    function gaussian() {
+        // Box-Muller transform
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    function noisy(value, scale) {
+        return value + gaussian() * noise * scale;
+    }
+
+    function uptimeSeconds() {
+        return Math.floor((Date.now() - state.bootTime) / 1000);
+    }
+
+    function orbitPhase() {
+        return ((Date.now() / 1000) % SIM_ORBIT_PERIOD) / SIM_ORBIT_PERIOD;
+    }
+
+    function inEclipse() {
+        return orbitPhase() >= 1 - SIM_ECLIPSE_FRACTION;
+    }
+
+    /**
+     * Slow tumble used by all attitude sensors
+     * @returns {Object} - Heading, roll, pitch in degrees
+     */
+    function attitude() {
+        const t = Date.now() / 1000;
+        return {
+            heading: (t * 3) % 360,
+            roll: 20 * Math.sin(t / 40),
+            pitch: 15 * Math.sin(t / 55)
+        };
+    }
+
+    function attitudeQuaternion() {
+        const { heading, roll, pitch } = attitude();
+        const toRad = Math.PI / 360; // Half-angle in radians
+        const cy = Math.cos(heading * toRad), sy = Math.sin(heading * toRad);
+        const cp = Math.cos(pitch * toRad), sp = Math.sin(pitch * toRad);
+        const cr = Math.cos(roll * toRad), sr = Math.sin(roll * toRad);
+        return {
+            w: cr * cp * cy + sr * sp * sy,
+            x: sr * cp * cy - cr * sp * sy,
+            y: cr * sp * cy + sr * cp * sy,
+            z: cr * cp * sy - sr * sp * cy
+        };
+    }
+
+    function gravityVector() {
+        const { roll, pitch } = attitude();
+        const r = roll * Math.PI / 180;
+        const p = pitch * Math.PI / 180;
+        return [
+            -9.81 * Math.sin(p),
+            9.81 * Math.cos(p) * Math.sin(r),
+            9.81 * Math.cos(p) * Math.cos(r)
+        ];
+    }
+
+    /**
+     * Sun direction in the body frame, rotating with the tumble
+     * @returns {number[]} - Unit vector [x, y, z]
+     */
+    function sunVector() {
+        const angle = (attitude().heading + orbitPhase() * 360) * Math.PI / 180;
+        const elevation = 0.3 * Math.sin(Date.now() / 90000);
+        return [Math.cos(angle) * Math.cos(elevation), Math.sin(angle) * Math.cos(elevation), Math.sin(elevation)];
+    }
+
+    /**
+     * Per-panel solar readings for X-, X+, Y+, Y-
+     * @returns {Array<Object>} - Voltage (V) and current (mA) per panel
+     */
+    function solarPanels() {
+        const normals = [[-1, 0, 0], [1, 0, 0], [0, 1, 0], [0, -1, 0]];
+        const sun = sunVector();
+        const eclipse = inEclipse();
+
+        return normals.map(n => {
+            const incidence = Math.max(0, n[0] * sun[0] + n[1] * sun[1] + n[2] * sun[2]);
+            const lit = !eclipse && incidence > 0;
+            return {
+                voltage: Math.max(0, noisy(lit ? 4.6 + 0.4 * incidence : 0.1, 0.05)),
+                current: Math.max(0, noisy(lit ? 260 * incidence : 0.5, 5))
+            };
+        });
+    }
+
+    /**
+     * Integrate battery voltage from solar input and switched loads
+     */
+    function updatePower() {
+        const now = Date.now();
+        const dt = (now - state.lastPowerUpdate) / 1000;
+        state.lastPowerUpdate = now;
+
+        const solarW = solarPanels().reduce((sum, p) => sum + p.voltage * p.current / 1000, 0);
+        const loadW = 0.6 + state.epsChannels.reduce((sum, on, i) => sum + (on ? [0.4, 0.3, 0.8, 1.2][i] : 0), 0);
+        state.batteryVoltage += (solarW - loadW) * dt * 0.0004;
+        state.batteryVoltage = Math.min(4.2, Math.max(3.0, state.batteryVoltage));
+    }
+
+    function obcUsage() {
+        const t = Date.now() / 1000;
+        return {
+            cpu: Math.min(100, Math.max(0, noisy(18 + 8 * Math.sin(t / 30), 3))),
+            ram: Math.min(100, Math.max(0, noisy(42 + 3 * Math.sin(t / 120), 1))),
+            disk: 31.5 + state.photoCount * 0.2,
+            temp: noisy(24 + 6 * Math.sin(orbitPhase() * 2 * Math.PI), 0.5)
+        };
+    }
+
+    // ------------------------------------------------------------------------
+    // Images
+    // ------------------------------------------------------------------------
+
+    /**
+     * Render, gzip and base64-chunk a test image for a file on the simulated OBC
+     * @param {string} filename - Image filename
+     * @returns {Promise<string[]>} - Base64 chunks
+     */
+    function getImageChunks(filename) {
+        if (!state.images.has(filename)) {
+            state.images.set(filename, renderSimImage(filename));
+        }
+        return state.images.get(filename);
+    }
+
+    async function renderSimImage(filename) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 320;
+        canvas.height = 240;
+        const ctx = canvas.getContext('2d');
+
+        // Earth limb over star field
+        ctx.fillStyle = '#02040c';
+        ctx.fillRect(0, 0, 320, 240);
+        for (let i = 0; i < 60; i++) {
+            ctx.fillStyle = `rgba(255,255,255,${Math.random()})`;
+            ctx.fillRect(Math.random() * 320, Math.random() * 120, 1, 1);
+        }
+        const earth = ctx.createRadialGradient(160, 520, 300, 160, 520, 380);
+        earth.addColorStop(0, '#1f6fb2');
+        earth.addColorStop(0.9, '#6fb7ff');
+        earth.addColorStop(1, 'rgba(111,183,255,0)');
+        ctx.fillStyle = earth;
+        ctx.fillRect(0, 0, 320, 240);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px monospace';
+        ctx.fillText(`TEMPEST SIM  ${filename}`, 8, 16);
+        ctx.fillText(new Date().toISOString(), 8, 32);
+
+        const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+        const gzipped = new Uint8Array(await new Response(
+            jpeg.stream().pipeThrough(new CompressionStream('gzip'))
+        ).arrayBuffer());
+
+        let binary = '';
+        for (let i = 0; i < gzipped.length; i++) {
+            binary += String.fromCharCode(gzipped[i]);
+        }
+        const base64 = btoa(binary);
+
+        const chunks = [];
+        for (let i = 0; i < base64.length; i += SIM_IMAGE_CHUNK_CHARS) {
+            chunks.push(base64.slice(i, i + SIM_IMAGE_CHUNK_CHARS));
+        }
+        return chunks;
+    }
+
+    /**
+     * Format one image chunk with 4-digit total and current metadata
+     * @param {string} identifier - SEND or RETX
+     * @param {string[]} chunks - All chunks of the image
+     * @param {number} index - Chunk index
+     * @returns {Uint8Array} - Frame bytes
+     */
+    function imageChunkFrame(identifier, chunks, index) {
+        const total = String(chunks.length).padStart(4, '0');
+        const current = String(index).padStart(4, '0');
+        return buildSimTextFrame(identifier, `${chunks[index]}${total}${current}`);
+    }
+
+    /**
+     * Resolve a path or bare filename to a file on the simulated OBC
+     * @param {string} path - Requested path (may carry a .chunked suffix)
+     * @returns {string|null} - Bare filename, or null if missing
+     */
+    function findFile(path) {
+        const name = path.replace(/\.chunked$/, '').split('/').pop();
+        for (const entries of Object.values(state.files)) {
+            if (entries.includes(name)) return name;
+        }
+        return null;
+    }
+
+    // ------------------------------------------------------------------------
+    // Command handling
+    // ------------------------------------------------------------------------
+
+    /**
+     * Split a Python-style list string into fixed-size listing frames
+     * @param {string} identifier - OBCL or OBCP
+     * @param {string[]} entries - Listing entries
+     */
+    function sendListing(identifier, entries) {
+        const text = `[${entries.map(e => `'${e}'`).join(', ')}]`;
+        for (let i = 0; i < text.length; i += SIM_LISTING_CHUNK_BYTES) {
+            deliver(buildSimTextFrame(identifier, text.slice(i, i + SIM_LISTING_CHUNK_BYTES)));
+        }
+    }
+
+    function sendBeacon() {
+        const usage = obcUsage();
+        deliver(buildSimFrame('BECN', 24, view => {
+            view.setUint32(4, uptimeSeconds(), true);
+            view.setFloat32(8, usage.cpu, true);
+            view.setFloat32(12, usage.ram, true);
+            view.setFloat32(16, usage.disk, true);
+            view.setFloat32(20, usage.temp, true);
+        }));
+    }
+
+    function setBeacon(interval) {
+        if (state.beaconTimer) {
+            clearInterval(state.beaconTimer);
+            state.beaconTimer = null;
+        }
+        state.beaconInterval = interval;
+        if (interval > 0) {
+            state.beaconTimer = setInterval(() => {
+                if (Date.now() >= state.offlineUntil) sendBeacon();
+            }, interval * 1000);
+        }
+    }
+
+    /**
+     * Handle a radio configuration command addressed to the ground station itself
+     * @param {string[]} parts - Command tokens
+     * @returns {boolean} - True if handled
+     */
+    function handleGroundStationCommand(parts) {
+        const name = parts[0].toLowerCase();
+
+        if (name === 'get_radio_config') {
+            groundStationLine('RADIO_CONFIG:');
+            groundStationLine(`Uplink: ${state.uplinkRadio} @ ${state.uplinkFreq} MHz, Node 1`);
+            groundStationLine(`Downlink: ${state.downlinkRadio} @ ${state.downlinkFreq} MHz, Node 0`);
+            groundStationLine('END_CONFIG');
+            return true;
+        }
+        if (name === 'set_uplink_radio' || name === 'set_downlink_radio') {
+            const link = name === 'set_uplink_radio' ? 'uplink' : 'downlink';
+            const radio = (parts[1] || 'rfm95').toUpperCase();
+            const freq = parseFloat(parts[2] || '915').toFixed(1);
+            state[`${link}Radio`] = radio;
+            state[`${link}Freq`] = freq;
+            groundStationLine(`${link === 'uplink' ? 'Uplink' : 'Downlink'} radio configured: ${radio} @ ${freq} MHz`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Handle a command uplinked to the satellite
+     * @param {string} command - Full command line
+     */
+    function handleSatelliteCommand(command) {
+        const parts = command.split(/\s+/);
+        const name = parts[0].toUpperCase();
+
+        if (Date.now() < state.offlineUntil) return; // OBC rebooting, command lost
+
+        switch (name) {
+            case 'GET_SOLAR': {
+                const panels = solarPanels();
+                deliver(buildSimFloatFrame('SOLR', panels.flatMap(p => [p.voltage, p.current])));
+                break;
+            }
+            case 'EPS_STATUS':
+                updatePower();
+                deliver(buildSimFrame('EPSS', 28, view => {
+                    view.setInt32(4, 0, true);
+                    state.epsChannels.forEach((on, i) => view.setInt32(8 + i * 4, on, true));
+                    view.setFloat32(24, noisy(state.batteryVoltage, 0.01), true);
+                }));
+                break;
+            case 'EPS': {
+                const match = command.match(/CH(\d)\s*,\s*([01])/i);
+                const channel = match ? parseInt(match[1], 10) : 0;
+                if (channel >= 1 && channel <= 4) {
+                    updatePower();
+                    state.epsChannels[channel - 1] = parseInt(match[2], 10);
+                    satelliteReply(`EPS CH${channel} set to ${match[2]}`);
+                } else {
+                    satelliteReply('Invalid EPS command');
+                }
+                break;
+            }
+            case 'ENV_POLL': {
+                // 16 float channels, split across two POLL fragments like the real ENV MCU
+                const values = [];
+                const t = Date.now() / 1000;
+                for (let i = 0; i < 16; i++) {
+                    values.push(noisy(10 * (i + 1) + 2 * Math.sin(t / (20 + i)), 0.2));
+                }
+                const payload = new Uint8Array(64);
+                const view = new DataView(payload.buffer);
+                values.forEach((v, i) => view.setFloat32(i * 4, v, true));
+                deliver(buildSimLengthPrefixedFrame('POLL', payload.slice(0, 32)));
+                deliver(buildSimLengthPrefixedFrame('POLL', payload.slice(32)));
+                break;
+            }
+            case 'GET_GYRO':
+                deliver(buildSimFloatFrame('GYRO', [noisy(0.6, 0.2), noisy(-0.3, 0.2), noisy(3.0, 0.2)]));
+                break;
+            case 'GET_MAG': {
+                const heading = attitude().heading * Math.PI / 180;
+                deliver(buildSimFloatFrame('MAGN', [
+                    noisy(22 * Math.cos(heading), 1), noisy(-22 * Math.sin(heading), 1), noisy(-41, 1)
+                ]));
+                break;
+            }
+            case 'GET_ACCEL':
+                deliver(buildSimFloatFrame('ACCL', gravityVector().map(g => noisy(g, 0.05))));
+                break;
+            case 'GET_ORIENTATION': {
+                const { heading, roll, pitch } = attitude();
+                const q = attitudeQuaternion();
+                deliver(buildSimFloatFrame('ADCS', [
+                    noisy(heading, 0.5), noisy(roll, 0.5), noisy(pitch, 0.5), q.w, q.x, q.y, q.z
+                ]));
+                break;
+            }
+            case 'GET_EULER': {
+                const { heading, roll, pitch } = attitude();
+                deliver(buildSimFloatFrame('EULR', [noisy(heading, 0.5), noisy(roll, 0.5), noisy(pitch, 0.5)]));
+                break;
+            }
+            case 'GET_QUATERNION': {
+                const q = attitudeQuaternion();
+                deliver(buildSimFloatFrame('QUAT', [q.w, q.x, q.y, q.z]));
+                break;
+            }
+            case 'GET_BME': {
+                const pressure = noisy(1013.25, 0.5);
+                deliver(buildSimFloatFrame('BME2', [
+                    noisy(obcUsage().temp - 2, 0.3), pressure, 44330 * (1 - Math.pow(pressure / 1013.25, 0.1903))
+                ]));
+                break;
+            }
+            case 'GET_TEMP':
+                deliver(buildSimFrame('TEMP', 8, view => view.setInt32(4, Math.round(obcUsage().temp), true)));
+                break;
+            case 'OBC_LIST_FILES': {
+                const path = (parts[1] || '/home/pi').replace(/\/+$/, '') || '/';
+                const entries = state.files[path];
+                if (entries) {
+                    sendListing('OBCL', entries);
+                } else {
+                    sendListing('OBCL', [`DNE: ${path}`]);
+                }
+                break;
+            }
+            case 'OBC_PROCESSES':
+                sendListing('OBCP', [
+                    'systemd', 'sshd', 'python3 tempest.py', 'radio_service', 'camera_daemon',
+                    'env_monitor', 'beacon_task', 'cron', 'rsyslogd'
+                ]);
+                break;
+            case 'OBC_DISK':
+                deliver(buildSimFloatFrame('OBCD', [obcUsage().disk]));
+                break;
+            case 'OBC_RAM':
+                deliver(buildSimFloatFrame('OBCR', [obcUsage().ram]));
+                break;
+            case 'OBC_CPU':
+                deliver(buildSimFloatFrame('OBCC', [obcUsage().cpu]));
+                break;
+            case 'OBC_SHUTDOWN':
+            case 'OBC_RESTART':
+                satelliteReply(name === 'OBC_RESTART' ? 'Rebooting OBC' : 'Shutting down OBC');
+                state.offlineUntil = name === 'OBC_RESTART' ? Date.now() + SIM_REBOOT_DELAY : Infinity;
+                state.bootTime = state.offlineUntil;
+                break;
+            case 'TAKE_PHOTO': {
+                state.photoCount++;
+                const filename = `${state.photoCount}.jpg.gz`;
+                state.files['/home/pi/images'].push(filename);
+                const path = `/home/pi/images/${filename}`;
+                deliver(buildSimLengthPrefixedFrame('PHOT', encoder.encode(path)));
+                break;
+            }
+            case 'SEND_IMAGE': {
+                const filename = findFile(parts[1] || '');
+                if (!filename || !filename.endsWith('.jpg.gz')) {
+                    satelliteReply(`File not found: ${parts[1] || ''}`);
+                    break;
+                }
+                getImageChunks(filename).then(chunks => {
+                    for (let i = 0; i < chunks.length; i++) {
+                        deliver(imageChunkFrame('SEND', chunks, i));
+                    }
+                    deliver(buildSimFrame('XFRC', 8, view => view.setUint32(4, chunks.length, true)));
+                }).catch(error => {
+                    satelliteReply(`Image error: ${error.message}`);
+                });
+                break;
+            }
+            case 'RETRANSMIT': {
+                const filename = findFile(parts[1] || '');
+                const indices = parts.slice(2).join(' ').split(/[\s,]+/)
+                    .map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+                if (!filename || !state.images.has(filename)) {
+                    satelliteReply(`No transfer for ${parts[1] || ''}`);
+                    break;
+                }
+                getImageChunks(filename).then(chunks => {
+                    indices.filter(i => i >= 0 && i < chunks.length).forEach(i => {
+                        deliver(imageChunkFrame('RETX', chunks, i));
+                    });
+                });
+                break;
+            }
+            case 'GET_HOSTNAME':
+                deliver(buildSimFrame('HOST', 15, view => {
+                    encoder.encode('tempest-sat').forEach((b, i) => view.setUint8(4 + i, b));
+                }));
+                break;
+            case 'BEACON_ON': {
+                const interval = parseInt(parts[1], 10) || 5;
+                setBeacon(interval);
+                satelliteReply(`Beacon enabled (${interval}s)`);
+                break;
+            }
+            case 'BEACON_OFF':
+                setBeacon(0);
+                satelliteReply('Beacon disabled');
+                break;
+            case 'MORSE':
+                satelliteReply(`Morse played: ${parts.slice(1).join(' ')}`);
+                break;
+            case 'RESET_ENV':
+                satelliteReply('Environmental MCU reset');
+                break;
+            default:
+                satelliteReply(`Unknown command: ${name}`);
+                break;
+        }
+    }
+
+    /**
+     * Handle a complete command line written by the console
+     * @param {string} command - Command text without newline
+     */
+    function handleCommand(command) {
+        const parts = command.split(/\s+/);
+        if (handleGroundStationCommand(parts)) return;
+
+        // Uplink is subject to the same radio loss and latency as the downlink
+        if (Math.random() < loss) return;
+        const timer = setTimeout(() => {
+            pendingTimers.delete(timer);
+            if (open) handleSatelliteCommand(command);
+        }, latency);
+        pendingTimers.add(timer);
+    }
+
+    return {
+        name: 'Simulator',
+
+        async open(onData) {
+            onDataCallback = onData;
+            open = true;
+            groundStationLine('Ground Station Ready (simulated)');
+        },
+
+        async write(bytes) {
+            for (const byte of bytes) {
+                if (byte === 0x03) {
+                    commandText = ''; // CTRL-C
+                } else if (byte === 0x04) {
+                    groundStationLine('Ground Station Ready (simulated)'); // CTRL-D soft reset
+                } else if (byte === 0x0A || byte === 0x0D) {
+                    const command = commandText.trim();
+                    commandText = '';
+                    if (command) handleCommand(command);
+                } else {
+                    commandText += String.fromCharCode(byte);
+                }
+            }
+        },
+
+        async close() {
+            open = false;
+            setBeacon(0);
+            pendingTimers.forEach(timer => clearTimeout(timer));
+            pendingTimers.clear();
+        },
+
+        describe() {
+            return `Simulated satellite (loss ${(loss * 100).toFixed(0)}%, latency ${latency} ms, noise ${noise})`;
+        }
+    };
+}
@@ -0,0 +1,109 @@
+// Coarse sun sensor for TEMPEST Ground Station
+// Estimates the sun direction in the body frame from the X-, X+, Y+ and Y- solar panel
+// currents in SOLR telemetry, independently of the BNO055. Each panel's current is roughly
+// proportional to the cosine of the sun angle to its normal, so opposing panels give one
+// direction cosine each. The panels can't see Z: its size follows from the unit vector and
+// its sign is unknown, so readouts show ±z and the 3D arrow uses +z.
+// Estimates are published as 'SUNV' events:
+//   { type: 'SUNV', t, sunlit: 1, x, y, z, azimuth, elevation }  or  { type: 'SUNV', t, sunlit: 0 }
+
+// Configuration
+const SUN_PANEL_FULL_CURRENT = 260; // mA from one panel facing the sun squarely; measure on the flight panels
+const SUN_ECLIPSE_CURRENT = 20; // mA total across all panels below which the spacecraft is in eclipse
+
+let lastSunVector = null;
+
+// ============================================================================
+// Estimation
+// ============================================================================
+
+/**
+ * Estimate the sun direction from panel currents
+ * @param {Array<Object>} panels - [{ voltage, current }] in X-, X+, Y+, Y- order (current in mA)
+ * @returns {Object} - { sunlit, x, y, z, azimuth, elevation }; only sunlit when in eclipse
+ */
+function estimateSunVector(panels) {
+    const [xMinus, xPlus, yPlus, yMinus] = panels.map(panel => Math.max(0, panel.current));
+    const total = xMinus + xPlus + yPlus + yMinus;
+    if (total < SUN_ECLIPSE_CURRENT) return { sunlit: 0 };
+
+    let x = (xPlus - xMinus) / SUN_PANEL_FULL_CURRENT;
+    let y = (yPlus - yMinus) / SUN_PANEL_FULL_CURRENT;
+
+    // Brighter than the calibration (or albedo): keep the direction, put the sun in the XY plane
+    const planar = Math.hypot(x, y);
+    if (planar > 1) {
+        x /= planar;
+        y /= planar;
+    }
+    const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+
+    return {
+        sunlit: 1,
+        x,
+        y,
+        z,
+        azimuth: (Math.atan2(y, x) * 180 / Math.PI + 360) % 360,
+        elevation: Math.asin(z) * 180 / Math.PI
+    };
+}
+
+/**
+ * Publish a sun vector estimate for each solar reading (telemetry bus subscriber)
+ * @param {Object} event - SOLR event { t, panels }
+ */
+function handleSunSolar(event) {
+    publishTelemetry({ type: 'SUNV', t: event.t, ...estimateSunVector(event.panels) });
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Show the latest estimate under the orientation view (telemetry bus subscriber)
+ * @param {Object} event - SUNV event
+ */
+function updateSunDisplay(event) {
+    lastSunVector = event;
+
+    const vector = document.getElementById('sunVectorValue');
+    const angles = document.getElementById('sunAnglesValue');
+    const status = document.getElementById('sunStatusValue');
+
+    if (status) {
+        status.textContent = event.sunlit ? 'Sunlit' : 'Eclipse';
+        status.style.color = event.sunlit ? 'var(--color-status-caution)' : 'var(--text-secondary)';
+    }
+    if (vector) {
+        vector.textContent = event.sunlit
+            ? `${event.x.toFixed(2)}, ${event.y.toFixed(2)}, ±${event.z.toFixed(2)}`
+            : '--';
+    }
+    if (angles) {
+        angles.textContent = event.sunlit
+            ? `Az ${event.azimuth.toFixed(0)}° El ±${event.elevation.toFixed(0)}°`
+            : '--';
+    }
+}
+
+/**
+ * Register the SUNV channels and subscribe to solar telemetry
+ */
+function initSunVector() {
+    if (typeof registerTelemetryEventType === 'function') {
+        registerTelemetryEventType('SUNV', 'Sun Vector', { azimuth: '°', elevation: '°' });
+    }
+
+    subscribeTelemetry('SOLR', handleSunSolar);
+    subscribeTelemetry('SUNV', updateSunDisplay);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.sunVectorDebug = {
+    estimate: estimateSunVector,
+    getLast: () => lastSunVector
+};
@@ -0,0 +1,77 @@
+// Telemetry event bus for TEMPEST Ground Station
+// Decoded packets are published as typed events and consumers subscribe by type, so the
+// terminal log, telemetry grid, 3D view, history store and any new panel never depend on
+// each other or on the decoders.
+//
+// Event shape: { type, t, ...fields } where type is the packet identifier (e.g. 'EPSS'),
+// t is the receive time in ms and the fields are those named in packet-schema.js:
+//   { type: 'EPSS', t, errorCode, channels: [1, 0, 1, 1], batteryVoltage }
+// Two further types report decode problems:
+//   { type: 'decode-error', t, identifier, message }
+//   { type: 'unknown', t, identifier }
+// Commands written to the link are published as { type: 'uplink', t, command }.
+
+// Subscribers by event type; handlers under '*' receive every event
+const telemetrySubscribers = new Map();
+
+// ============================================================================
+// Subscription
+// ============================================================================
+
+/**
+ * Subscribe to telemetry events
+ * @param {string|string[]} types - Event type(s), or '*' for every event
+ * @param {Function} handler - Called with the event object
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribeTelemetry(types, handler) {
+    const list = Array.isArray(types) ? types : [types];
+    list.forEach(type => {
+        if (!telemetrySubscribers.has(type)) telemetrySubscribers.set(type, new Set());
+        telemetrySubscribers.get(type).add(handler);
+    });
+    return () => list.forEach(type => telemetrySubscribers.get(type).delete(handler));
+}
+
+/**
+ * Deliver an event to its type's subscribers, then to '*' subscribers
+ * A failing subscriber is reported and does not stop the others.
+ * @param {Object} event - Telemetry event with a type
+ */
+function publishTelemetry(event) {
+    for (const type of [event.type, '*']) {
+        const handlers = telemetrySubscribers.get(type);
+        if (!handlers) continue;
+
+        for (const handler of handlers) {
+            try {
+                handler(event);
+            } catch (error) {
+                logToTerminal(`Telemetry display error (${event.type}): ${error.message}`, 'error');
+            }
+        }
+    }
+}
+
+/**
+ * Convert a decoded packet (see decodePacket()) to a telemetry event
+ * @param {Object} packet - Decoded packet { identifier, receivedAt, ...fields }
+ * @returns {Object} - Telemetry event
+ */
+function packetToTelemetryEvent(packet) {
+    const { identifier, receivedAt, error, unknown, ...fields } = packet;
+    const t = receivedAt || Date.now();
+
+    if (error) return { type: 'decode-error', t, identifier, message: error };
+    if (unknown) return { type: 'unknown', t, identifier };
+    return { type: identifier, t, ...fields };
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.telemetryBusDebug = {
+    getSubscribers: () => telemetrySubscribers,
+    publish: publishTelemetry
+};
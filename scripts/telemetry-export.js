@@ -0,0 +1,406 @@
+// Telemetry export for TEMPEST Ground Station
+// Writes stored telemetry (see telemetry-store.js) to files for offline analysis:
+//   csv-long  - one row per sample: timestamp_utc,unix_ms,channel,value,unit,session
+//   csv-wide  - one row per timestamp, one column per channel (blank where a channel has no sample)
+//   ndjson    - one JSON object per sample
+//   columnar  - compact binary with one contiguous column per channel (see buildColumnarExport)
+// Timestamps are UTC (ISO 8601 with milliseconds), matching the GSB clock.
+
+// Configuration
+const EXPORT_DEFAULT_IDENTIFIERS = ['GYRO', 'ACCL', 'MAGN', 'BME2', 'EPSS', 'SOLR', 'BECN', 'ADCS', 'OBCC', 'OBCR', 'OBCD', 'ENV', 'PWR'];
+const EXPORT_COLUMNAR_MAGIC = 'TLMC';
+const EXPORT_COLUMNAR_VERSION = 1;
+
+const EXPORT_FORMATS = {
+    'csv-long': { extension: 'csv', type: 'text/csv', build: buildLongCsvExport },
+    'csv-wide': { extension: 'csv', type: 'text/csv', build: buildWideCsvExport },
+    'ndjson': { extension: 'ndjson', type: 'application/x-ndjson', build: buildNdjsonExport },
+    'columnar': { extension: 'tlmc', type: 'application/octet-stream', build: buildColumnarExport }
+};
+
+// ============================================================================
+// Value Formatting
+// ============================================================================
+
+/**
+ * Format a timestamp as UTC ISO 8601
+ * @param {number} t - Time in ms since the epoch
+ * @returns {string} - e.g. 2025-06-01T12:34:56.789Z
+ */
+function formatExportTime(t) {
+    return new Date(t).toISOString();
+}
+
+/**
+ * Format a sample value without float32 noise (3.7 rather than 3.700000047683716)
+ * @param {number} value - Sample value
+ * @returns {string} - Value text
+ */
+function formatExportValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(7)));
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ * @param {string} text - Field text
+ * @returns {string} - CSV-safe field
+ */
+function csvField(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================================================
+// Format Builders
+// Each builder takes { channels: [{ channel, unit, samples: [{ t, value, session }] }], from, to }
+// and returns an array of Blob parts.
+// ============================================================================
+
+/**
+ * Merge all channels into one list of samples ordered by time, then channel
+ * @param {Object} data - Export data
+ * @returns {Array<Object>} - [{ t, value, session, channel, unit }]
+ */
+function mergeExportSamples(data) {
+    const rows = [];
+    data.channels.forEach(({ channel, unit, samples }) => {
+        samples.forEach(sample => rows.push({ ...sample, channel, unit }));
+    });
+    return rows.sort((a, b) => a.t - b.t || a.channel.localeCompare(b.channel));
+}
+
+/**
+ * Long ("tidy") CSV: one row per sample
+ * @param {Object} data - Export data
+ * @returns {string[]} - Blob parts
+ */
+function buildLongCsvExport(data) {
+    const parts = ['timestamp_utc,unix_ms,channel,value,unit,session\n'];
+    mergeExportSamples(data).forEach(row => {
+        parts.push(`${formatExportTime(row.t)},${row.t},${row.channel},${formatExportValue(row.value)},` +
+            `${csvField(row.unit)},${csvField(row.session || '')}\n`);
+    });
+    return parts;
+}
+
+/**
+ * Wide CSV: one row per timestamp with a column per channel
+ * Fields of the same packet share a timestamp, so each packet becomes one row.
+ * @param {Object} data - Export data
+ * @returns {string[]} - Blob parts
+ */
+function buildWideCsvExport(data) {
+    const columns = data.channels.map(c => c.channel);
+    const rows = new Map(); // t -> values by column index
+
+    data.channels.forEach(({ samples }, column) => {
+        samples.forEach(({ t, value }) => {
+            if (!rows.has(t)) rows.set(t, new Array(columns.length).fill(''));
+            rows.get(t)[column] = formatExportValue(value);
+        });
+    });
+
+    const parts = [`timestamp_utc,unix_ms,${columns.join(',')}\n`];
+    Array.from(rows.keys()).sort((a, b) => a - b).forEach(t => {
+        parts.push(`${formatExportTime(t)},${t},${rows.get(t).join(',')}\n`);
+    });
+    return parts;
+}
+
+/**
+ * Newline-delimited JSON: one object per sample
+ * @param {Object} data - Export data
+ * @returns {string[]} - Blob parts
+ */
+function buildNdjsonExport(data) {
+    return mergeExportSamples(data).map(row => JSON.stringify({
+        time: formatExportTime(row.t),
+        t: row.t,
+        channel: row.channel,
+        value: Number(formatExportValue(row.value)),
+        unit: row.unit,
+        session: row.session || null
+    }) + '\n');
+}
+
+/**
+ * Columnar binary export
+ *
+ * Layout (all numbers little-endian):
+ *   'TLMC' | uint8 version | 3 bytes padding
+ *   per channel: float64[count] unix_ms, float64[count] value, uint16[count] session index (padded to 8 bytes)
+ *   UTF-8 JSON footer | uint32 footer length | 'TLMC'
+ *
+ * The footer is { format, version, created, from, to, sessions: [label], columns:
+ * [{ channel, unit, count, timeOffset, valueOffset, sessionOffset }] } with byte offsets from the
+ * start of the file, so a column loads directly, e.g. in Python:
+ *   numpy.frombuffer(data, '<f8', count, valueOffset)
+ * @param {Object} data - Export data
+ * @returns {Array<ArrayBuffer|Uint8Array>} - Blob parts
+ */
+function buildColumnarExport(data) {
+    const sessions = [];
+    const sessionIndex = new Map();
+    const columns = [];
+    const parts = [];
+
+    const header = new Uint8Array(8);
+    header.set(new TextEncoder().encode(EXPORT_COLUMNAR_MAGIC));
+    header[4] = EXPORT_COLUMNAR_VERSION;
+    parts.push(header);
+    let offset = header.length;
+
+    data.channels.forEach(({ channel, unit, samples }) => {
+        const count = samples.length;
+        const times = new Float64Array(count);
+        const values = new Float64Array(count);
+        const sessionIds = new Uint16Array(count + (4 - count % 4) % 4); // Padded to 8 bytes
+
+        samples.forEach(({ t, value, session }, i) => {
+            const label = session || '';
+            if (!sessionIndex.has(label)) {
+                sessionIndex.set(label, sessions.length);
+                sessions.push(label);
+            }
+            times[i] = t;
+            values[i] = value;
+            sessionIds[i] = sessionIndex.get(label);
+        });
+
+        columns.push({
+            channel,
+            unit,
+            count,
+            timeOffset: offset,
+            valueOffset: offset + times.byteLength,
+            sessionOffset: offset + times.byteLength + values.byteLength
+        });
+        parts.push(times.buffer, values.buffer, sessionIds.buffer);
+        offset += times.byteLength + values.byteLength + sessionIds.byteLength;
+    });
+
+    const footer = new TextEncoder().encode(JSON.stringify({
+        format: 'tempest-columnar',
+        version: EXPORT_COLUMNAR_VERSION,
+        created: new Date().toISOString(),
+        from: formatExportTime(data.from),
+        to: formatExportTime(data.to),
+        sessions,
+        columns
+    }));
+    const trailer = new Uint8Array(8);
+    new DataView(trailer.buffer).setUint32(0, footer.length, true);
+    trailer.set(new TextEncoder().encode(EXPORT_COLUMNAR_MAGIC), 4);
+    parts.push(footer, trailer);
+
+    return parts;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Read the selected channels from the telemetry store
+ * @param {string[]} channels - Channel names
+ * @param {number} from - Start time in ms
+ * @param {number} to - End time in ms
+ * @param {string|null} session - Only include samples from this session, or null for all
+ * @returns {Promise<Object>} - Export data for the format builders
+ */
+async function collectTelemetryExport(channels, from, to, session = null) {
+    const known = new Map((await listTelemetryChannels()).map(info => [info.channel, info]));
+    const data = { channels: [], from, to };
+
+    for (const channel of channels) {
+        let samples = await queryTelemetry(channel, from, to);
+        if (session !== null) {
+            samples = samples.filter(sample => sample.session === session);
+        }
+        const info = known.get(channel);
+        data.channels.push({ channel, unit: info ? info.unit : '', samples });
+    }
+    return data;
+}
+
+/**
+ * Export telemetry to a downloaded file
+ * @param {Object} options - { channels, from, to, session, format }
+ * @returns {Promise<number>} - Number of samples exported
+ */
+async function exportTelemetry({ channels, from, to, session = null, format = 'csv-long' }) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+    const data = await collectTelemetryExport(channels, from, to, session);
+    const total = data.channels.reduce((sum, c) => sum + c.samples.length, 0);
+    if (total === 0) return 0;
+
+    const blob = new Blob(spec.build(data), { type: spec.type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tempest_telemetry_${formatExportTime(from).replace(/[:.]/g, '-')}` +
+        `_${formatExportTime(to).replace(/[:.]/g, '-')}.${spec.extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return total;
+}
+
+// ============================================================================
+// Export Panel (Configure tab)
+// ============================================================================
+
+/**
+ * Rebuild the export channel checklist, grouped by packet type
+ */
+async function refreshExportChannelList() {
+    const list = document.getElementById('exportChannelList');
+    if (!list) return;
+
+    let channels;
+    try {
+        channels = await listTelemetryChannels();
+    } catch (error) {
+        list.textContent = `Telemetry store unavailable: ${error.message}`;
+        return;
+    }
+    if (channels.length === 0) {
+        list.textContent = 'No telemetry recorded yet';
+        return;
+    }
+
+    // Keep the current selection across refreshes
+    const previous = new Set(getSelectedExportChannels());
+    const firstLoad = list.querySelector('input') === null;
+
+    const groups = new Map();
+    channels.forEach(info => {
+        if (!groups.has(info.identifier)) groups.set(info.identifier, []);
+        groups.get(info.identifier).push(info);
+    });
+
+    list.innerHTML = '';
+    for (const [identifier, infos] of groups.entries()) {
+        const group = document.createElement('details');
+        group.className = 'export-channel-group';
+
+        const summary = document.createElement('summary');
+        const groupBox = document.createElement('input');
+        groupBox.type = 'checkbox';
+        groupBox.onclick = (event) => event.stopPropagation();
+        groupBox.onchange = () => {
+            group.querySelectorAll('input[data-channel]').forEach(box => { box.checked = groupBox.checked; });
+        };
+        summary.append(groupBox, ` ${identifier} — ${infos[0].name} (${infos.length})`);
+        group.appendChild(summary);
+
+        infos.forEach(info => {
+            const row = document.createElement('label');
+            row.className = 'plot-channel';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.dataset.channel = info.channel;
+            box.checked = firstLoad ? EXPORT_DEFAULT_IDENTIFIERS.includes(identifier) : previous.has(info.channel);
+            box.onchange = () => syncExportGroupBox(group, groupBox);
+            row.append(box, info.channel + (info.unit ? ` (${info.unit})` : ''));
+            group.appendChild(row);
+        });
+
+        syncExportGroupBox(group, groupBox);
+        list.appendChild(group);
+    }
+}
+
+/**
+ * Reflect a group's channel selection in its group checkbox
+ * @param {HTMLElement} group - Group element
+ * @param {HTMLInputElement} groupBox - Group checkbox
+ */
+function syncExportGroupBox(group, groupBox) {
+    const boxes = Array.from(group.querySelectorAll('input[data-channel]'));
+    const checked = boxes.filter(box => box.checked).length;
+    groupBox.checked = checked === boxes.length;
+    groupBox.indeterminate = checked > 0 && checked < boxes.length;
+}
+
+/**
+ * Channels ticked in the export checklist
+ * @returns {string[]} - Channel names
+ */
+function getSelectedExportChannels() {
+    return Array.from(document.querySelectorAll('#exportChannelList input[data-channel]:checked'))
+        .map(box => box.dataset.channel);
+}
+
+/**
+ * Show the custom range inputs only for the custom range
+ */
+function updateExportRangeInputs() {
+    const range = document.getElementById('exportRange');
+    const custom = document.getElementById('exportCustomRange');
+    if (range && custom) custom.style.display = range.value === 'custom' ? 'grid' : 'none';
+}
+
+/**
+ * Parse a datetime-local input value as UTC
+ * @param {string} value - e.g. '2025-06-01T12:00' or '2025-06-01T12:00:30'
+ * @returns {number} - Time in ms, or NaN
+ */
+function parseExportTime(value) {
+    return value ? Date.parse(`${value}Z`) : NaN;
+}
+
+/**
+ * Export the selected channels and range from the export panel
+ */
+async function exportTelemetryFromPanel() {
+    const info = document.getElementById('exportInfo');
+    const channels = getSelectedExportChannels();
+    if (channels.length === 0) {
+        logToTerminal('Select at least one channel to export', 'warning');
+        return;
+    }
+
+    const range = document.getElementById('exportRange').value;
+    const format = document.getElementById('exportFormat').value;
+    let from = 0;
+    let to = Date.now();
+    let session = null;
+
+    if (range === 'session') {
+        session = telemetrySession;
+    } else if (range === 'custom') {
+        from = parseExportTime(document.getElementById('exportFrom').value);
+        to = parseExportTime(document.getElementById('exportTo').value);
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            logToTerminal('Export range needs a valid UTC start before its end', 'warning');
+            return;
+        }
+    } else if (range !== 'all') {
+        from = to - parseInt(range);
+    }
+
+    if (info) info.textContent = 'Exporting...';
+    try {
+        const total = await exportTelemetry({ channels, from, to, session, format });
+        const message = total === 0
+            ? 'No samples in the selected range'
+            : `Exported ${total.toLocaleString()} samples from ${channels.length} channel${channels.length === 1 ? '' : 's'}`;
+        if (info) info.textContent = message;
+        logToTerminal(message, total === 0 ? 'warning' : 'response');
+    } catch (error) {
+        if (info) info.textContent = `Export failed: ${error.message}`;
+        logToTerminal(`Telemetry export failed: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.telemetryExportDebug = {
+    collect: collectTelemetryExport,
+    export: exportTelemetry,
+    formats: EXPORT_FORMATS
+};
@@ -0,0 +1,283 @@
+// Live telemetry grid for TEMPEST Ground Station
+// Subscribes to the telemetry bus (telemetry-bus.js) and keeps the Live Telemetry panel and
+// orientation readouts up to date. Limit status colours are applied separately by limits.js.
+// Every grid cell remembers when it was last written, shows its age and is marked stale after
+// its timeout (editable in the Configure tab); the GSB Data monitor summarises freshness.
+
+// Time each grid value was last written, by element id
+const gridValueTimes = new Map();
+let gridStaleTimeouts = {}; // element id -> seconds
+let gridFreshnessTimer = null;
+
+// Configuration
+const GRID_STALE_TIMEOUTS_KEY = 'tempest.gridStaleTimeouts';
+
+// Default stale timeouts in seconds. OBC cells follow the health beacon; power and solar
+// values only arrive on request, so they are allowed longer.
+const DEFAULT_GRID_STALE_TIMEOUTS = {
+    cpuUsage: 60, ramUsage: 60, diskUsage: 60, temperature: 60,
+    batteryVoltage: 300, epsStatus: 300, epsCh1: 300, epsCh2: 300, epsCh3: 300, epsCh4: 300,
+    solarXn: 300, solarXp: 300, solarYp: 300, solarYn: 300, solarTotal: 300
+};
+
+// ============================================================================
+// Grid Helpers
+// ============================================================================
+
+/**
+ * Set the text (and optionally colour) of a telemetry grid value
+ * @param {string} elementId - Value element ID
+ * @param {string} text - Display text
+ * @param {string} color - Optional CSS colour
+ */
+function setGridValue(elementId, text, color) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.textContent = text;
+    if (color !== undefined) element.style.color = color;
+
+    gridValueTimes.set(elementId, Date.now());
+    updateGridCellFreshness(elementId, Date.now());
+}
+
+// ============================================================================
+// Onboard Computer
+// ============================================================================
+
+/**
+ * Update CPU/RAM/disk usage from OBCC/OBCR/OBCD events
+ * @param {Object} event - OBC usage event { type, value }
+ */
+function updateOBCUsageGrid(event) {
+    const elementIds = { OBCC: 'cpuUsage', OBCR: 'ramUsage', OBCD: 'diskUsage' };
+    setGridValue(elementIds[event.type], `${event.value.toFixed(0)}%`);
+}
+
+/**
+ * Update the temperature readout from BME2 or TEMP events
+ * @param {Object} event - Event with a temperature field
+ */
+function updateTemperatureGrid(event) {
+    const temp = event.temperature;
+    setGridValue('temperature', Number.isInteger(temp) ? `${temp}°C` : `${temp.toFixed(1)}°C`);
+}
+
+/**
+ * Update OBC usage and temperature from a health beacon
+ * @param {Object} event - BECN event { uptime, cpu, ram, disk, temp }
+ */
+function updateBeaconGrid(event) {
+    const { cpu, ram, disk, temp } = event;
+    setGridValue('cpuUsage', `${cpu.toFixed(0)}%`);
+    setGridValue('temperature', `${temp.toFixed(1)}°C`);
+    setGridValue('ramUsage', `${ram.toFixed(0)}%`);
+    setGridValue('diskUsage', `${disk.toFixed(0)}%`);
+}
+
+// ============================================================================
+// Power System
+// ============================================================================
+
+/**
+ * Update battery, EPS status and channel states
+ * @param {Object} event - EPSS event { errorCode, channels, batteryVoltage }
+ */
+function updateEPSGrid(event) {
+    const { errorCode, channels, batteryVoltage } = event;
+
+    setGridValue('batteryVoltage', `${batteryVoltage.toFixed(1)}V`);
+    setGridValue('epsStatus', errorCode === 0 ? 'OK' : `E${errorCode}`);
+
+    channels.forEach((state, i) => {
+        setGridValue(`epsCh${i + 1}`, state ? 'ON' : 'OFF', state ? 'var(--accent-primary)' : 'var(--text-secondary)');
+    });
+}
+
+/**
+ * Update solar panel readouts and total power
+ * @param {Object} event - SOLR event { panels: [{ voltage, current }] } in X-, X+, Y+, Y- order
+ */
+function updateSolarGrid(event) {
+    const panelIds = ['solarXn', 'solarXp', 'solarYp', 'solarYn'];
+    let totalPower = 0;
+
+    event.panels.forEach(({ voltage, current }, i) => {
+        totalPower += voltage * current / 1000; // Convert mA to A for power calc
+        setGridValue(panelIds[i], `${voltage.toFixed(1)}V ${current.toFixed(0)}mA`);
+    });
+
+    setGridValue('solarTotal', `${totalPower.toFixed(2)}W`);
+}
+
+// ============================================================================
+// Orientation
+// ============================================================================
+
+/**
+ * Update the roll/pitch/yaw readouts under the 3D view
+ * @param {Object} event - ADCS event { heading, roll, pitch, ... }
+ */
+function updateOrientationGrid(event) {
+    if (typeof updateOrientationDisplay === 'function') {
+        updateOrientationDisplay(event.roll, event.pitch, event.heading);
+    }
+}
+
+// ============================================================================
+// Freshness
+// ============================================================================
+
+/**
+ * Load per-cell stale timeouts from localStorage, falling back to the defaults
+ */
+function loadGridStaleTimeouts() {
+    gridStaleTimeouts = {
+        ...DEFAULT_GRID_STALE_TIMEOUTS,
+        ...loadSavedSettings(GRID_STALE_TIMEOUTS_KEY, {}, saved => typeof saved === 'object' && !Array.isArray(saved))
+    };
+}
+
+/**
+ * Set the stale timeout of one grid cell
+ * @param {string} elementId - Value element ID
+ * @param {number} seconds - Timeout in seconds
+ * @returns {string|null} - Validation error message, or null on success
+ */
+function setGridStaleTimeout(elementId, seconds) {
+    if (!(seconds > 0)) return 'Timeout must be greater than 0 seconds';
+
+    gridStaleTimeouts[elementId] = seconds;
+    try {
+        localStorage.setItem(GRID_STALE_TIMEOUTS_KEY, JSON.stringify(gridStaleTimeouts));
+    } catch (error) {
+        logToTerminal(`Unable to save stale timeouts: ${error.message}`, 'warning');
+    }
+    updateGridFreshness();
+    return null;
+}
+
+/**
+ * Show the age of one grid cell and mark it stale past its timeout
+ * @param {string} elementId - Value element ID
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True when the cell is stale
+ */
+function updateGridCellFreshness(elementId, now) {
+    const element = document.getElementById(elementId);
+    const item = element && element.closest('.telemetry-item');
+    const t = gridValueTimes.get(elementId);
+    if (!item || t === undefined) return false;
+
+    let age = item.querySelector('.telemetry-item__age');
+    if (!age) {
+        age = document.createElement('div');
+        age.className = 'telemetry-item__age';
+        item.appendChild(age);
+    }
+
+    const stale = now - t > (gridStaleTimeouts[elementId] || DEFAULT_GRID_STALE_TIMEOUTS[elementId] || 300) * 1000;
+    age.textContent = formatAge(now - t);
+    item.title = `Updated ${new Date(t).toISOString().substring(11, 19)} UTC${stale ? ' (stale)' : ''}`;
+    item.classList.toggle('telemetry-item--stale', stale);
+    return stale;
+}
+
+/**
+ * Refresh every grid cell's age and the GSB Data monitor
+ */
+function updateGridFreshness() {
+    const now = Date.now();
+    let stale = 0;
+    for (const elementId of gridValueTimes.keys()) {
+        if (updateGridCellFreshness(elementId, now)) stale++;
+    }
+
+    const monitor = document.getElementById('monData');
+    const label = document.getElementById('monDataLabel');
+    const total = gridValueTimes.size;
+
+    let status = 'off';
+    let text = 'None';
+    if (total > 0 && stale === 0) {
+        status = 'normal';
+        text = 'Live';
+    } else if (stale > 0 && stale < total) {
+        status = 'caution';
+        text = `${stale} stale`;
+    } else if (total > 0) {
+        status = 'serious';
+        text = 'Stale';
+    }
+    if (monitor) monitor.className = `status-symbol status-symbol--${status}`;
+    if (label) label.textContent = text;
+}
+
+/**
+ * Render the stale timeout table in the Configure tab
+ */
+function renderGridStaleTimeoutTable() {
+    const body = document.getElementById('staleTimeoutTableBody');
+    if (!body) return;
+
+    body.innerHTML = '';
+    Object.keys(DEFAULT_GRID_STALE_TIMEOUTS).forEach(elementId => {
+        const element = document.getElementById(elementId);
+        const labelElement = element && element.closest('.telemetry-item')?.querySelector('.telemetry-label');
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = labelElement ? labelElement.textContent : elementId;
+        name.title = elementId;
+
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.className = 'settings-input limits-input';
+        input.value = gridStaleTimeouts[elementId];
+        input.onchange = () => {
+            const error = setGridStaleTimeout(elementId, parseFloat(input.value));
+            if (error) {
+                logToTerminal(`Stale timeout for ${name.textContent}: ${error}`, 'warning');
+                input.value = gridStaleTimeouts[elementId];
+            }
+        };
+        cell.appendChild(input);
+
+        row.append(name, cell);
+        body.appendChild(row);
+    });
+}
+
+// ============================================================================
+// Subscription
+// ============================================================================
+
+// Grid updaters by event type
+const TELEMETRY_GRID_UPDATERS = {
+    'OBCC': updateOBCUsageGrid,
+    'OBCR': updateOBCUsageGrid,
+    'OBCD': updateOBCUsageGrid,
+    'BME2': updateTemperatureGrid,
+    'TEMP': updateTemperatureGrid,
+    'BECN': updateBeaconGrid,
+    'EPSS': updateEPSGrid,
+    'SOLR': updateSolarGrid,
+    'ADCS': updateOrientationGrid
+};
+
+/**
+ * Subscribe the telemetry grid to the telemetry bus and start the freshness check
+ */
+function initTelemetryGrid() {
+    for (const [type, updater] of Object.entries(TELEMETRY_GRID_UPDATERS)) {
+        subscribeTelemetry(type, updater);
+    }
+
+    loadGridStaleTimeouts();
+    renderGridStaleTimeoutTable();
+    if (gridFreshnessTimer) clearInterval(gridFreshnessTimer);
+    gridFreshnessTimer = setInterval(updateGridFreshness, 1000);
+    updateGridFreshness();
+}
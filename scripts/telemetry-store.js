@@ -0,0 +1,452 @@
+// Telemetry time-series store for TEMPEST Ground Station
+// Subscribes to the telemetry bus and writes every numeric field of every telemetry event as a
+// timestamped sample to IndexedDB, so telemetry survives page reloads and can be queried across
+// passes for plotting and export.
+//
+// Channels are named "<identifier>.<field>", with array elements and nested fields joined
+// by dots, e.g. "GYRO.x", "EPSS.channels.0", "SOLR.panels.2.current".
+
+// Global variables for the store
+let telemetryDb = null; // IDBDatabase once opened
+let telemetryDbOpening = null; // Promise while opening
+let telemetryWriteQueue = []; // Samples waiting for the next batched write
+let telemetryFlushTimer = null;
+let telemetryWriteFailing = false; // Set while writes fail, so the failure is reported once
+let telemetryDroppedSamples = 0; // Samples discarded from the backlog while writes fail
+let telemetrySession = new Date().toISOString(); // Tag for samples from the current pass
+const telemetryChannels = new Map(); // channel -> { unit, name, last } (known this page load)
+const telemetryListeners = new Set(); // Live sample subscribers
+const telemetryDerivedTypes = new Map(); // event type -> { name, units } for events that aren't downlink packets
+
+// Configuration
+const TELEMETRY_DB_NAME = 'tempest-telemetry';
+const TELEMETRY_DB_VERSION = 1;
+const TELEMETRY_FLUSH_INTERVAL = 1000; // Milliseconds between batched writes
+const TELEMETRY_QUEUE_MAX = 50000; // Samples held in memory while the store can't be written
+const TELEMETRY_RETENTION_DAYS = 30; // Samples older than this are pruned on startup
+
+// ============================================================================
+// Database
+// ============================================================================
+
+/**
+ * Open (or create) the telemetry database
+ * Object stores:
+ *   samples  - { id, channel, t, value, session } with indexes channel_t [channel, t] and t
+ *   channels - { channel, identifier, unit, name, first, last }
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openTelemetryStore() {
+    if (telemetryDb) return Promise.resolve(telemetryDb);
+    if (telemetryDbOpening) return telemetryDbOpening;
+
+    telemetryDbOpening = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(TELEMETRY_DB_NAME, TELEMETRY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const samples = db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true });
+            samples.createIndex('channel_t', ['channel', 't']);
+            samples.createIndex('t', 't');
+            db.createObjectStore('channels', { keyPath: 'channel' });
+        };
+
+        request.onsuccess = () => {
+            telemetryDb = request.result;
+            resolve(telemetryDb);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+
+    // Callers report the failure; clear it so the next call tries again
+    telemetryDbOpening.catch(() => {
+        telemetryDbOpening = null;
+    });
+
+    return telemetryDbOpening;
+}
+
+/**
+ * Wrap an IDBRequest or IDBTransaction in a promise
+ * @param {IDBRequest|IDBTransaction} target - Request or transaction
+ * @returns {Promise<*>} - Request result, or undefined for a transaction
+ */
+function telemetryRequest(target) {
+    return new Promise((resolve, reject) => {
+        if (target instanceof IDBTransaction) {
+            target.oncomplete = () => resolve();
+            target.onerror = () => reject(target.error);
+            target.onabort = () => reject(target.error);
+        } else {
+            target.onsuccess = () => resolve(target.result);
+            target.onerror = () => reject(target.error);
+        }
+    });
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Flatten the numeric fields of a decoded packet into channel samples
+ * @param {string} prefix - Channel name so far
+ * @param {*} value - Field value
+ * @param {Array} out - Receives [channel, value] pairs
+ */
+function flattenTelemetryFields(prefix, value, out) {
+    if (typeof value === 'number') {
+        if (Number.isFinite(value)) out.push([prefix, value]);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => flattenTelemetryFields(`${prefix}.${i}`, item, out));
+    } else if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+        for (const key of Object.keys(value)) {
+            flattenTelemetryFields(`${prefix}.${key}`, value[key], out);
+        }
+    }
+}
+
+/**
+ * Unit for a flattened channel, looked up from the packet schema
+ * @param {string} channel - Channel name
+ * @returns {string} - Unit, or ''
+ */
+function telemetryChannelUnit(channel) {
+    const parts = channel.split('.');
+    const derived = telemetryDerivedTypes.get(parts[0]);
+    if (derived) return derived.units[parts[1]] || '';
+
+    const schema = getPacketSchema(parts[0]);
+    if (!schema) return '';
+
+    // Walk the schema, skipping array indexes
+    let fields = schema.fields;
+    let field = null;
+    for (const part of parts.slice(1)) {
+        if (/^\d+$/.test(part)) continue;
+        field = fields && fields.find(f => f.name === part);
+        if (!field) return '';
+        fields = field.fields;
+    }
+    return (field && field.unit) || '';
+}
+
+/**
+ * Queue every numeric field of a telemetry event for storage (telemetry bus subscriber)
+ * @param {Object} event - Telemetry event { type, t, ...fields }
+ */
+function recordTelemetryEvent(event) {
+    const derived = telemetryDerivedTypes.get(event.type);
+    if (!derived && !getPacketSchema(event.type)) return;
+
+    const t = event.t || Date.now();
+    const samples = [];
+    for (const key of Object.keys(event)) {
+        if (key === 'type' || key === 't') continue;
+        flattenTelemetryFields(`${event.type}.${key}`, event[key], samples);
+    }
+
+    for (const [channel, value] of samples) {
+        telemetryWriteQueue.push({ channel, t, value, session: telemetrySession });
+
+        let info = telemetryChannels.get(channel);
+        if (!info) {
+            info = {
+                channel,
+                identifier: event.type,
+                unit: telemetryChannelUnit(channel),
+                name: derived ? derived.name : getPacketTypeName(event.type),
+                first: t,
+                last: t,
+                dirty: true
+            };
+            telemetryChannels.set(channel, info);
+        }
+        info.last = t;
+        info.value = value;
+        info.dirty = true;
+
+        telemetryListeners.forEach(listener => listener(channel, t, value, info));
+    }
+
+    if (samples.length > 0 && !telemetryFlushTimer) {
+        telemetryFlushTimer = setTimeout(flushTelemetryQueue, TELEMETRY_FLUSH_INTERVAL);
+    }
+}
+
+/**
+ * Write all queued samples in a single transaction
+ * @returns {Promise<void>}
+ */
+async function flushTelemetryQueue() {
+    clearTimeout(telemetryFlushTimer);
+    telemetryFlushTimer = null;
+    if (telemetryWriteQueue.length === 0) return;
+
+    const batch = telemetryWriteQueue;
+    const written = []; // Channel metadata in this transaction, marked dirty again if it fails
+    telemetryWriteQueue = [];
+
+    try {
+        const db = await openTelemetryStore();
+        const tx = db.transaction(['samples', 'channels'], 'readwrite');
+        const samples = tx.objectStore('samples');
+        batch.forEach(sample => samples.add(sample));
+
+        // Channel metadata: keep the earliest first-seen time already stored
+        const channels = tx.objectStore('channels');
+        for (const info of telemetryChannels.values()) {
+            if (!info.dirty) continue;
+            info.dirty = false;
+            written.push(info);
+            const stored = channels.get(info.channel);
+            stored.onsuccess = () => {
+                const existing = stored.result;
+                channels.put({
+                    channel: info.channel,
+                    identifier: info.identifier,
+                    unit: info.unit,
+                    name: info.name,
+                    first: existing ? Math.min(existing.first, info.first) : info.first,
+                    last: info.last
+                });
+            };
+        }
+
+        await telemetryRequest(tx);
+
+        if (telemetryWriteFailing) {
+            telemetryWriteFailing = false;
+            const dropped = telemetryDroppedSamples > 0 ? ` (${telemetryDroppedSamples} samples were dropped)` : '';
+            telemetryDroppedSamples = 0;
+            logToTerminal(`Telemetry store writes resumed${dropped}`, 'info');
+        }
+    } catch (error) {
+        written.forEach(info => { info.dirty = true; });
+
+        // Put the batch back ahead of newer samples; drop the oldest once the backlog is full
+        telemetryWriteQueue = batch.concat(telemetryWriteQueue);
+        const excess = telemetryWriteQueue.length - TELEMETRY_QUEUE_MAX;
+        if (excess > 0) {
+            telemetryWriteQueue = telemetryWriteQueue.slice(excess);
+            telemetryDroppedSamples += excess;
+        }
+
+        if (!telemetryWriteFailing) {
+            telemetryWriteFailing = true;
+            logToTerminal(`Telemetry store write failed: ${error.message}. Holding up to ${TELEMETRY_QUEUE_MAX} samples until it recovers`, 'warning');
+        }
+    }
+}
+
+/**
+ * Tag subsequent samples with a new pass session
+ * @param {string} label - Session label (defaults to the current time)
+ */
+function startTelemetrySession(label = new Date().toISOString()) {
+    flushTelemetryQueue();
+    telemetrySession = label;
+}
+
+/**
+ * Record a non-packet event type (e.g. values computed on the ground) like a downlink packet
+ * @param {string} type - Event type, used as the channel prefix
+ * @param {string} name - Human-readable name
+ * @param {Object} units - Unit by top-level field name
+ */
+function registerTelemetryEventType(type, name, units = {}) {
+    telemetryDerivedTypes.set(type, { name, units });
+
+    // Channels seen this page load pick up renamed units
+    for (const info of telemetryChannels.values()) {
+        if (info.identifier === type) {
+            info.unit = telemetryChannelUnit(info.channel);
+            info.name = name;
+            info.dirty = true;
+        }
+    }
+}
+
+/**
+ * Subscribe to samples as they are recorded
+ * @param {Function} listener - (channel, t, value, info) for every new sample
+ * @returns {Function} - Call to unsubscribe
+ */
+function onTelemetrySample(listener) {
+    telemetryListeners.add(listener);
+    return () => telemetryListeners.delete(listener);
+}
+
+// ============================================================================
+// Query API
+// ============================================================================
+
+/**
+ * Query samples for one channel in a time range
+ * @param {string} channel - Channel name, e.g. "EPSS.batteryVoltage"
+ * @param {number} [from] - Start time (ms since epoch, inclusive), default: all history
+ * @param {number} [to] - End time (ms since epoch, inclusive), default: now
+ * @param {number} [limit] - Maximum samples to return (oldest first)
+ * @returns {Promise<Array<{t: number, value: number, session: string}>>} - Samples in time order
+ */
+async function queryTelemetry(channel, from = 0, to = Date.now(), limit = Infinity) {
+    // Include samples still waiting for the batched write
+    await flushTelemetryQueue();
+
+    const db = await openTelemetryStore();
+    const index = db.transaction('samples').objectStore('samples').index('channel_t');
+    const range = IDBKeyRange.bound([channel, from], [channel, to]);
+
+    if (limit === Infinity) {
+        const rows = await telemetryRequest(index.getAll(range));
+        return rows.map(({ t, value, session }) => ({ t, value, session }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const cursorRequest = index.openCursor(range);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || results.length >= limit) {
+                resolve(results);
+                return;
+            }
+            const { t, value, session } = cursor.value;
+            results.push({ t, value, session });
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+/**
+ * List every channel that has ever been recorded
+ * @returns {Promise<Array<Object>>} - Channel metadata { channel, identifier, unit, name, first, last }
+ */
+async function listTelemetryChannels() {
+    await flushTelemetryQueue();
+    const db = await openTelemetryStore();
+    const channels = await telemetryRequest(db.transaction('channels').objectStore('channels').getAll());
+    return channels.sort((a, b) => a.channel.localeCompare(b.channel));
+}
+
+/**
+ * Most recent value of a channel seen since the page loaded
+ * @param {string} channel - Channel name
+ * @returns {Object|null} - { t, value } or null
+ */
+function getLatestTelemetry(channel) {
+    const info = telemetryChannels.get(channel);
+    return info ? { t: info.last, value: info.value } : null;
+}
+
+// ============================================================================
+// Maintenance
+// ============================================================================
+
+/**
+ * Count stored samples
+ * @returns {Promise<Object>} - { samples, channels, session }
+ */
+async function getTelemetryStoreStats() {
+    await flushTelemetryQueue();
+    const db = await openTelemetryStore();
+    const tx = db.transaction(['samples', 'channels']);
+    const [samples, channels] = await Promise.all([
+        telemetryRequest(tx.objectStore('samples').count()),
+        telemetryRequest(tx.objectStore('channels').count())
+    ]);
+    return { samples, channels, session: telemetrySession };
+}
+
+/**
+ * Delete samples older than the retention period
+ * @param {number} days - Retention in days
+ * @returns {Promise<void>}
+ */
+async function pruneTelemetryStore(days = TELEMETRY_RETENTION_DAYS) {
+    const db = await openTelemetryStore();
+    const tx = db.transaction('samples', 'readwrite');
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    tx.objectStore('samples').index('t').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+    await telemetryRequest(tx);
+}
+
+/**
+ * Delete all stored telemetry history
+ */
+async function clearTelemetryStore() {
+    if (!confirm('Delete all stored telemetry history?')) return;
+
+    telemetryWriteQueue = [];
+    telemetryChannels.clear();
+    try {
+        const db = await openTelemetryStore();
+        const tx = db.transaction(['samples', 'channels'], 'readwrite');
+        tx.objectStore('samples').clear();
+        tx.objectStore('channels').clear();
+        await telemetryRequest(tx);
+        logToTerminal('Telemetry history cleared', 'info');
+    } catch (error) {
+        logToTerminal(`Telemetry store error: ${error.message}`, 'error');
+    }
+    updateTelemetryStoreDisplay();
+}
+
+/**
+ * Update the Telemetry History panel in the Configure tab
+ */
+async function updateTelemetryStoreDisplay() {
+    const info = document.getElementById('telemetryStoreInfo');
+    if (!info) return;
+
+    try {
+        const stats = await getTelemetryStoreStats();
+        info.textContent = `${stats.samples.toLocaleString()} samples across ${stats.channels} channels (kept ${TELEMETRY_RETENTION_DAYS} days)`;
+    } catch (error) {
+        info.textContent = `Unavailable: ${error.message}`;
+    }
+}
+
+/**
+ * Open the store, prune old history and start recording telemetry events
+ */
+function initTelemetryStore() {
+    subscribeTelemetry('*', recordTelemetryEvent);
+
+    openTelemetryStore()
+        .then(() => pruneTelemetryStore())
+        .then(updateTelemetryStoreDisplay)
+        .catch(error => {
+            const info = document.getElementById('telemetryStoreInfo');
+            if (info) info.textContent = `Unavailable: ${error.message}`;
+        });
+
+    // Don't lose the last second of samples when the page closes
+    window.addEventListener('pagehide', flushTelemetryQueue);
+}
+
+// ============================================================================
+// Export functions for debugging (development only)
+// ============================================================================
+
+window.telemetryStoreDebug = {
+    query: queryTelemetry,
+    channels: listTelemetryChannels,
+    stats: getTelemetryStoreStats,
+    latest: getLatestTelemetry,
+    flush: flushTelemetryQueue,
+    prune: pruneTelemetryStore
+};
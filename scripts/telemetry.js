@@ -1,240 +1,145 @@
-// Telemetry data processing and unpacking for TEMPEST Ground Station
-// Handles binary packet parsing for all satellite telemetry data types
+// Telemetry publication and terminal log for TEMPEST Ground Station
+// Publishes decoded telemetry packets (see packet-decoders.js) as events on the telemetry bus
+// (telemetry-bus.js) and subscribes the terminal log to them. The telemetry grid, 3D view and
+// history store are separate subscribers. Packet layouts, names and units live in packet-schema.js.
 
 // ============================================================================
-// Main Command Unpacker
+// Event Publication
 // ============================================================================
 
 /**
- * Main function to unpack and route binary telemetry packets
+ * Unpack and publish a raw binary telemetry packet on the UI thread
+ * Used for manual packet injection; live downlink packets are decoded in the downlink worker
  * @param {Uint8Array} data - Binary packet data
  */
 function unpackCommand(data) {
-    if (!data || data.length < 4) return;
-
-    try {
-        // Extract 4-byte identifier
-        const identifierBytes = data.slice(0, 4);
-        const identifier = new TextDecoder().decode(identifierBytes).replace(/\0/g, '').trim();
-
-        // Route to appropriate unpacking function based on identifier
-        switch (identifier) {
-            case 'GYRO':
-            case 'ACCL':
-            case 'MAGN':
-            case 'GRAV':
-            case 'EULR':
-                unpackSensorData(identifier, data);
-                break;
-            case 'BME2':
-                unpackBMEData(data);
-                break;
-            case 'TEMP':
-                unpackTempData(data);
-                break;
-            case 'QUAT':
-                unpackQuaternionData(data);
-                break;
-            case 'POLL':
-                unpackPollData(data);
-                break;
-            case 'OBCR':
-            case 'OBCD':
-            case 'OBCC':
-                unpackOBCSingleValue(identifier, data);
-                break;
-            case 'OBCL':
-                unpackOBCFileListing(data);
-                break;
-            case 'OBCP':
-                unpackOBCProcesses(data);
-                break;
-            case 'ADCS':
-                unpackADCSData(data);
-                break;
-            case 'EPSS':
-                unpackEPSStatus(data);
-                break;
-            case 'HOST':
-                unpackHostname(data);
-                break;
-            case 'SOLR':
-                unpackSolarData(data);
-                break;
-            case 'RETX':
-                unpackRetransmitData(data);
-                break;
-            case 'XFRC':
-                unpackTransferComplete(data);
-                break;
-            case 'BECN':
-                unpackBeacon(data);
-                break;
-            case 'PHOT':
-                unpackPhotoResponse(data);
-                break;
-            default:
-                // Unknown identifier - log for debugging if needed
-                console.debug(`Unknown telemetry identifier: ${identifier}`);
-                break;
-        }
-    } catch (error) {
-        logToTerminal(`Telemetry unpack error: ${error.message}`, 'error');
+    const packet = decodePacket(data);
+    if (packet) {
+        publishTelemetryPacket(packet);
     }
 }
 
+/**
+ * Publish a decoded telemetry packet on the telemetry bus
+ * @param {Object} packet - Decoded packet from decodePacket()
+ */
+function publishTelemetryPacket(packet) {
+    if (!packet) return;
+    publishTelemetry(packetToTelemetryEvent(packet));
+}
+
 // ============================================================================
-// Sensor Data Unpackers (16-byte packets with 3 float values)
+// Terminal Log (telemetry bus subscriber)
 // ============================================================================
 
 /**
- * Unpack 3-axis sensor data (gyro, accelerometer, magnetometer, etc.)
- * Packet format: [4-byte ID][4-byte X][4-byte Y][4-byte Z]
- * @param {string} identifier - Sensor type identifier
- * @param {Uint8Array} data - 16-byte sensor packet
+ * Log a telemetry event to the terminal
+ * Types without a custom logger in TELEMETRY_LOGGERS are printed from their schema
+ * @param {Object} event - Telemetry event
  */
-function unpackSensorData(identifier, data) {
-    if (data.length < 16) {
-        logToTerminal(`Invalid ${identifier} packet size: ${data.length} bytes`, 'warning');
+function logTelemetryEvent(event) {
+    if (event.type === 'decode-error') {
+        logToTerminal(event.message, event.message.startsWith('Telemetry unpack error') ? 'error' : 'warning');
         return;
     }
 
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const x = view.getFloat32(4, true);  // Little endian
-    const y = view.getFloat32(8, true);
-    const z = view.getFloat32(12, true);
-
-    // Determine units based on sensor type
-    let units = '';
-    switch (identifier) {
-        case 'GYRO':
-            units = '°/s';
-            break;
-        case 'ACCL':
-            units = 'm/s²';
-            break;
-        case 'MAGN':
-            units = 'µT';
-            break;
-        case 'GRAV':
-            units = 'm/s²';
-            break;
-        case 'EULR':
-            units = '°';
-            break;
+    if (event.type === 'unknown') {
+        // Unknown identifiers are counted in the Link Quality panel (link-stats.js)
+        return;
     }
 
-    logToTerminal(`${identifier} - X: ${x.toFixed(3)}${units}, Y: ${y.toFixed(3)}${units}, Z: ${z.toFixed(3)}${units}`, 'response');
+    const logger = TELEMETRY_LOGGERS[event.type] || (getPacketSchema(event.type) ? logGenericTelemetry : null);
+    if (logger) logger(event);
+}
+
+/**
+ * Print any schema-described event as "Name - field: value unit, ..."
+ * @param {Object} event - Telemetry event
+ */
+function logGenericTelemetry(event) {
+    const schema = getPacketSchema(event.type);
+    const parts = schema.fields.map(field => {
+        const value = event[field.name];
+        const unit = field.unit ? ` ${field.unit}` : '';
+        if (typeof value === 'number') {
+            return `${field.name}: ${Number.isInteger(value) ? value : value.toFixed(3)}${unit}`;
+        }
+        if (typeof value === 'string') {
+            return `${field.name}: ${value}`;
+        }
+        return `${field.name}: ${JSON.stringify(value)}`;
+    });
+
+    logToTerminal(`${schema.name} - ${parts.join(', ')}`, 'response');
+}
+
+/**
+ * Subscribe the terminal log to the telemetry bus
+ */
+function initTelemetryLog() {
+    subscribeTelemetry('*', logTelemetryEvent);
 }
 
 // ============================================================================
-// Environmental Sensor Data
+// Sensor Data (16-byte packets with 3 float values)
 // ============================================================================
 
 /**
- * Unpack BME280 environmental sensor data
- * Packet format: [4-byte ID][4-byte temp][4-byte pressure][4-byte altitude]
- * @param {Uint8Array} data - 16-byte BME packet
+ * Log 3-axis sensor data (gyro, accelerometer, magnetometer, etc.)
+ * @param {Object} event - Sensor event { type, x, y, z }
  */
-function unpackBMEData(data) {
-    if (data.length < 16) {
-        logToTerminal(`Invalid BME packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
+function logSensorData(event) {
+    const { type, x, y, z } = event;
+    const units = getPacketFieldUnit(type, 'x');
+
+    logToTerminal(`${type} - X: ${x.toFixed(3)}${units}, Y: ${y.toFixed(3)}${units}, Z: ${z.toFixed(3)}${units}`, 'response');
+}
 
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const temp = view.getFloat32(4, true);
-    const pressure = view.getFloat32(8, true);
-    const altitude = view.getFloat32(12, true);
+// ============================================================================
+// Environmental Sensor Data
+// ============================================================================
+
+/**
+ * Log BME280 environmental sensor data
+ * @param {Object} event - BME2 event { temperature, pressure, altitude }
+ */
+function logBMEData(event) {
+    const { temperature: temp, pressure, altitude } = event;
 
     logToTerminal(`BME280 - Temp: ${temp.toFixed(2)}°C, Pressure: ${pressure.toFixed(2)} hPa, Altitude: ${altitude.toFixed(2)} m`, 'response');
-    
-    // Update telemetry display
-    const tempElement = document.getElementById('temperature');
-    if (tempElement) {
-        tempElement.textContent = `${temp.toFixed(1)}°C`;
-    }
 }
 
 /**
- * Unpack temperature sensor data
- * Packet format: [4-byte ID][4-byte int temperature]
- * @param {Uint8Array} data - 8-byte TEMP packet
+ * Log temperature sensor data
+ * @param {Object} event - TEMP event { temperature }
  */
-function unpackTempData(data) {
-    if (data.length < 8) {
-        logToTerminal(`Invalid TEMP packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const temp = view.getInt32(4, true);
+function logTempData(event) {
+    const temp = event.temperature;
 
     logToTerminal(`Temperature: ${temp}°C`, 'response');
-
-    const tempElement = document.getElementById('temperature');
-    if (tempElement) {
-        tempElement.textContent = `${temp}°C`;
-    }
 }
 
 /**
- * Unpack quaternion orientation data
- * Packet format: [4-byte ID][4 × 4-byte float (w, x, y, z)]
- * @param {Uint8Array} data - 20-byte QUAT packet
+ * Log quaternion orientation data
+ * @param {Object} event - QUAT event { w, x, y, z }
  */
-function unpackQuaternionData(data) {
-    if (data.length < 20) {
-        logToTerminal(`Invalid QUAT packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const w = view.getFloat32(4, true);
-    const x = view.getFloat32(8, true);
-    const y = view.getFloat32(12, true);
-    const z = view.getFloat32(16, true);
+function logQuaternionData(event) {
+    const { w, x, y, z } = event;
 
     logToTerminal(`Quaternion - W: ${w.toFixed(4)}, X: ${x.toFixed(4)}, Y: ${y.toFixed(4)}, Z: ${z.toFixed(4)}`, 'response');
 }
 
 /**
- * Unpack environmental polling data (variable length)
- * Packet format: [4-byte ID][4-byte payload_length][payload data]
- * @param {Uint8Array} data - Variable length poll packet
+ * Log a reassembled ENV_POLL snapshot with names and units from the POLL channel map
+ * POLL fragments themselves are reassembled by env-poll.js and not logged.
+ * @param {Object} event - ENV event { t, [key]: calibrated value }
  */
-function unpackPollData(data) {
-    if (data.length < 8) {
-        logToTerminal(`Invalid POLL packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const payloadLength = view.getUint32(4, true);
-    
-    if (data.length < 8 + payloadLength) {
-        logToTerminal(`Incomplete POLL packet: expected ${8 + payloadLength}, got ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    // Append to global poll buffer (defined in main.js)
-    if (typeof pollBuffer !== 'undefined') {
-        const newBuffer = new Uint8Array(pollBuffer.length + payloadLength);
-        newBuffer.set(pollBuffer);
-        newBuffer.set(data.slice(8, 8 + payloadLength), pollBuffer.length);
-        pollBuffer = newBuffer;
-
-        // Process when we have 16 floats (64 bytes)
-        if (pollBuffer.length >= 64) {
-            const pollView = new DataView(pollBuffer.buffer, pollBuffer.byteOffset, 64);
-            logToTerminal('Environmental Poll Data:', 'response');
-            for (let i = 0; i < 16; i++) {
-                const value = pollView.getFloat32(i * 4, true);
-                logToTerminal(`  Sensor ${i + 1}: ${value.toFixed(3)}`, 'response');
-            }
-            pollBuffer = new Uint8Array(); // Clear buffer
-        }
-    }
+function logEnvironmentPoll(event) {
+    logToTerminal('Environmental Poll Data:', 'response');
+    getPollChannelMap().forEach(slot => {
+        const unit = slot.unit ? ` ${slot.unit}` : '';
+        logToTerminal(`  ${slot.name}: ${event[slot.key].toFixed(3)}${unit}`, 'response');
+    });
 }
 
 // ============================================================================
@@ -242,114 +147,31 @@ function unpackPollData(data) {
 // ============================================================================
 
 /**
- * Unpack single value OBC data (RAM, disk, CPU usage)
- * Packet format: [4-byte ID][4-byte float value]
- * @param {string} identifier - OBC data type
- * @param {Uint8Array} data - 8-byte OBC packet
+ * Log single value OBC data (RAM, disk, CPU usage)
+ * @param {Object} event - OBCR/OBCD/OBCC event { type, value }
  */
-function unpackOBCSingleValue(identifier, data) {
-    if (data.length < 8) {
-        logToTerminal(`Invalid ${identifier} packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const value = view.getFloat32(4, true);
+function logOBCSingleValue(event) {
+    const { type, value } = event;
 
-    const names = {
-        'OBCR': 'RAM Usage',
-        'OBCD': 'Disk Usage',
-        'OBCC': 'CPU Usage'
-    };
-    
-    const name = names[identifier] || identifier;
-    logToTerminal(`Onboard Computer ${name}: ${value.toFixed(2)}%`, 'response');
-
-    // Update telemetry display
-    if (identifier === 'OBCR') {
-        const ramElement = document.getElementById('ramUsage');
-        if (ramElement) {
-            ramElement.textContent = `${value.toFixed(0)}%`;
-        }
-    } else if (identifier === 'OBCD') {
-        const diskElement = document.getElementById('diskUsage');
-        if (diskElement) {
-            diskElement.textContent = `${value.toFixed(0)}%`;
-        }
-    } else if (identifier === 'OBCC') {
-        const cpuElement = document.getElementById('cpuUsage');
-        if (cpuElement) {
-            cpuElement.textContent = `${value.toFixed(0)}%`;
-        }
-    }
+    logToTerminal(`${getPacketTypeName(type)}: ${value.toFixed(2)}%`, 'response');
 }
 
 /**
- * Unpack OBC file listing data
- * Packet format: [4-byte ID][230-byte file data string]
- * @param {Uint8Array} data - 234-byte file listing packet
+ * Log a reassembled OBC file listing (see obc-listing.js)
+ * @param {Object} event - FILES event { path, entries, exists, complete, certain }
  */
-let obclBuffer = [];
-let obclTimer = null;
-
-function flushOBCLBuffer() {
-    if (obclBuffer.length === 0) return;
-    const finalData = obclBuffer.join('');
-    const cleaned = finalData.replace(/[\[\]']/g, '');
-    const files = cleaned.split(',').map(f => f.trim()).filter(f => f);
-
-    if (files.length > 0 && !files[0].startsWith('DNE')) {
-        logToTerminal(`OBC File Listing (${files.length} files):`, 'response');
-        files.forEach((file, i) => {
+function logOBCFileListing(event) {
+    const { path, entries, exists, complete, certain } = event;
+    const where = path ? ` ${path}${certain === false ? '?' : ''}` : '';
+
+    if (exists && entries.length > 0) {
+        logToTerminal(`OBC File Listing${where} (${entries.length} files${complete ? '' : ', incomplete'}):`, 'response');
+        entries.forEach((file, i) => {
             logToTerminal(`  ${i + 1}: ${file}`, 'response');
         });
     } else {
-        logToTerminal('No files found or directory does not exist', 'response');
+        logToTerminal(`No files found or directory does not exist${where}`, 'response');
     }
-    obclBuffer = [];
-}
-
-function unpackOBCFileListing(data) {
-    if (data.length < 5) return;
-
-    const fileData = new TextDecoder().decode(data.slice(4)).replace(/\0/g, '');
-    obclBuffer.push(fileData);
-
-    if (obclTimer) clearTimeout(obclTimer);
-    obclTimer = setTimeout(flushOBCLBuffer, 1000);
-}
-
-/**
- * Unpack OBC process listing data
- * Packet format: [4-byte ID][230-byte process data string]
- * @param {Uint8Array} data - 234-byte process listing packet
- */
-// Accumulator for multi-packet OBC responses
-let obcpBuffer = [];
-let obcpTimer = null;
-
-function flushOBCPBuffer() {
-    if (obcpBuffer.length === 0) return;
-    const finalData = obcpBuffer.join('');
-    const cleaned = finalData.replace(/[\[\]']/g, '');
-    const processes = cleaned.split(',').map(p => p.trim()).filter(p => p);
-
-    logToTerminal(`OBC Process List (${processes.length} processes):`, 'response');
-    processes.forEach((process, i) => {
-        logToTerminal(`  ${i + 1}: ${process}`, 'response');
-    });
-    obcpBuffer = [];
-}
-
-function unpackOBCProcesses(data) {
-    if (data.length < 5) return;
-
-    const processData = new TextDecoder().decode(data.slice(4)).replace(/\0/g, '');
-    obcpBuffer.push(processData);
-
-    // Reset flush timer on each chunk — flush 1s after last chunk
-    if (obcpTimer) clearTimeout(obcpTimer);
-    obcpTimer = setTimeout(flushOBCPBuffer, 1000);
 }
 
 // ============================================================================
@@ -357,26 +179,11 @@ function unpackOBCProcesses(data) {
 // ============================================================================
 
 /**
- * Unpack ADCS orientation data
- * Packet format: [4-byte ID][7 × 4-byte float values]
- * @param {Uint8Array} data - 32-byte ADCS packet
+ * Log ADCS orientation data
+ * @param {Object} event - ADCS event (BNO055 Euler angles + quaternion)
  */
-function unpackADCSData(data) {
-    if (data.length < 32) {
-        logToTerminal(`Invalid ADCS packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-
-    // BNO055 orientation data: 3 Euler angles + 4 quaternion values
-    const heading = view.getFloat32(4, true);
-    const roll = view.getFloat32(8, true);
-    const pitch = view.getFloat32(12, true);
-    const quatW = view.getFloat32(16, true);
-    const quatX = view.getFloat32(20, true);
-    const quatY = view.getFloat32(24, true);
-    const quatZ = view.getFloat32(28, true);
+function logADCSData(event) {
+    const { heading, roll, pitch, quatW, quatX, quatY, quatZ } = event;
 
     logToTerminal('Satellite Orientation (ADCS):', 'response');
     logToTerminal(`  Heading: ${heading.toFixed(2)}°`, 'response');
@@ -386,19 +193,6 @@ function unpackADCSData(data) {
     logToTerminal(`  Quat X:  ${quatX.toFixed(4)}`, 'response');
     logToTerminal(`  Quat Y:  ${quatY.toFixed(4)}`, 'response');
     logToTerminal(`  Quat Z:  ${quatZ.toFixed(4)}`, 'response');
-
-    // Update orientation display
-    const rollEl = document.getElementById('rollValue');
-    const pitchEl = document.getElementById('pitchValue');
-    const yawEl = document.getElementById('yawValue');
-    if (rollEl) rollEl.textContent = `${roll.toFixed(1)}°`;
-    if (pitchEl) pitchEl.textContent = `${pitch.toFixed(1)}°`;
-    if (yawEl) yawEl.textContent = `${heading.toFixed(1)}°`;
-
-    // Update 3D visualization if available
-    if (typeof updateSatelliteOrientation === 'function') {
-        updateSatelliteOrientation(roll, pitch, heading);
-    }
 }
 
 // ============================================================================
@@ -406,23 +200,12 @@ function unpackADCSData(data) {
 // ============================================================================
 
 /**
- * Unpack EPS status data
- * Packet format: [4-byte ID][5 × 4-byte int values][4-byte float battery voltage]
- * @param {Uint8Array} data - 28-byte EPS packet
+ * Log EPS status data
+ * @param {Object} event - EPSS event { errorCode, channels, batteryVoltage }
  */
-function unpackEPSStatus(data) {
-    if (data.length < 28) {
-        logToTerminal(`Invalid EPS packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const epsError = view.getInt32(4, true);
-    const ch1State = view.getInt32(8, true);
-    const ch2State = view.getInt32(12, true);
-    const ch3State = view.getInt32(16, true);
-    const ch4State = view.getInt32(20, true);
-    const batteryVoltage = view.getFloat32(24, true);
+function logEPSStatus(event) {
+    const { errorCode: epsError, batteryVoltage } = event;
+    const [ch1State, ch2State, ch3State, ch4State] = event.channels;
 
     logToTerminal('Electrical Power System Status:', 'response');
     logToTerminal(`  EPS Error Code: ${epsError}`, 'response');
@@ -431,22 +214,6 @@ function unpackEPSStatus(data) {
     logToTerminal(`  Channel 3 State: ${ch3State ? 'ON' : 'OFF'}`, 'response');
     logToTerminal(`  Channel 4 State: ${ch4State ? 'ON' : 'OFF'}`, 'response');
     logToTerminal(`  Battery Voltage: ${batteryVoltage.toFixed(2)}V`, 'response');
-
-    // Update telemetry display
-    const batteryElement = document.getElementById('batteryVoltage');
-    if (batteryElement) batteryElement.textContent = `${batteryVoltage.toFixed(1)}V`;
-
-    const epsStatusEl = document.getElementById('epsStatus');
-    if (epsStatusEl) epsStatusEl.textContent = epsError === 0 ? 'OK' : `E${epsError}`;
-
-    const ch1El = document.getElementById('epsCh1');
-    if (ch1El) { ch1El.textContent = ch1State ? 'ON' : 'OFF'; ch1El.style.color = ch1State ? 'var(--accent-primary)' : 'var(--text-secondary)'; }
-    const ch2El = document.getElementById('epsCh2');
-    if (ch2El) { ch2El.textContent = ch2State ? 'ON' : 'OFF'; ch2El.style.color = ch2State ? 'var(--accent-primary)' : 'var(--text-secondary)'; }
-    const ch3El = document.getElementById('epsCh3');
-    if (ch3El) { ch3El.textContent = ch3State ? 'ON' : 'OFF'; ch3El.style.color = ch3State ? 'var(--accent-primary)' : 'var(--text-secondary)'; }
-    const ch4El = document.getElementById('epsCh4');
-    if (ch4El) { ch4El.textContent = ch4State ? 'ON' : 'OFF'; ch4El.style.color = ch4State ? 'var(--accent-primary)' : 'var(--text-secondary)'; }
 }
 
 // ============================================================================
@@ -454,39 +221,24 @@ function unpackEPSStatus(data) {
 // ============================================================================
 
 /**
- * Unpack solar panel telemetry data
- * Packet format: [4-byte ID][4 × (4-byte voltage + 4-byte current)]
- * @param {Uint8Array} data - 36-byte solar packet
+ * Log solar panel telemetry data
+ * @param {Object} event - SOLR event { panels: [{ voltage, current }] }
  */
-function unpackSolarData(data) {
-    if (data.length < 36) {
-        logToTerminal(`Invalid SOLR packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+function logSolarData(event) {
     logToTerminal('Solar Panel Telemetry:', 'response');
     
     const panels = ['X-', 'X+', 'Y+', 'Y-'];
-    const panelIds = ['solarXn', 'solarXp', 'solarYp', 'solarYn'];
     let totalPower = 0;
 
     for (let i = 0; i < 4; i++) {
-        const voltage = view.getFloat32(4 + i * 8, true);
-        const current = view.getFloat32(8 + i * 8, true);
+        const { voltage, current } = event.panels[i];
         const power = voltage * current / 1000; // Convert mA to A for power calc
         totalPower += power;
 
         logToTerminal(`  Panel ${panels[i]}: ${voltage.toFixed(2)}V, ${current.toFixed(2)}mA (${power.toFixed(3)}W)`, 'response');
-
-        const panelEl = document.getElementById(panelIds[i]);
-        if (panelEl) panelEl.textContent = `${voltage.toFixed(1)}V ${current.toFixed(0)}mA`;
     }
 
     logToTerminal(`  Total Power: ${totalPower.toFixed(3)}W`, 'response');
-
-    const totalEl = document.getElementById('solarTotal');
-    if (totalEl) totalEl.textContent = `${totalPower.toFixed(2)}W`;
 }
 
 // ============================================================================
@@ -494,27 +246,19 @@ function unpackSolarData(data) {
 // ============================================================================
 
 /**
- * Unpack hostname data
- * Packet format: [4-byte ID][11-byte hostname string]
- * @param {Uint8Array} data - 15-byte hostname packet
+ * Log hostname data
+ * @param {Object} event - HOST event { hostname }
  */
-function unpackHostname(data) {
-    if (data.length < 15) {
-        logToTerminal(`Invalid HOST packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const hostname = new TextDecoder().decode(data.slice(4, 15)).replace(/\0/g, '').trim();
-    logToTerminal(`Satellite Hostname: ${hostname}`, 'response');
+function logHostname(event) {
+    logToTerminal(`Satellite Hostname: ${event.hostname}`, 'response');
 }
 
 /**
- * Unpack retransmission data
- * Packet format: [4-byte ID][variable length retransmitted data]
- * @param {Uint8Array} data - Variable length retransmit packet
+ * Log retransmission data
+ * @param {Object} event - RETX event { text }
  */
-function unpackRetransmitData(data) {
-    const retxData = new TextDecoder().decode(data.slice(4)).replace(/\0/g, '').trim();
+function logRetransmitData(event) {
+    const retxData = event.text.trim();
     if (retxData) {
         logToTerminal(`Retransmitted Data: ${retxData}`, 'response');
     } else {
@@ -526,38 +270,6 @@ function unpackRetransmitData(data) {
 // Utility Functions
 // ============================================================================
 
-/**
- * Get human-readable packet type name
- * @param {string} identifier - 4-character packet identifier
- * @returns {string} - Human readable name
- */
-function getPacketTypeName(identifier) {
-    const names = {
-        'GYRO': 'Gyroscope',
-        'ACCL': 'Accelerometer', 
-        'MAGN': 'Magnetometer',
-        'GRAV': 'Gravity Vector',
-        'EULR': 'Euler Angles',
-        'BME2': 'BME280 Environment',
-        'TEMP': 'Temperature',
-        'QUAT': 'Quaternion',
-        'POLL': 'Environmental Poll',
-        'OBCR': 'OBC RAM Usage',
-        'OBCD': 'OBC Disk Usage', 
-        'OBCC': 'OBC CPU Usage',
-        'OBCL': 'OBC File Listing',
-        'OBCP': 'OBC Process List',
-        'ADCS': 'Attitude Control',
-        'EPSS': 'Power System',
-        'HOST': 'Hostname',
-        'SOLR': 'Solar Panels',
-        'RETX': 'Retransmission',
-        'SEND': 'Image Data'
-    };
-    
-    return names[identifier] || identifier;
-}
-
 /**
  * Validate packet structure before unpacking
  * @param {Uint8Array} data - Packet data
@@ -588,21 +300,11 @@ function validatePacket(data, expectedSize) {
 // ============================================================================
 
 /**
- * Unpack photo capture response
- * Packet format: [4-byte ID][4-byte length][filename string]
- * @param {Uint8Array} data - Variable length PHOT packet
+ * Log photo capture response
+ * @param {Object} event - PHOT event { filename }
  */
-function unpackPhotoResponse(data) {
-    if (data.length < 8) {
-        logToTerminal(`Invalid PHOT packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const filenameLength = view.getUint32(4, true);
-    const filename = new TextDecoder().decode(data.slice(8, 8 + filenameLength)).replace(/\0/g, '').trim();
-
-    logToTerminal(`Photo captured: ${filename}`, 'response');
+function logPhotoResponse(event) {
+    logToTerminal(`Photo captured: ${event.filename}`, 'response');
 }
 
 // ============================================================================
@@ -610,49 +312,11 @@ function unpackPhotoResponse(data) {
 // ============================================================================
 
 /**
- * Unpack XFRC (transfer complete) marker and check for missing packets
- * Packet format: [4-byte ID][4-byte total_packets]
- * @param {Uint8Array} data - 8-byte XFRC packet
+ * Log XFRC (transfer complete) marker; image-processing.js checks for missing packets
+ * @param {Object} event - XFRC event { totalPackets }
  */
-function unpackTransferComplete(data) {
-    if (data.length < 8) {
-        logToTerminal(`Invalid XFRC packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const totalPkts = view.getUint32(4, true);
-
-    logToTerminal(`Transfer complete signal: ${totalPkts} packets expected`, 'response');
-
-    // Check all active image receptions for missing packets
-    for (const [imageId, imageInfo] of imageReceptions.entries()) {
-        if (imageInfo.totalChunks === totalPkts) {
-            const received = imageInfo.receivedChunks.size;
-            const missing = totalPkts - received;
-
-            if (missing === 0) {
-                logToTerminal(`Image ${imageId}: all ${totalPkts} packets received!`, 'response');
-            } else {
-                const pct = (received / totalPkts * 100).toFixed(1);
-                logToTerminal(`Image ${imageId}: ${received}/${totalPkts} received (${pct}%), ${missing} missing`, 'warning');
-
-                // Show missing packet numbers for retransmission
-                const missingPkts = checkMissingPackets(imageId);
-                if (missingPkts.length <= 30) {
-                    logToTerminal(`Missing packets: ${missingPkts.join(', ')}`, 'info');
-                } else {
-                    logToTerminal(`Missing packets: ${missingPkts.slice(0, 30).join(', ')}... (+${missingPkts.length - 30} more)`, 'info');
-                }
-
-                const filename = imageInfo.filename || `image.jpg.gz.chunked`;
-                logToTerminal(`Use: RETRANSMIT ${filename} ${missingPkts.slice(0, 5).join(' ')}`, 'info');
-            }
-            return;
-        }
-    }
-
-    logToTerminal(`No matching image reception found for ${totalPkts} packets`, 'warning');
+function logTransferComplete(event) {
+    logToTerminal(`Transfer complete signal: ${event.totalPackets} packets expected`, 'response');
 }
 
 // ============================================================================
@@ -660,22 +324,11 @@ function unpackTransferComplete(data) {
 // ============================================================================
 
 /**
- * Unpack health beacon packet
- * Packet format: [4-byte ID][4-byte uptime][4-byte cpu][4-byte ram][4-byte disk][4-byte temp]
- * @param {Uint8Array} data - 24-byte beacon packet
+ * Log health beacon data
+ * @param {Object} event - BECN event { uptime, cpu, ram, disk, temp }
  */
-function unpackBeacon(data) {
-    if (data.length < 24) {
-        logToTerminal(`Invalid BECN packet size: ${data.length} bytes`, 'warning');
-        return;
-    }
-
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const uptime = view.getUint32(4, true);
-    const cpu = view.getFloat32(8, true);
-    const ram = view.getFloat32(12, true);
-    const disk = view.getFloat32(16, true);
-    const temp = view.getFloat32(20, true);
+function logBeacon(event) {
+    const { uptime, cpu, ram, disk, temp } = event;
 
     // Format uptime as HH:MM:SS
     const hours = Math.floor(uptime / 3600);
@@ -684,20 +337,40 @@ function unpackBeacon(data) {
     const uptimeStr = `${hours}h ${minutes}m ${seconds}s`;
 
     logToTerminal(`BEACON | Uptime: ${uptimeStr} | CPU: ${cpu.toFixed(1)}% | RAM: ${ram.toFixed(1)}% | Disk: ${disk.toFixed(1)}% | Temp: ${temp.toFixed(1)}°C`, 'response');
+}
 
-    // Update telemetry display elements
-    const cpuElement = document.getElementById('cpuUsage');
-    if (cpuElement) cpuElement.textContent = `${cpu.toFixed(0)}%`;
-
-    const tempElement = document.getElementById('temperature');
-    if (tempElement) tempElement.textContent = `${temp.toFixed(1)}°C`;
-
-    const ramElement = document.getElementById('ramUsage');
-    if (ramElement) ramElement.textContent = `${ram.toFixed(0)}%`;
+// ============================================================================
+// Logger Table
+// ============================================================================
 
-    const diskElement = document.getElementById('diskUsage');
-    if (diskElement) diskElement.textContent = `${disk.toFixed(0)}%`;
-}
+// Custom terminal loggers by event type; other schema types use logGenericTelemetry()
+const TELEMETRY_LOGGERS = {
+    'GYRO': logSensorData,
+    'ACCL': logSensorData,
+    'MAGN': logSensorData,
+    'GRAV': logSensorData,
+    'EULR': logSensorData,
+    'BME2': logBMEData,
+    'TEMP': logTempData,
+    'QUAT': logQuaternionData,
+    'POLL': () => {}, // Fragments are logged once reassembled, as ENV
+    'ENV': logEnvironmentPoll,
+    'OBCR': logOBCSingleValue,
+    'OBCD': logOBCSingleValue,
+    'OBCC': logOBCSingleValue,
+    'OBCL': () => {}, // Fragments are logged once reassembled, as FILES
+    'FILES': logOBCFileListing,
+    'OBCP': () => {}, // Fragments are logged once reassembled, as PROCS
+    'PROCS': () => {}, // Logged by process-monitor.js, which knows whether the poll was automatic
+    'ADCS': logADCSData,
+    'EPSS': logEPSStatus,
+    'HOST': logHostname,
+    'SOLR': logSolarData,
+    'RETX': logRetransmitData,
+    'XFRC': logTransferComplete,
+    'BECN': logBeacon,
+    'PHOT': logPhotoResponse
+};
 
 // ============================================================================
 // Export functions for debugging (development only)
@@ -0,0 +1,234 @@
+// Link transports for TEMPEST Ground Station
+// Each transport moves raw bytes between the console and the ground station radio.
+// All transports share one shape so serial-communication.js can stay transport-agnostic:
+//   open(onData, onClose) - start the link; onData receives Uint8Array chunks
+//   write(bytes)          - send a Uint8Array to the ground station
+//   close()               - tear the link down
+//   describe()            - short human-readable description for the Connection panel
+
+// ============================================================================
+// WebSerial Transport (USB-attached ground station)
+// ============================================================================
+
+/**
+ * Create a WebSerial transport
+ * @param {Object} options - Serial port options (baudRate, dataBits, stopBits, parity, flowControl)
+ * @returns {Object} - Transport object
+ */
+function createWebSerialTransport(options) {
+    let port = null;
+    let reader = null;
+    let writer = null;
+    let readLoop = null;
+
+    /**
+     * Main reading loop for incoming serial data
+     * @param {Function} onData - Callback for received bytes
+     * @param {Function} onClose - Callback when the port stops delivering data
+     */
+    async function readFromPort(onData, onClose) {
+        reader = port.readable.getReader();
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                if (value && value.length > 0) {
+                    onData(value);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                logToTerminal(`Read error: ${error.message}`, 'error');
+                if (onClose) onClose(error);
+            }
+        } finally {
+            reader.releaseLock();
+            reader = null;
+        }
+    }
+
+    return {
+        name: 'WebSerial',
+
+        async open(onData, onClose) {
+            if (!('serial' in navigator)) {
+                throw new Error('WebSerial is not supported in this browser. Please use Chrome or Edge.');
+            }
+
+            // Request port access from user
+            logToTerminal('Requesting serial port...', 'info');
+            port = await navigator.serial.requestPort();
+            await port.open(options);
+
+            writer = port.writable.getWriter();
+            readLoop = readFromPort(onData, onClose);
+        },
+
+        async write(bytes) {
+            await writer.write(bytes);
+        },
+
+        async close() {
+            // Cancel reading loop
+            if (reader) {
+                await reader.cancel();
+            }
+            if (readLoop) {
+                await readLoop;
+                readLoop = null;
+            }
+
+            // Close writer
+            if (writer) {
+                await writer.close();
+                writer = null;
+            }
+
+            // Close port
+            if (port) {
+                await port.close();
+                port = null;
+            }
+        },
+
+        describe() {
+            if (!port) return '';
+            const info = port.getInfo();
+            return `VID: ${info.usbVendorId || 'N/A'}, PID: ${info.usbProductId || 'N/A'}`;
+        }
+    };
+}
+
+// ============================================================================
+// WebSocket Transport (network bridge to a remote ground station)
+// ============================================================================
+
+/**
+ * Create a WebSocket transport
+ * Talks to a serial-to-WebSocket bridge (e.g. websockify or websocat in front of
+ * the ground station's serial port) so the radio can live on a Raspberry Pi by the antenna.
+ * @param {string} url - Bridge URL (ws:// or wss://)
+ * @returns {Object} - Transport object
+ */
+function createWebSocketTransport(url) {
+    let socket = null;
+    const encoder = new TextEncoder();
+
+    return {
+        name: 'WebSocket',
+
+        open(onData, onClose) {
+            if (!('WebSocket' in window)) {
+                return Promise.reject(new Error('WebSocket is not supported in this browser.'));
+            }
+            if (!/^wss?:\/\//i.test(url)) {
+                return Promise.reject(new Error(`Invalid bridge URL: ${url || '(empty)'}`));
+            }
+
+            logToTerminal(`Opening bridge connection to ${url}...`, 'info');
+
+            return new Promise((resolve, reject) => {
+                let opened = false;
+                socket = new WebSocket(url);
+                socket.binaryType = 'arraybuffer';
+
+                socket.onopen = () => {
+                    opened = true;
+                    resolve();
+                };
+
+                socket.onmessage = (event) => {
+                    // Bridges may forward bytes as binary frames or as text frames
+                    const bytes = typeof event.data === 'string'
+                        ? encoder.encode(event.data)
+                        : new Uint8Array(event.data);
+                    if (bytes.length > 0) {
+                        onData(bytes);
+                    }
+                };
+
+                socket.onerror = () => {
+                    if (!opened) {
+                        reject(new Error(`Unable to reach bridge at ${url}`));
+                    }
+                };
+
+                socket.onclose = (event) => {
+                    const wasOpen = opened && socket !== null;
+                    socket = null;
+                    if (!opened) {
+                        reject(new Error(`Bridge closed the connection (code ${event.code})`));
+                    } else if (wasOpen && onClose) {
+                        onClose(new Error(`Bridge connection closed (code ${event.code})`));
+                    }
+                };
+            });
+        },
+
+        async write(bytes) {
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                throw new Error('Bridge connection is not open');
+            }
+            socket.send(bytes);
+        },
+
+        async close() {
+            if (socket) {
+                const closing = socket;
+                socket = null; // Suppress onClose callback for intentional disconnects
+                closing.close();
+            }
+        },
+
+        describe() {
+            return `Bridge: ${url}`;
+        }
+    };
+}
+
+// ============================================================================
+// Transport Selection
+// ============================================================================
+
+/**
+ * Build a transport from the Configure tab link settings
+ * @returns {Object} - Transport object for the selected link type
+ */
+function createTransportFromSettings() {
+    const type = document.getElementById('transportType')?.value || 'webserial';
+
+    switch (type) {
+        case 'websocket':
+            return createWebSocketTransport(document.getElementById('bridgeUrl').value.trim());
+        case 'simulator':
+            return createSimulatorTransport({
+                loss: (parseFloat(document.getElementById('simLoss').value) || 0) / 100,
+                latency: parseInt(document.getElementById('simLatency').value) || 0,
+                noise: parseFloat(document.getElementById('simNoise').value) || 0,
+                corruption: (parseFloat(document.getElementById('simCorruption').value) || 0) / 100,
+                integrity: document.getElementById('packetIntegrity')?.value || 'none'
+            });
+        case 'webserial':
+        default:
+            return createWebSerialTransport({
+                baudRate: parseInt(document.getElementById('baudRate').value),
+                dataBits: parseInt(document.getElementById('dataBits').value),
+                stopBits: parseInt(document.getElementById('stopBits').value),
+                parity: document.getElementById('parity').value,
+                flowControl: document.getElementById('flowControl').value
+            });
+    }
+}
+
+/**
+ * Show the settings relevant to the selected transport type
+ */
+function updateTransportOptions() {
+    const type = document.getElementById('transportType')?.value || 'webserial';
+
+    document.querySelectorAll('[data-transport]').forEach(el => {
+        el.style.display = el.dataset.transport === type ? '' : 'none';
+    });
+}